@@ -2,5 +2,5 @@
 
 module.exports = {
   presets: ['@babel/preset-env'],
-  plugins: ['@babel/transform-runtime'],
+  plugins: ['@babel/transform-runtime', 'babel-plugin-transform-import-meta'],
 };
@@ -1,9 +1,20 @@
-global.assert = async function ({ given = '', should = '', actual, awaitActual, expected }) {
-  global.test(`Given ${given}: should ${should}`, async function () {
-    global
-      .expect(awaitActual && typeof awaitActual.then === 'function' ? await awaitActual : actual)
-      .toStrictEqual(expected);
-  });
+global.assert = async function ({
+  given = '',
+  should = '',
+  actual,
+  awaitActual,
+  expected,
+  timeout,
+}) {
+  global.test(
+    `Given ${given}: should ${should}`,
+    async function () {
+      global
+        .expect(awaitActual && typeof awaitActual.then === 'function' ? await awaitActual : actual)
+        .toStrictEqual(expected);
+    },
+    timeout
+  );
 };
 
 global.Try = async function (f, ...args) {
@@ -1,47 +1,49 @@
 'use strict';
 
-import {
-  COMPUTER_STATE_COMPUTOR_INDEX_OFFSET,
-  COMPUTER_STATE_COMPUTOR_PUBLIC_KEYS_OFFSET,
-  COMPUTER_STATE_SIGNATURE_LENGTH,
-  COMPUTER_STATE_SIGNATURE_OFFSET,
-  connection as _connection,
-  NUMBER_OF_COMPUTORS,
-  TRANSFER_STATUS_COMPUTOR_INDEX_LENGTH,
-  TRANSFER_STATUS_COMPUTOR_INDEX_OFFSET,
-  TRANSFER_STATUS_DIGEST_OFFSET,
-  TRANSFER_STATUS_SIGNATURE_LENGTH,
-  TRANSFER_STATUS_SIGNATURE_OFFSET,
-  TRANSFER_STATUS_STATUS_LENGTH,
-  TRANSFER_STATUS_STATUS_OFFSET,
-} from './connection.js';
+import EventEmitter from 'eventemitter2';
+import { connection as _connection } from './connection.js';
+import { NUMBER_OF_COMPUTORS } from './protocol.js';
 import {
   HASH_LENGTH,
   SIGNATURE_OFFSET,
   transfer,
+  transferDigest,
   transferObject,
   TRANSFER_LENGTH,
-  SIGNATURE_LENGTH,
-  SOURCE_LENGTH,
-  SOURCE_OFFSET,
 } from './transfer.js';
-import { seedToBytes, identity, privateKey, PUBLIC_KEY_LENGTH } from './identity.js';
+import { seedToBytes, identity, addChecksum } from './identity.js';
+import { seedSigner } from './signers/seed.js';
+import { verifyReceipt } from './receipt.js';
 import { timestamp } from './timestamp.js';
-import { crypto } from './crypto/index.js';
+import { crypto as defaultCrypto } from './crypto/index.js';
 import level from 'level';
 import path from 'path';
 import aesjs from 'aes-js';
 import { bytesToShiftedHex, shiftedHexToBytes } from './utils/hex.js';
+import {
+  AlreadyExistsError,
+  DatabaseIntegrityError,
+  IllegalArgumentError,
+  InsufficientEnergyError,
+} from './errors.js';
 
-/* globals Connection */
+/* globals Connection, Vault, Signer, CryptoPool, QubicError */
 
 /**
  * @function client
  * @memberof module:qubic
  * @param {object} options - Client options.
- * @param {string} options.seed - Seed in 55 lowercase latin chars.
+ * @param {string} [options.seed] - Seed in 55 lowercase latin chars. Required unless a vault is used.
+ * @param {Vault} [options.vault] - Vault holding the seed, possibly locked. Operations which need
+ * the seed wait until vault is unlocked.
+ * @param {string} [options.label] - Label of seed in vault.
  * @param {number} [options.index=0] - Identity index.
- * @param {Connection} [options.connection] - Client connection.
+ * @param {Signer} [options.signer] - Signs on behalf of client, so that the private key never
+ * enters it. Overrides seed, vault and index.
+ * @param {Uint8Array} [options.databaseKey] - 16-byte key which encrypts the database. Derived
+ * from seed by default, required when a signer is used without seed or vault.
+ * @param {Connection} [options.connection] - Client connection, which may be shared with other
+ * clients and wallets.
  * @param {object[]} [options.computors] - Specifies 3 computors to connect to, and with what options.
  * Ignored when connection option is used.
  * @param {string} options.computors[].url - Computor url.
@@ -49,16 +51,20 @@ import { bytesToShiftedHex, shiftedHexToBytes } from './utils/hex.js';
  * @param {number} [options.synchronizationInterval] - If no new tick appears after this interval an info event is emitted with updated sync status.
  * Ignored when connection option is used.
  * @param {string} [options.adminPublicKey] - Admin public key, for verification of current epoch and tick which are signed by admin.
- * Ignored when connection option is used.
+ * Defaults to admin public key of connection, when connection option is used.
  * @param {number} [options.reconnectTimeoutDuration=100] - Reconnect timeout duration. Ignored when connection option is used.
  * @param options.database
  * @param options.databasePath
+ * @param {Promise<Crypto>|CryptoPool} [options.crypto] - Crypto which verifies signatures of
+ * database entries, receipts and, unless connection option is used, computor responses. Runs on
+ * the main thread by default. See `cryptoPool`.
  * @param {object} [options.db] - Database implementing the [level interface](https://github.com/Level/level), for storing transactions.
  * @param {string} [options.dbPath] - Database path.
  * @fires Connection#info
  * @fires Connection#open
  * @fires Connection#close
  * @fires Connection#error
+ * @fires Client#error
  * @fires Client#inclusion
  * @fires Client#rejection
  * @returns {Client}
@@ -83,7 +89,11 @@ import { bytesToShiftedHex, shiftedHexToBytes } from './utils/hex.js';
  */
 export const client = function ({
   seed,
+  vault,
+  label,
   index = 0,
+  signer,
+  databaseKey,
   connection,
   computors,
   synchronizationInterval,
@@ -91,7 +101,15 @@ export const client = function ({
   reconnectTimeoutDuration,
   database,
   databasePath,
+  crypto = defaultCrypto,
 }) {
+  if (connection !== undefined && adminPublicKey === undefined) {
+    adminPublicKey = connection.adminPublicKey;
+  }
+  if (typeof adminPublicKey !== 'string') {
+    throw new IllegalArgumentError('Illegal admin public key.');
+  }
+
   connection =
     connection ||
     _connection({
@@ -99,6 +117,7 @@ export const client = function ({
       synchronizationInterval,
       adminPublicKey,
       reconnectTimeoutDuration,
+      crypto,
     });
 
   const adminPublicKeyBytes = shiftedHexToBytes(adminPublicKey.toLowerCase());
@@ -110,10 +129,44 @@ export const client = function ({
     }
   }
   if (isAdminPublicKeyNULL) {
-    throw new Error('Illegal admin public key.');
+    throw new IllegalArgumentError('Illegal admin public key.');
+  }
+
+  if (seed === undefined && vault === undefined && signer === undefined) {
+    throw new IllegalArgumentError('Missing seed, vault or signer.');
+  }
+  const hasSeed = seed !== undefined || vault !== undefined;
+  if (!hasSeed && databaseKey === undefined) {
+    throw new IllegalArgumentError('Missing database key.');
   }
 
-  const id = identity(seed, index);
+  const withSeed = function (fn) {
+    if (vault !== undefined) {
+      return vault.withSeed(label, fn);
+    }
+    if (seed === undefined) {
+      return Promise.reject(new IllegalArgumentError('Missing seed or vault.'));
+    }
+    return Promise.resolve(fn(seed));
+  };
+
+  signer = signer || seedSigner({ seed, vault, label, index });
+  const sign = function (message) {
+    return signer.signDigest(message);
+  };
+  const publicKey = signer.getPublicKey();
+  const id = publicKey.then(async function (publicKey) {
+    return bytesToShiftedHex(await addChecksum(publicKey)).toUpperCase();
+  });
+  databaseKey =
+    databaseKey !== undefined
+      ? Promise.resolve(databaseKey)
+      : withSeed(async function (seed) {
+          const { K12 } = await defaultCrypto;
+          const key = new Uint8Array(16);
+          K12(seedToBytes(seed), key, 16);
+          return key;
+        });
   database = Promise.resolve(
     database ||
       id.then(function (id) {
@@ -131,6 +184,7 @@ export const client = function ({
     const transfers = new Set();
     const transferStatuses = [];
     const receipts = [];
+    const accountsByLabel = new Map();
     let counter = 0;
     let latestUnprocessedTransaction = { index: -1, decryptedValue: [], timestamp: 0n };
     let resolveAESCounter;
@@ -140,8 +194,23 @@ export const client = function ({
     let energy = 0n;
     let databaseSignature;
 
+    // Accounts are signed along with the other records, in order of labels.
+    const accountsBytes = function () {
+      if (accountsByLabel.size === 0) {
+        return new Uint8Array(0);
+      }
+      return Buffer.from(
+        JSON.stringify(
+          Array.from(accountsByLabel.values()).sort(function (a, b) {
+            return a.label < b.label ? -1 : 1;
+          })
+        )
+      );
+    };
+
     const databaseEssence = function () {
-      const essence = new Uint8Array(4 + 8 + hashesByIndex.size * HASH_LENGTH);
+      const accounts = accountsBytes();
+      const essence = new Uint8Array(4 + 8 + hashesByIndex.size * HASH_LENGTH + accounts.length);
       const essenceView = new DataView(essence.buffer);
       essenceView.setUint32(0, counter, true);
       essenceView.setBigUint64(4, energy, true);
@@ -152,104 +221,154 @@ export const client = function ({
           essence.set(hash, offset);
           offset += HASH_LENGTH;
         });
+      essence.set(accounts, offset);
       return essence;
     };
 
-    const processTransferStatus = function (params) {
-      let latestRequestTimestamp = Date.now() - NUMBER_OF_COMPUTORS * 100 * 2;
-      let receivedReceipt = false;
-
-      const infoListener = async function ({ computerState }) {
-        if (
-          computerState.status >= 2 &&
-          Date.now() - latestRequestTimestamp > NUMBER_OF_COMPUTORS * 100 * 2
-        ) {
-          latestRequestTimestamp = Date.now();
-          if (receivedReceipt === false) {
-            const response = await connection.getTransferStatus(params.hash);
-
-            if (
-              response.receipt !== undefined &&
-              receivedReceipt === false &&
-              (receivedReceipt = true)
-            ) {
-              const { K12, schnorrq } = await crypto;
-
-              await AESCounter;
-              const counterValue = ++counter;
-              hashesByIndex.delete(params.counter);
-              hashesByIndex.set(counterValue, params.hashBytes);
-              const energyCopy = energy;
-              energy = (await id) === params.destination ? energy : energy - params.energy;
-              if (energy < 0n) {
-                energy = 0n;
-              }
-              const essence = databaseEssence();
-              const secretKey = privateKey(seed, index, K12);
-              const signature = schnorrq.sign(
-                secretKey,
-                schnorrq.generatePublicKey(secretKey),
-                essence
-              );
-
-              const counterBytes = new Uint8Array(4);
-              const counterView = new DataView(counterBytes.buffer);
-              counterView.setUint32(0, counterValue, true);
-              const energyBytes = new Uint8Array(8);
-              const energyView = new DataView(energyBytes.buffer);
-              energyView.setBigUint64(0, energy, true);
-              const transferAndReceipt = new Uint8Array(
-                1 + params.transfer.length + response.receipt.length
-              );
-              transferAndReceipt[0] = 1;
-              transferAndReceipt.set(params.transfer, 1);
-              transferAndReceipt.set(response.receipt, 1 + params.transfer.length);
+    const emitError = function (error) {
+      /**
+       * Error event. Emitted when a connection errors, or when stored transfers, receipts or the
+       * database signature fail verification.
+       *
+       * @event Client#error
+       * @param {QubicError|event} error - Error, or transport event of connection.
+       */
+      if (that.listeners('error').length > 0) {
+        that.emit('error', error);
+      }
+    };
 
-              const key = new Uint8Array(16);
-              K12(seedToBytes(seed), key, 16);
+    const pendingTransfersByHash = new Map();
+    let latestRequestTimestamp = Date.now() - NUMBER_OF_COMPUTORS * 100 * 2;
+
+    const storeAccounts = async function () {
+      const accounts = accountsBytes();
+      const signature = await sign(databaseEssence());
+      await (
+        await database
+      )
+        .batch()
+        .put('accounts', Buffer.from(accounts.length > 0 ? accounts : '[]'), {
+          valueEncoding: 'binary',
+        })
+        .put('signature', Buffer.from(signature), { valueEncoding: 'binary' })
+        .write();
+    };
 
-              const aes = new aesjs.ModeOfOperation.ctr(key, new aesjs.Counter(counterValue));
+    const account = async function ({ label, index }) {
+      return {
+        label,
+        index,
+        identity: await withSeed(function (seed) {
+          return identity(seed, index);
+        }),
+      };
+    };
 
-              try {
-                await (
-                  await database
-                )
-                  .batch()
-                  .del(params.counter, { valueEncoding: 'binary' })
-                  .put(counterValue, Buffer.from(aes.encrypt(transferAndReceipt)), {
-                    valueEncoding: 'binary',
-                  })
-                  .put('counter', Buffer.from(counterBytes), {
-                    valueEncoding: 'binary',
-                  })
-                  .put('energy', Buffer.from(energyBytes), {
-                    valueEncoding: 'binary',
-                  })
-                  .put('signature', Buffer.from(signature), {
-                    valueEncoding: 'binary',
-                  })
-                  .write();
+    const processReceipt = async function (params, response) {
+      await AESCounter;
+      const counterValue = ++counter;
+      hashesByIndex.delete(params.counter);
+      hashesByIndex.set(counterValue, params.hashBytes);
+      const energyCopy = energy;
+      energy = (await id) === params.destination ? energy : energy - params.energy;
+      if (energy < 0n) {
+        energy = 0n;
+      }
+      const essence = databaseEssence();
+      const signature = await sign(essence);
+
+      const counterBytes = new Uint8Array(4);
+      const counterView = new DataView(counterBytes.buffer);
+      counterView.setUint32(0, counterValue, true);
+      const energyBytes = new Uint8Array(8);
+      const energyView = new DataView(energyBytes.buffer);
+      energyView.setBigUint64(0, energy, true);
+      const transferAndReceipt = new Uint8Array(
+        1 + params.transfer.length + response.receipt.length
+      );
+      transferAndReceipt[0] = 1;
+      transferAndReceipt.set(params.transfer, 1);
+      transferAndReceipt.set(response.receipt, 1 + params.transfer.length);
+
+      const key = await databaseKey;
+
+      const aes = new aesjs.ModeOfOperation.ctr(key, new aesjs.Counter(counterValue));
+
+      try {
+        await (
+          await database
+        )
+          .batch()
+          .del(params.counter, { valueEncoding: 'binary' })
+          .put(counterValue, Buffer.from(aes.encrypt(transferAndReceipt)), {
+            valueEncoding: 'binary',
+          })
+          .put('counter', Buffer.from(counterBytes), {
+            valueEncoding: 'binary',
+          })
+          .put('energy', Buffer.from(energyBytes), {
+            valueEncoding: 'binary',
+          })
+          .put('signature', Buffer.from(signature), {
+            valueEncoding: 'binary',
+          })
+          .write();
 
-                connection.removeListener('info', infoListener);
+        that.emit('energy', energy);
 
-                that.emit('energy', energy);
+        that.emit('receipt', {
+          ...response,
+          receipt: transferAndReceipt.slice(1),
+          receiptBase64: Buffer.from(transferAndReceipt.slice(1)).toString('base64'),
+        });
+      } catch {
+        pendingTransfersByHash.set(params.hash, params);
+        energy = energyCopy;
+      }
+    };
 
-                that.emit('receipt', {
-                  ...response,
-                  receipt: transferAndReceipt.slice(1),
-                  receiptBase64: Buffer.from(transferAndReceipt.slice(1)).toString('base64'),
-                });
-              } catch {
-                receivedReceipt = false;
-                energy = energyCopy;
-              }
-            }
+    const infoListener = async function ({ computerState }) {
+      if (
+        pendingTransfersByHash.size > 0 &&
+        computerState.status >= 2 &&
+        Date.now() - latestRequestTimestamp > NUMBER_OF_COMPUTORS * 100 * 2
+      ) {
+        latestRequestTimestamp = Date.now();
+        const pendingTransfers = Array.from(pendingTransfersByHash.values());
+        let responses;
+        try {
+          responses = await connection.getTransferStatuses(
+            pendingTransfers.map(function ({ hash }) {
+              return hash;
+            }),
+            { deadline: NUMBER_OF_COMPUTORS * 100 * 2 }
+          );
+        } catch (error) {
+          if (error.reports === undefined) {
+            return;
           }
+          responses = error.reports;
         }
-      };
 
-      connection.addListener('info', infoListener);
-      infoListeners.push(infoListener);
+        pendingTransfers.forEach(function (params, i) {
+          if (
+            responses[i].receipt !== undefined &&
+            pendingTransfersByHash.get(params.hash) === params
+          ) {
+            pendingTransfersByHash.delete(params.hash);
+            processReceipt(params, responses[i]);
+          }
+        });
+      }
+    };
+
+    const processTransferStatus = function (params) {
+      pendingTransfersByHash.set(params.hash, params);
+      if (!infoListeners.includes(infoListener)) {
+        connection.addListener('info', infoListener);
+        infoListeners.push(infoListener);
+      }
     };
 
     const onData = async function (data) {
@@ -263,27 +382,27 @@ export const client = function ({
         case 'signature':
           databaseSignature = Array.from(data.value);
           break;
+        case 'accounts':
+          JSON.parse(Buffer.from(data.value).toString()).forEach(function (account) {
+            accountsByLabel.set(account.label, account);
+          });
+          break;
         default: {
-          const { K12, schnorrq } = await crypto;
-          const key = new Uint8Array(16);
-          K12(seedToBytes(seed), key, 16);
+          const { K12 } = await defaultCrypto;
+          const { schnorrq } = await crypto;
+          const key = await databaseKey;
           const aes = new aesjs.ModeOfOperation.ctr(key, new aesjs.Counter(parseInt(data.key)));
           const decryptedValue = aes.decrypt(Array.from(data.value));
           switch (decryptedValue[0]) {
             case 0:
               {
                 // unprocessed  transfer
-                const digest = new Uint8Array(HASH_LENGTH);
-                const message = decryptedValue.subarray(1, 1 + SIGNATURE_OFFSET);
-                message[0] ^= 1;
-                K12(message, digest, HASH_LENGTH);
-                message[0] ^= 1;
                 if (
-                  schnorrq.verify(
-                    schnorrq.generatePublicKey(privateKey(seed, index, K12)),
-                    digest,
+                  (await schnorrq.verify(
+                    await publicKey,
+                    transferDigest(K12, decryptedValue.subarray(1)),
                     decryptedValue.subarray(1 + SIGNATURE_OFFSET)
-                  ) === 1
+                  )) === 1
                 ) {
                   const hashBytes = new Uint8Array(HASH_LENGTH);
                   const bytes = decryptedValue.slice(1);
@@ -308,168 +427,41 @@ export const client = function ({
                     counter: parseInt(data.key),
                   });
                 } else {
-                  console.error(`Unprocessed tx db sig failed!`);
+                  emitError(
+                    new DatabaseIntegrityError('Invalid signature of stored transfer.', {
+                      key: data.key,
+                    })
+                  );
                 }
               }
               break;
             case 1: {
               // processed transfer
-              const decryptedValueView = new DataView(decryptedValue.buffer);
-              const digest = new Uint8Array(HASH_LENGTH);
-              const message = decryptedValue.subarray(1, 1 + SIGNATURE_OFFSET);
-              message[0] ^= 1;
-              K12(message, digest, HASH_LENGTH);
-              message[0] ^= 1;
-              let offset = 1 + SIGNATURE_OFFSET;
-              if (
-                schnorrq.verify(
-                  decryptedValue.subarray(1 + SOURCE_OFFSET, 1 + SOURCE_OFFSET + SOURCE_LENGTH),
-                  digest,
-                  decryptedValue.subarray(offset, (offset += SIGNATURE_LENGTH))
-                ) === 1
-              ) {
-                const computerStateDigest = new Uint8Array(HASH_LENGTH);
-                K12(
-                  decryptedValue.subarray(
-                    offset,
-                    (offset +=
-                      COMPUTER_STATE_SIGNATURE_OFFSET - COMPUTER_STATE_COMPUTOR_INDEX_OFFSET)
-                  ),
-                  computerStateDigest,
-                  HASH_LENGTH
-                );
-                if (
-                  schnorrq.verify(
-                    adminPublicKeyBytes,
-                    computerStateDigest,
-                    decryptedValue.slice(offset, (offset += COMPUTER_STATE_SIGNATURE_LENGTH))
-                  ) === 1
-                ) {
-                  const computorPublicKeys = [];
-                  let computorPublicKeysOffset =
-                    1 +
-                    TRANSFER_LENGTH +
-                    COMPUTER_STATE_COMPUTOR_PUBLIC_KEYS_OFFSET -
-                    COMPUTER_STATE_COMPUTOR_INDEX_OFFSET;
-                  for (let i = 0; i < NUMBER_OF_COMPUTORS; i++) {
-                    computorPublicKeys.push(
-                      decryptedValue.subarray(
-                        computorPublicKeysOffset + i * PUBLIC_KEY_LENGTH,
-                        computorPublicKeysOffset + (i + 1) * PUBLIC_KEY_LENGTH
-                      )
-                    );
-                  }
-
-                  const statuses = [];
-
-                  while (offset < decryptedValue.length) {
-                    const transferStatusOffset =
-                      offset + TRANSFER_STATUS_STATUS_OFFSET - TRANSFER_STATUS_DIGEST_OFFSET;
-                    const digest = new Uint8Array(HASH_LENGTH);
-                    decryptedValue[offset] ^= 3;
-                    K12(
-                      decryptedValue.subarray(
-                        offset,
-                        (offset += TRANSFER_STATUS_SIGNATURE_OFFSET - TRANSFER_STATUS_DIGEST_OFFSET)
-                      ),
-                      digest,
-                      HASH_LENGTH
-                    );
-                    decryptedValue[
-                      offset - (TRANSFER_STATUS_SIGNATURE_OFFSET - TRANSFER_STATUS_DIGEST_OFFSET)
-                    ] ^= 3;
-                    const computorIndex = decryptedValueView[
-                      'getUint' + TRANSFER_STATUS_COMPUTOR_INDEX_LENGTH * 8
-                    ](
-                      offset -
-                        (TRANSFER_STATUS_SIGNATURE_OFFSET - TRANSFER_STATUS_DIGEST_OFFSET) +
-                        TRANSFER_STATUS_COMPUTOR_INDEX_OFFSET -
-                        TRANSFER_STATUS_DIGEST_OFFSET,
-                      true
-                    );
-                    if (
-                      schnorrq.verify(
-                        computorPublicKeys[computorIndex],
-                        digest,
-                        decryptedValue.subarray(
-                          offset,
-                          (offset += TRANSFER_STATUS_SIGNATURE_LENGTH)
-                        )
-                      ) === 1
-                    ) {
-                      if (statuses[computorIndex] === undefined) {
-                        statuses[computorIndex] = [];
-                      }
-                      for (let i = 0; i < TRANSFER_STATUS_STATUS_LENGTH; i++) {
-                        for (let j = 0; j < 8; j += 2) {
-                          let transferStatus = 0; // unseen
-                          if (
-                            ((decryptedValue[transferStatusOffset + i] >> (8 - (j + 1))) &
-                              0x0001) ===
-                            0
-                          ) {
-                            if (
-                              ((decryptedValue[transferStatusOffset + i] >> (8 - (j + 2))) &
-                                0x0001) ===
-                              1
-                            ) {
-                              // 01 - seen
-                              transferStatus = 1;
-                            }
-                          } else if (
-                            ((decryptedValue[transferStatusOffset + i] >> (8 - (j + 2))) &
-                              0x0001) ===
-                            0
-                          ) {
-                            // 10 - processed
-                            transferStatus = 2;
-                          }
-                          statuses[computorIndex][i * 4 + j / 2] = transferStatus;
-                        }
-                      }
-                    }
-                  }
-
-                  const report = [0, 0, 0, 0];
-
-                  for (let i = 0; i < NUMBER_OF_COMPUTORS; i++) {
-                    for (let j = 0; j < NUMBER_OF_COMPUTORS; j++) {
-                      if (i !== j) {
-                        if (statuses[i] === undefined || statuses[i][j] === undefined) {
-                          report[3] += 1;
-                        } else {
-                          report[statuses[i][j]] += 1;
-                        }
-                      }
-                    }
-                  }
-
-                  const hashBytes = new Uint8Array(HASH_LENGTH);
-                  const bytes = decryptedValue.slice(1, 1 + TRANSFER_LENGTH);
-                  K12(bytes, hashBytes, HASH_LENGTH);
-
-                  hashesByIndex.set(parseInt(data.key), hashBytes);
-
-                  transfers.add(await transferObject(bytes, hashBytes));
-                  const hash = bytesToShiftedHex(hashBytes).toUpperCase();
-                  hashes.add(hash);
+              const { valid, transfer, unseen, seen, processed, epoch, tick } = await verifyReceipt(
+                decryptedValue.slice(1),
+                { adminPublicKey: adminPublicKeyBytes, crypto }
+              );
+              if (valid) {
+                hashesByIndex.set(parseInt(data.key), transfer.hashBytes);
+                transfers.add(transfer);
+                hashes.add(transfer.hash);
 
-                  transferStatuses.push({
-                    hash,
-                    unseen: Math.floor((report[3] + report[0]) / (NUMBER_OF_COMPUTORS - 1)),
-                    seen: Math.floor(report[1] / (NUMBER_OF_COMPUTORS - 1)),
-                    processed: Math.floor(report[2] / (NUMBER_OF_COMPUTORS - 1)),
-                    // TODO: add epoch/tick
-                  });
+                transferStatuses.push({
+                  hash: transfer.hash,
+                  unseen,
+                  seen,
+                  processed,
+                  epoch,
+                  tick,
+                });
 
-                  receipts.push({
-                    hash,
-                    receipt: decryptedValue.slice(1),
-                    receiptBase64: Buffer.from(decryptedValue.slice(1)).toString('base64'),
-                  });
-                }
+                receipts.push({
+                  hash: transfer.hash,
+                  receipt: decryptedValue.slice(1),
+                  receiptBase64: Buffer.from(decryptedValue.slice(1)).toString('base64'),
+                });
               } else {
-                console.error(`Processed Transfer DB Sig failed Verification! ${data.key}`);
+                emitError(new DatabaseIntegrityError('Invalid stored receipt.', { key: data.key }));
               }
             }
           }
@@ -478,26 +470,19 @@ export const client = function ({
     };
 
     const onEnd = async function () {
-      if (counter === 0) {
+      if (counter === 0 && accountsByLabel.size === 0) {
         resolveAESCounter();
       }
 
-      if (hashesByIndex.size > 0 || energy > 0n || counter > 0) {
-        const { schnorrq, K12 } = await crypto;
-        if (
-          schnorrq.verify(
-            schnorrq.generatePublicKey(privateKey(seed, index, K12)),
-            databaseEssence(),
-            databaseSignature
-          ) === 1
-        ) {
+      if (hashesByIndex.size > 0 || energy > 0n || counter > 0 || accountsByLabel.size > 0) {
+        const { schnorrq } = await crypto;
+        if ((await schnorrq.verify(await publicKey, databaseEssence(), databaseSignature)) === 1) {
           resolveAESCounter();
           that.emit('energy', energy);
           let txferDataMap = {};
           transfers.forEach(function (transfer) {
             let key = `${transfer.destination}-${transfer.energy}-${transfer.timestamp}`;
             if (txferDataMap.hasOwnProperty(key)) {
-              console.log(`Deleting duplicate transfer before send to UI: ${transfer.hash}`);
               transfers.delete(transfer);
             } else {
               txferDataMap[key] = true;
@@ -512,7 +497,6 @@ export const client = function ({
             let secsElapsedSinceLastTx =
               (ts - latestUnprocessedTransaction.timestamp) / BigInt(1000000000);
             if (secsElapsedSinceLastTx >= 60) {
-              console.log('rebroadcasting latest tx');
               connection.broadcastTransfer(latestUnprocessedTransaction.decryptedValue);
               latestUnprocessedTransaction.index = -1;
               latestUnprocessedTransaction.decryptedValue = [];
@@ -526,12 +510,32 @@ export const client = function ({
             that.emit('receipt', receipt);
           });
         } else {
-          // TODO: emit error if signature is invalid.
-          console.log('db sig failed');
+          emitError(new DatabaseIntegrityError('Invalid database signature.'));
         }
       }
     };
 
+    const connectionListeners = {
+      info: function (info) {
+        that.emit('info', info);
+      },
+      open: function (event) {
+        that.emit('open', event);
+      },
+      close: function (event) {
+        that.emit('close', event);
+      },
+      error: emitError,
+      transferStatus: function (transferStatus) {
+        if (hashes.has(transferStatus.hash)) {
+          that.emit('transferStatus', transferStatus);
+        }
+      },
+    };
+    Object.entries(connectionListeners).forEach(function ([event, listener]) {
+      connection.addListener(event, listener);
+    });
+
     let stream;
     database.then(function (database) {
       stream = database
@@ -541,414 +545,406 @@ export const client = function ({
     });
 
     /**
+     * Client events, and events of its connection other than status reports of transfers which
+     * are not its own.
+     *
      * @mixin Client
-     * @mixes Connection
      */
-    return Object.assign(this, {
-      /**
-       * @type {string} Client identity in uppercase hex.
-       * @memberof Client
-       */
-      get identity() {
-        return id;
-      },
-
-      /* eslint-disable jsdoc/no-undefined-types */
-      /**
-       * Creates a transaction which includes a transfer of energy between 2 entities,
-       * or an effect, or both. Transaction is atomic, meaaning that both transfer and
-       * effect will be proccessed or none.
-       *
-       * Transactions are stored in database and their inclusion or rejection are monitored.
-       *
-       * @function transfer
-       * @memberof Client
-       * @param {object} params
-       * @param {string} [params.destination] - Destination identity in uppercase hex.
-       * @param {bigint} [params.energy] - Transferred energy to recipient identity.
-       * @returns {Transaction} Transaction object.
-       */
-      /* eslint-enable jsdoc/no-undefined-types */
-      async transfer(params) {
-        if (energy < BigInt(params.energy)) {
-          throw new Error('Insufficient energy.');
-        }
+    return Object.assign(
+      this,
+      {
+        /**
+         * @type {Connection} Connection to computors, possibly shared with other clients.
+         * @memberof Client
+         */
+        connection,
+
+        /**
+         * @type {string} Client identity in uppercase hex.
+         * @memberof Client
+         */
+        get identity() {
+          return id;
+        },
+
+        /* eslint-disable jsdoc/no-undefined-types */
+        /**
+         * Creates a transaction which includes a transfer of energy between 2 entities,
+         * or an effect, or both. Transaction is atomic, meaaning that both transfer and
+         * effect will be proccessed or none.
+         *
+         * Transactions are stored in database and their inclusion or rejection are monitored.
+         *
+         * @function transfer
+         * @memberof Client
+         * @param {object} params
+         * @param {string} [params.destination] - Destination identity in uppercase hex.
+         * @param {bigint} [params.energy] - Transferred energy to recipient identity.
+         * @returns {Transaction} Transaction object.
+         */
+        /* eslint-enable jsdoc/no-undefined-types */
+        async transfer(params) {
+          if (energy < BigInt(params.energy)) {
+            throw new InsufficientEnergyError('Insufficient energy.');
+          }
 
-        const transferObject = await transfer({
-          seed,
-          index,
-          source: await id,
-          destination: params.destination,
-          energy: params.energy,
-        });
-        const { hashBytes, hash, bytes } = transferObject;
+          const source = await id;
+          const transferObject = await transfer({
+            signer,
+            source,
+            destination: params.destination,
+            energy: params.energy,
+          });
+          const { hashBytes, hash, bytes } = transferObject;
 
-        await AESCounter;
-        let counterValue = ++counter;
-        hashesByIndex.set(counterValue, hashBytes);
-        const essence = databaseEssence();
-        const { K12, schnorrq } = await crypto;
-        const secretKey = privateKey(seed, index, K12);
-        const signature = schnorrq.sign(secretKey, schnorrq.generatePublicKey(secretKey), essence);
-        const key = new Uint8Array(16);
-        K12(seedToBytes(seed), key, 16);
+          await AESCounter;
+          let counterValue = ++counter;
+          hashesByIndex.set(counterValue, hashBytes);
+          const essence = databaseEssence();
+          const signature = await sign(essence);
+          const key = await databaseKey;
 
-        const aes = new aesjs.ModeOfOperation.ctr(key, new aesjs.Counter(counterValue));
+          const aes = new aesjs.ModeOfOperation.ctr(key, new aesjs.Counter(counterValue));
 
-        const counterBytes = new Uint8Array(4);
-        const counterView = new DataView(counterBytes.buffer);
-        counterView.setUint32(0, counterValue, true);
+          const counterBytes = new Uint8Array(4);
+          const counterView = new DataView(counterBytes.buffer);
+          counterView.setUint32(0, counterValue, true);
 
-        const bytesCopy = new Uint8Array(1 + bytes.length);
-        bytesCopy[0] = 0;
-        bytesCopy.set(bytes, 1);
+          const bytesCopy = new Uint8Array(1 + bytes.length);
+          bytesCopy[0] = 0;
+          bytesCopy.set(bytes, 1);
 
-        await (
-          await database
-        )
-          .batch()
-          .put('counter', Buffer.from(counterBytes), { valueEncoding: 'binary' })
-          .put('signature', Buffer.from(signature), { valueEncoding: 'binary' })
-          .put(counterValue, Buffer.from(aes.encrypt(bytesCopy)), { valueEncoding: 'binary' })
-          .write();
-
-        hashes.add(hash);
+          await (
+            await database
+          )
+            .batch()
+            .put('counter', Buffer.from(counterBytes), { valueEncoding: 'binary' })
+            .put('signature', Buffer.from(signature), { valueEncoding: 'binary' })
+            .put(counterValue, Buffer.from(aes.encrypt(bytesCopy)), { valueEncoding: 'binary' })
+            .write();
 
-        that.emit('transfer', transferObject);
+          hashes.add(hash);
 
-        connection.broadcastTransfer(bytes);
+          that.emit('transfer', transferObject);
 
-        processTransferStatus({
-          hash,
-          hashBytes,
-          transfer: bytes,
-          destination: params.destination,
-          energy: BigInt(params.energy),
-          counter: counterValue,
-        });
-      },
+          connection.broadcastTransfer(bytes);
 
-      async importReceipt(receiptBase64) {
-        await AESCounter;
-        const receipt = Uint8Array.from(Buffer.from(receiptBase64, 'base64'));
-        const transfer = await transferObject(receipt.slice(0, TRANSFER_LENGTH));
-
-        if (!hashes.has(transfer.hash)) {
-          let newEnergy = energy;
-          if (transfer.destination !== transfer.source) {
-            if ((await id) === transfer.destination) {
-              newEnergy += transfer.energy;
-            } else if ((await id) === transfer.source) {
-              newEnergy -= transfer.energy;
-              if (newEnergy < 0n) {
-                newEnergy = 0n;
+          processTransferStatus({
+            hash,
+            hashBytes,
+            transfer: bytes,
+            destination: params.destination,
+            energy: BigInt(params.energy),
+            counter: counterValue,
+          });
+        },
+
+        async importReceipt(receiptBase64) {
+          await AESCounter;
+          const receipt = Uint8Array.from(Buffer.from(receiptBase64, 'base64'));
+          const transfer = await transferObject(receipt.slice(0, TRANSFER_LENGTH));
+
+          if (!hashes.has(transfer.hash)) {
+            let newEnergy = energy;
+            if (transfer.destination !== transfer.source) {
+              if ((await id) === transfer.destination) {
+                newEnergy += transfer.energy;
+              } else if ((await id) === transfer.source) {
+                newEnergy -= transfer.energy;
+                if (newEnergy < 0n) {
+                  newEnergy = 0n;
+                }
               }
             }
-          }
 
-          const { K12, schnorrq } = await crypto;
+            const { valid, unseen, seen, processed } = await verifyReceipt(receipt, {
+              adminPublicKey: adminPublicKeyBytes,
+              crypto,
+            });
 
-          const receiptView = new DataView(receipt.buffer);
-          const digest = new Uint8Array(HASH_LENGTH);
-          const message = receipt.slice(0, SIGNATURE_OFFSET);
-          message[0] ^= 1;
-          K12(message, digest, HASH_LENGTH);
-          message[0] ^= 1;
-          let offset = SIGNATURE_OFFSET;
-          if (
-            schnorrq.verify(
-              receipt.slice(0, 32),
-              digest,
-              receipt.slice(offset, (offset += SIGNATURE_LENGTH))
-            ) === 1
-          ) {
-            const computerStateDigest = new Uint8Array(HASH_LENGTH);
-            K12(
-              receipt.subarray(
-                offset,
-                (offset += COMPUTER_STATE_SIGNATURE_OFFSET - COMPUTER_STATE_COMPUTOR_INDEX_OFFSET)
-              ),
-              computerStateDigest,
-              HASH_LENGTH
-            );
-            if (
-              schnorrq.verify(
-                adminPublicKeyBytes,
-                computerStateDigest,
-                receipt.slice(offset, (offset += COMPUTER_STATE_SIGNATURE_LENGTH))
-              ) === 1
-            ) {
-              const computorPublicKeys = [];
-              let computorPublicKeysOffset =
-                TRANSFER_LENGTH +
-                COMPUTER_STATE_COMPUTOR_PUBLIC_KEYS_OFFSET -
-                COMPUTER_STATE_COMPUTOR_INDEX_OFFSET;
-              for (let i = 0; i < NUMBER_OF_COMPUTORS; i++) {
-                computorPublicKeys.push(
-                  receipt.subarray(
-                    computorPublicKeysOffset + i * PUBLIC_KEY_LENGTH,
-                    computorPublicKeysOffset + (i + 1) * PUBLIC_KEY_LENGTH
-                  )
-                );
-              }
+            if (valid) {
+              const counterValue = ++counter;
+              hashesByIndex.set(counterValue, transfer.hashBytes);
+              const energyCopy = energy;
+              energy = newEnergy;
 
-              const statuses = [];
-
-              while (offset < receipt.length) {
-                const transferStatusOffset =
-                  offset + TRANSFER_STATUS_STATUS_OFFSET - TRANSFER_STATUS_DIGEST_OFFSET;
-                const digest = new Uint8Array(HASH_LENGTH);
-                receipt[offset] ^= 3;
-                K12(
-                  receipt.subarray(
-                    offset,
-                    (offset += TRANSFER_STATUS_SIGNATURE_OFFSET - TRANSFER_STATUS_DIGEST_OFFSET)
-                  ),
-                  digest,
-                  HASH_LENGTH
-                );
-                receipt[
-                  offset - (TRANSFER_STATUS_SIGNATURE_OFFSET - TRANSFER_STATUS_DIGEST_OFFSET)
-                ] ^= 3;
-                const computorIndex = receiptView[
-                  'getUint' + TRANSFER_STATUS_COMPUTOR_INDEX_LENGTH * 8
-                ](
-                  offset -
-                    (TRANSFER_STATUS_SIGNATURE_OFFSET - TRANSFER_STATUS_DIGEST_OFFSET) +
-                    TRANSFER_STATUS_COMPUTOR_INDEX_OFFSET -
-                    TRANSFER_STATUS_DIGEST_OFFSET,
-                  true
-                );
-                if (
-                  schnorrq.verify(
-                    computorPublicKeys[computorIndex],
-                    digest,
-                    receipt.subarray(offset, (offset += TRANSFER_STATUS_SIGNATURE_LENGTH))
-                  ) === 1
-                ) {
-                  if (statuses[computorIndex] === undefined) {
-                    statuses[computorIndex] = [];
-                  }
-                  for (let i = 0; i < TRANSFER_STATUS_STATUS_LENGTH; i++) {
-                    for (let j = 0; j < 8; j += 2) {
-                      let transferStatus = 0; // unseen
-                      if (((receipt[transferStatusOffset + i] >> (8 - (j + 1))) & 0x0001) === 0) {
-                        if (((receipt[transferStatusOffset + i] >> (8 - (j + 2))) & 0x0001) === 1) {
-                          // 01 - seen
-                          transferStatus = 1;
-                        }
-                      } else if (
-                        ((receipt[transferStatusOffset + i] >> (8 - (j + 2))) & 0x0001) ===
-                        0
-                      ) {
-                        // 10 - processed
-                        transferStatus = 2;
-                      }
-                      statuses[computorIndex][i * 4 + j / 2] = transferStatus;
-                    }
-                  }
-                }
-              }
+              const essence = databaseEssence();
+              const signature = await sign(essence);
 
-              const report = [0, 0, 0, 0];
+              const counterBytes = new Uint8Array(4);
+              const counterView = new DataView(counterBytes.buffer);
+              counterView.setUint32(0, counterValue, true);
+              const energyBytes = new Uint8Array(8);
+              const energyView = new DataView(energyBytes.buffer);
+              energyView.setBigUint64(0, energy, true);
+              const transferAndReceipt = new Uint8Array(1 + receipt.length);
+              transferAndReceipt[0] = 1;
+              transferAndReceipt.set(receipt, 1);
 
-              for (let i = 0; i < NUMBER_OF_COMPUTORS; i++) {
-                for (let j = 0; j < NUMBER_OF_COMPUTORS; j++) {
-                  if (i !== j) {
-                    if (statuses[i] === undefined || statuses[i][j] === undefined) {
-                      report[3] += 1;
-                    } else {
-                      report[statuses[i][j]] += 1;
-                    }
-                  }
-                }
-              }
+              const key = await databaseKey;
 
-              if (Math.floor(report[2] / (NUMBER_OF_COMPUTORS - 1)) >= 451) {
-                const counterValue = ++counter;
-                hashesByIndex.set(counterValue, transfer.hashBytes);
-                const energyCopy = energy;
-                energy = newEnergy;
-
-                const essence = databaseEssence();
-                const secretKey = privateKey(seed, index, K12);
-                const signature = schnorrq.sign(
-                  secretKey,
-                  schnorrq.generatePublicKey(secretKey),
-                  essence
-                );
-
-                const counterBytes = new Uint8Array(4);
-                const counterView = new DataView(counterBytes.buffer);
-                counterView.setUint32(0, counterValue, true);
-                const energyBytes = new Uint8Array(8);
-                const energyView = new DataView(energyBytes.buffer);
-                energyView.setBigUint64(0, energy, true);
-                const transferAndReceipt = new Uint8Array(1 + receipt.length);
-                transferAndReceipt[0] = 1;
-                transferAndReceipt.set(receipt, 1);
-
-                const key = new Uint8Array(16);
-                K12(seedToBytes(seed), key, 16);
-
-                const aes = new aesjs.ModeOfOperation.ctr(key, new aesjs.Counter(counterValue));
-
-                try {
-                  await (
-                    await database
-                  )
-                    .batch()
-                    .put(counterValue, Buffer.from(aes.encrypt(transferAndReceipt)), {
-                      valueEncoding: 'binary',
-                    })
-                    .put('counter', Buffer.from(counterBytes), {
-                      valueEncoding: 'binary',
-                    })
-                    .put('energy', Buffer.from(energyBytes), {
-                      valueEncoding: 'binary',
-                    })
-                    .put('signature', Buffer.from(signature), {
-                      valueEncoding: 'binary',
-                    })
-                    .write();
-
-                  that.emit('energy', energy);
-                  that.emit('transfer', transfer);
-                  that.emit('transferStatus', {
-                    hash: transfer.hash,
-                    unseen: Math.floor((report[3] + report[0]) / (NUMBER_OF_COMPUTORS - 1)),
-                    seen: Math.floor(report[1] / (NUMBER_OF_COMPUTORS - 1)),
-                    processed: Math.floor(report[2] / (NUMBER_OF_COMPUTORS - 1)),
-                  });
-                  that.emit('receipt', {
-                    hash: transfer.hash,
-                    receipt,
-                    receiptBase64,
-                  });
-                } catch {
-                  energy = energyCopy;
-                }
+              const aes = new aesjs.ModeOfOperation.ctr(key, new aesjs.Counter(counterValue));
 
-                transfers.add(transfer);
-                hashes.add(transfer.hash);
+              try {
+                await (
+                  await database
+                )
+                  .batch()
+                  .put(counterValue, Buffer.from(aes.encrypt(transferAndReceipt)), {
+                    valueEncoding: 'binary',
+                  })
+                  .put('counter', Buffer.from(counterBytes), {
+                    valueEncoding: 'binary',
+                  })
+                  .put('energy', Buffer.from(energyBytes), {
+                    valueEncoding: 'binary',
+                  })
+                  .put('signature', Buffer.from(signature), {
+                    valueEncoding: 'binary',
+                  })
+                  .write();
+
+                that.emit('energy', energy);
+                that.emit('transfer', transfer);
+                that.emit('transferStatus', {
+                  hash: transfer.hash,
+                  unseen,
+                  seen,
+                  processed,
+                });
+                that.emit('receipt', {
+                  hash: transfer.hash,
+                  receipt,
+                  receiptBase64,
+                });
+              } catch {
+                energy = energyCopy;
               }
+
+              transfers.add(transfer);
+              hashes.add(transfer.hash);
             }
           }
-        }
-      },
-
-      /**
-       * Subcribes to an environment.
-       *
-       * @function addEnvironmentListener
-       * @memberof Client
-       * @param {string} environment - Environment hash.
-       * @param {Function} listener
-       *
-       * @example const listener = function (data) {
-       *   console.log(data);
-       * };
-       *
-       * client.addEvironmentListener(
-       *   'BPFJANADOGBDLNNONDILEMAICAKMEEGBFPJBKPBCEDFJIALDONODMAIMDBFKCFEE',
-       *   listener
-       * );
-       *
-       */
-      addEnvironmentListener(environment, listener) {
-        let emitter = emittersByEnvironment.get(environment);
-        if (emitter === undefined) {
-          emitter = connection.sendCommand(5, { environmentDigest: environment });
-          emittersByEnvironment.set(environment, emitter);
-        }
-        emitter.addListener('data', listener);
-      },
-
-      /**
-       * Unsubscribes from an environment.
-       *
-       * @function removeEnvironmentListener
-       * @memberof Client
-       * @param {string} environment - Environment hash.
-       * @param {Function} listener
-       */
-      removeEnvironmentListener(environment, listener) {
-        let emitter = emittersByEnvironment.get(environment);
-        if (emitter !== undefined) {
-          connection.sendCommand(6, { environmentDigest: environment });
-          emitter.removeListener('data', listener);
-          emittersByEnvironment.delete(environment);
-        }
-      },
-
-      /**
-       * Closes database and connections to computors.
-       *
-       * @function terminate
-       * @memberof Client
-       * @param {object} [options]
-       * @param {boolean} [options.closeConnection = true]
-       */
-      async terminate({ closeConnection } = { closeConnection: true }) {
-        if (closeConnection) {
-          connection.close();
-        }
-        stream?.destroy();
-        (await database).close();
-        for (const listener of infoListeners) {
-          connection.removeListener('info', listener);
-        }
-      },
-
-      /**
-       * Launches client by opening database and connections to computors.
-       *
-       * @function launch
-       * @memberof Client
-       * @fires Connection#info
-       * @fires Connection#open
-       * @fires Connection#close
-       * @fires Connection#error
-       * @fires Client#inclusion
-       * @fires Client#rejection
-       */
-      async launch() {
-        AESCounter = new Promise(function (resolve) {
-          resolveAESCounter = resolve;
-        });
-        connection.open();
-        await (await database).open();
-        stream = (await database)
-          .createReadStream({ valueEncoding: 'binary' })
-          .on('data', onData)
-          .on('end', onEnd);
-      },
-
-      async setEnergy(value) {
-        value = BigInt(value);
-        const energyBytes = new Uint8Array(8);
-        const energyView = new DataView(energyBytes.buffer);
-        energyView.setBigUint64(0, value, true);
-        const energyCopy = energy;
-        energy = value;
-        const essence = databaseEssence();
-        const { K12, schnorrq } = await crypto;
-        const secretKey = privateKey(seed, index, K12);
-        const signature = schnorrq.sign(secretKey, schnorrq.generatePublicKey(secretKey), essence);
-        try {
-          (await database)
-            .batch()
-            .put('energy', Buffer.from(energyBytes), { valueEncoding: 'binary' })
-            .put('signature', Buffer.from(signature), { valueEncoding: 'binary' })
-            .write();
-
-          that.emit('energy', value);
-        } catch {
-          energy = energyCopy;
-        }
+        },
+
+        /**
+         * @typedef {object} Account
+         * @property {string} label - Account label.
+         * @property {number} index - Identity index.
+         * @property {string} identity - Identity with checksum in uppercase hex.
+         */
+
+        /**
+         * Labels an identity of client seed, and stores the label in database.
+         *
+         * @function addAccount
+         * @memberof Client
+         * @param {string} label - Unique account label.
+         * @param {number} [accountIndex] - Identity index. Defaults to the index following the
+         * greatest index of stored accounts.
+         * @returns {Promise<Account>}
+         * @example client.addAccount('deposits-42').then(function ({ identity }) {
+         *   console.log(identity);
+         * });
+         *
+         */
+        async addAccount(label, accountIndex) {
+          await AESCounter;
+          if (typeof label !== 'string' || label.length === 0) {
+            throw new IllegalArgumentError('Illegal label.');
+          }
+          if (accountsByLabel.has(label)) {
+            throw new AlreadyExistsError(`Account ${label} already exists.`);
+          }
+          if (accountIndex === undefined) {
+            accountIndex = 0;
+            accountsByLabel.forEach(function ({ index }) {
+              accountIndex = Math.max(accountIndex, index + 1);
+            });
+          }
+          const newAccount = await account({ label, index: accountIndex });
+
+          accountsByLabel.set(label, { label, index: accountIndex });
+          try {
+            await storeAccounts();
+          } catch (error) {
+            accountsByLabel.delete(label);
+            throw error;
+          }
+          return newAccount;
+        },
+
+        /**
+         * Removes an account label from database.
+         *
+         * @function removeAccount
+         * @memberof Client
+         * @param {string} label - Account label.
+         * @returns {Promise<boolean>} `false` if there was no account with this label.
+         */
+        async removeAccount(label) {
+          await AESCounter;
+          const removedAccount = accountsByLabel.get(label);
+          if (removedAccount === undefined) {
+            return false;
+          }
+          accountsByLabel.delete(label);
+          try {
+            await storeAccounts();
+          } catch (error) {
+            accountsByLabel.set(label, removedAccount);
+            throw error;
+          }
+          return true;
+        },
+
+        /**
+         * Lists stored accounts in order of index.
+         *
+         * @function accounts
+         * @memberof Client
+         * @returns {Promise<Account[]>}
+         */
+        async accounts() {
+          await AESCounter;
+          return Promise.all(
+            Array.from(accountsByLabel.values())
+              .sort(function (a, b) {
+                return a.index - b.index;
+              })
+              .map(account)
+          );
+        },
+
+        /**
+         * Subcribes to an environment.
+         *
+         * @function addEnvironmentListener
+         * @memberof Client
+         * @param {string} environment - Environment hash.
+         * @param {Function} listener
+         *
+         * @example const listener = function (data) {
+         *   console.log(data);
+         * };
+         *
+         * client.addEvironmentListener(
+         *   'BPFJANADOGBDLNNONDILEMAICAKMEEGBFPJBKPBCEDFJIALDONODMAIMDBFKCFEE',
+         *   listener
+         * );
+         *
+         */
+        addEnvironmentListener(environment, listener) {
+          let emitter = emittersByEnvironment.get(environment);
+          if (emitter === undefined) {
+            emitter = connection.sendCommand(5, { environmentDigest: environment });
+            emittersByEnvironment.set(environment, emitter);
+          }
+          emitter.addListener('data', listener);
+        },
+
+        /**
+         * Unsubscribes from an environment.
+         *
+         * @function removeEnvironmentListener
+         * @memberof Client
+         * @param {string} environment - Environment hash.
+         * @param {Function} listener
+         */
+        removeEnvironmentListener(environment, listener) {
+          let emitter = emittersByEnvironment.get(environment);
+          if (emitter !== undefined) {
+            connection.sendCommand(6, { environmentDigest: environment });
+            emitter.removeListener('data', listener);
+            emittersByEnvironment.delete(environment);
+          }
+        },
+
+        /**
+         * Closes database and connections to computors.
+         *
+         * @function terminate
+         * @memberof Client
+         * @param {object} [options]
+         * @param {boolean} [options.closeConnection = true] - Set to `false` to keep a shared
+         * connection open.
+         * @returns {Promise} Resolves once database is closed.
+         */
+        async terminate({ closeConnection } = { closeConnection: true }) {
+          if (closeConnection) {
+            connection.close();
+          }
+          stream?.destroy();
+          for (const listener of infoListeners) {
+            connection.removeListener('info', listener);
+          }
+          Object.entries(connectionListeners).forEach(function ([event, listener]) {
+            connection.removeListener(event, listener);
+          });
+          await (await database).close();
+        },
+
+        /**
+         * Launches client by opening database and connections to computors.
+         *
+         * @function launch
+         * @memberof Client
+         * @fires Connection#info
+         * @fires Connection#open
+         * @fires Connection#close
+         * @fires Connection#error
+         * @fires Client#error
+         * @fires Client#inclusion
+         * @fires Client#rejection
+         * @param {object} [options]
+         * @param {boolean} [options.openConnection = true] - Set to `false` to keep a shared
+         * connection as is.
+         */
+        async launch({ openConnection } = { openConnection: true }) {
+          AESCounter = new Promise(function (resolve) {
+            resolveAESCounter = resolve;
+          });
+          if (openConnection) {
+            connection.open();
+          }
+          Object.entries(connectionListeners).forEach(function ([event, listener]) {
+            if (!connection.listeners(event).includes(listener)) {
+              connection.addListener(event, listener);
+            }
+          });
+          await (await database).open();
+          stream = (await database)
+            .createReadStream({ valueEncoding: 'binary' })
+            .on('data', onData)
+            .on('end', onEnd);
+        },
+
+        async setEnergy(value) {
+          await AESCounter;
+          value = BigInt(value);
+          const energyBytes = new Uint8Array(8);
+          const energyView = new DataView(energyBytes.buffer);
+          energyView.setBigUint64(0, value, true);
+          const energyCopy = energy;
+          energy = value;
+          const essence = databaseEssence();
+          const signature = await sign(essence);
+          try {
+            (await database)
+              .batch()
+              .put('energy', Buffer.from(energyBytes), { valueEncoding: 'binary' })
+              .put('signature', Buffer.from(signature), { valueEncoding: 'binary' })
+              .write();
+
+            that.emit('energy', value);
+          } catch {
+            energy = energyCopy;
+          }
+        },
       },
-    });
+      EventEmitter.prototype
+    );
   };
 
-  return clientMixin.call(connection);
+  return clientMixin.call({});
 };
@@ -1,95 +1,33 @@
 'use strict';
 
-import WebSocket from 'isomorphic-ws';
 import EventEmitter from 'eventemitter2';
-import { crypto } from './crypto/index.js';
+import { crypto as defaultCrypto } from './crypto/index.js';
 import { bytesToShiftedHex, shiftedHexToBytes } from './utils/hex.js';
-import { PUBLIC_KEY_LENGTH } from './identity.js';
 import { timestamp } from './timestamp.js';
-import { HASH_LENGTH, SIGNATURE_LENGTH, TRANSFER_LENGTH } from './transfer.js';
+import { HASH_LENGTH, SIGNATURE_LENGTH } from './transfer.js';
+import { webSocketTransport, DEFAULT_PORT } from './transports/index.js';
+import { QUORUM } from './receipt.js';
+import {
+  MAX_FRAME_SIZE,
+  NUMBER_OF_COMPUTORS,
+  decode,
+  encode,
+  frameDecoder,
+  offsetOf,
+  sizeOf,
+} from './protocol.js';
+import { AbortError, ConnectionError, IllegalArgumentError, TimeoutError } from './errors.js';
+
+/* globals CryptoPool */
 
-export const NUMBER_OF_COMPUTORS = 26 * 26;
 const NUMBER_OF_CONNECTIONS = 3;
 
-const PROTOCOL_VERSION = 256;
-const REQUEST_TYPES = {
-  WEBSOCKET: 0,
-  EXCHANGE_PUBLIC_PEERS: 1,
-  BROADCAST_TRANSFER: 3,
-};
-
-const SIZE_OFFSET = 0;
-const SIZE_LENGTH = 4;
-const PROTOCOL_VERSION_OFFSET = SIZE_OFFSET + SIZE_LENGTH;
-const PROTOCOL_VERSION_LENGTH = 2;
-const REQUEST_OFFSET = PROTOCOL_VERSION_OFFSET + PROTOCOL_VERSION_LENGTH;
-const REQUEST_LENGTH = 2;
-const HEADER_LENGTH = REQUEST_OFFSET + REQUEST_LENGTH;
-
-const REQUEST_TYPE_OFFSET = HEADER_LENGTH;
-const REQUEST_TYPE_LENGTH = 1;
-const REQUEST_TYPE_PADDING = 7;
-const REQUEST_TIMESTAMP_OFFSET = REQUEST_TYPE_OFFSET + REQUEST_TYPE_LENGTH + REQUEST_TYPE_PADDING;
-const REQUEST_TIMESTAMP_LENGTH = 8;
-
-const TRANSFER_STATUS_REQUEST_DIGEST_OFFSET = REQUEST_TIMESTAMP_OFFSET + REQUEST_TIMESTAMP_LENGTH;
-const TRANSFER_STATUS_REQUEST_DIGEST_LENGTH = HASH_LENGTH;
-const TRANSFER_STATUS_REQUEST_COMPUTOR_INDEX_OFFSET =
-  TRANSFER_STATUS_REQUEST_DIGEST_OFFSET + TRANSFER_STATUS_REQUEST_DIGEST_LENGTH;
-const TRANSFER_STATUS_REQUEST_COMPUTOR_INDEX_LENGTH = 2;
-const TRANSFER_STATUS_REQUEST_LENGTH =
-  TRANSFER_STATUS_REQUEST_COMPUTOR_INDEX_OFFSET + TRANSFER_STATUS_REQUEST_COMPUTOR_INDEX_LENGTH;
-
-const WEBSOCKET_REQUEST_TYPES = {
-  GET_COMPUTER_STATE: 1,
-  GET_TRANSFER_STATUS: 3,
-};
+const COMPUTER_STATE_OFFSET = offsetOf('computerState', 'computorIndex');
+const COMPUTER_STATE_SIGNATURE_OFFSET = offsetOf('computerState', 'signature');
 
-const RESPONSE_TYPE_OFFSET = HEADER_LENGTH;
-const RESPONSE_TYPE_LENGTH = 1;
-const RESPONSE_TYPE_PADDING = 7;
-const RESPONSE_TIMESTAMP_OFFSET =
-  RESPONSE_TYPE_OFFSET + RESPONSE_TYPE_LENGTH + RESPONSE_TYPE_PADDING;
-const RESPONSE_TIMESTAMP_LENGTH = 8;
-
-export const COMPUTER_STATE_COMPUTOR_INDEX_OFFSET =
-  RESPONSE_TIMESTAMP_OFFSET + RESPONSE_TIMESTAMP_LENGTH;
-const COMPUTER_STATE_COMPUTOR_INDEX_LENGTH = 2;
-const COMPUTER_STATE_EPOCH_OFFSET =
-  COMPUTER_STATE_COMPUTOR_INDEX_OFFSET + COMPUTER_STATE_COMPUTOR_INDEX_LENGTH;
-const COMPUTER_STATE_EPOCH_LENGTH = 2;
-const COMPUTER_STATE_TICK_OFFSET = COMPUTER_STATE_EPOCH_OFFSET + COMPUTER_STATE_EPOCH_LENGTH;
-const COMPUTER_STATE_TICK_LENGTH = 4;
-const COMPUTER_STATE_TIMESTAMP_OFFSET = COMPUTER_STATE_TICK_OFFSET + COMPUTER_STATE_TICK_LENGTH;
-const COMPUTER_STATE_TIMESTAMP_LENGTH = 8;
-export const COMPUTER_STATE_COMPUTOR_PUBLIC_KEYS_OFFSET =
-  COMPUTER_STATE_TIMESTAMP_OFFSET + COMPUTER_STATE_TIMESTAMP_LENGTH;
-const COMPUTER_STATE_COMPUTOR_PUBLIC_KEYS_LENGTH = NUMBER_OF_COMPUTORS * PUBLIC_KEY_LENGTH;
-export const COMPUTER_STATE_SIGNATURE_OFFSET =
-  COMPUTER_STATE_COMPUTOR_PUBLIC_KEYS_OFFSET + COMPUTER_STATE_COMPUTOR_PUBLIC_KEYS_LENGTH;
-export const COMPUTER_STATE_SIGNATURE_LENGTH = SIGNATURE_LENGTH;
-
-const PUBLIC_PEER_LENGTH = 4;
-const NUMBER_OF_PUBLIC_PEERS = 4;
-
-export const TRANSFER_STATUS_DIGEST_OFFSET = RESPONSE_TIMESTAMP_OFFSET + RESPONSE_TIMESTAMP_LENGTH;
-const TRANSFER_STATUS_DIGEST_LENGTH = HASH_LENGTH;
-export const TRANSFER_STATUS_STATUS_OFFSET =
-  TRANSFER_STATUS_DIGEST_OFFSET + TRANSFER_STATUS_DIGEST_LENGTH;
-export const TRANSFER_STATUS_STATUS_LENGTH = (NUMBER_OF_COMPUTORS * 2) / 8;
-const TRANSFER_STATUS_STATUS_PADDING = 3;
-export const TRANSFER_STATUS_COMPUTOR_INDEX_OFFSET =
-  TRANSFER_STATUS_STATUS_OFFSET + TRANSFER_STATUS_STATUS_LENGTH + TRANSFER_STATUS_STATUS_PADDING;
-export const TRANSFER_STATUS_COMPUTOR_INDEX_LENGTH = 2;
-const TRANSFER_STATUS_EPOCH_OFFSET =
-  TRANSFER_STATUS_COMPUTOR_INDEX_OFFSET + TRANSFER_STATUS_COMPUTOR_INDEX_LENGTH;
-const TRANSFER_STATUS_EPOCH_LENGTH = 2;
-const TRANSFER_STATUS_TICK_OFFSET = TRANSFER_STATUS_EPOCH_OFFSET + TRANSFER_STATUS_EPOCH_LENGTH;
-const TRANSFER_STATUS_TICK_LENGTH = 4;
-export const TRANSFER_STATUS_SIGNATURE_OFFSET =
-  TRANSFER_STATUS_TICK_OFFSET + TRANSFER_STATUS_TICK_LENGTH;
-export const TRANSFER_STATUS_SIGNATURE_LENGTH = SIGNATURE_LENGTH;
-const TRANSFER_STATUS_LENGTH = TRANSFER_STATUS_SIGNATURE_OFFSET + TRANSFER_STATUS_SIGNATURE_LENGTH;
+const TRANSFER_STATUS_OFFSET = offsetOf('transferStatus', 'digest');
+const TRANSFER_STATUS_SIGNATURE_OFFSET = offsetOf('transferStatus', 'signature');
+const TRANSFER_STATUS_LENGTH = sizeOf('transferStatus');
 
 const compareResponses = function (
   responses,
@@ -126,6 +64,14 @@ const compareResponses = function (
  * @param {number} params.connectionTimeoutDuration - Connection timeout duration in milliseconds.
  * @param {number} params.computerStateSynchronizationDelayDuration - Max delay to wait for computer state response.
  * @param {number} [params.computerStateSynchronizationTimeoutDuration] - If no new tick appears after this timeout, an info event is emitted with updated computer state.
+ * @param {Function} [params.transport] - Transport factory, `webSocketTransport` by default.
+ * Can be `tcpTransport`, `loopbackTransport(listener)` or a custom factory.
+ * @param {number} [params.port=21841] - Port of peers.
+ * @param {string} [params.scheme='ws'] - URL scheme of peers, `ws` or `wss`. Ignored by raw transports.
+ * @param {number} [params.maxFrameSize=1048576] - Max size of a frame. Connections to peers which
+ * declare larger or empty frames are closed, with an error event.
+ * @param {Promise<Crypto>|CryptoPool} [params.crypto] - Crypto which verifies signatures of
+ * responses, such as a `cryptoPool`. Runs on the main thread by default.
  * @fires Connection#info
  * @fires Connection#open
  * @fires Connection#close
@@ -151,6 +97,11 @@ export const connection = function ({
   connectionTimeoutDuration = 3000,
   computerStateSynchronizationTimeoutDuration = 500,
   computerStateSynchronizationDelayDuration = 500,
+  transport = webSocketTransport,
+  port = DEFAULT_PORT,
+  scheme = 'ws',
+  maxFrameSize = MAX_FRAME_SIZE,
+  crypto = defaultCrypto,
 }) {
   let sockets = [];
   let latestComputerState = {
@@ -160,6 +111,7 @@ export const connection = function ({
   let latestComputerStateRequestTimestamp = 0n;
   let computerStateComparisonRightOffset = 1;
   let computerStateSynchronizationTimeout;
+  let computerStateRequestTimeout;
 
   const adminPublicKeyBytes = shiftedHexToBytes(adminPublicKey.toLowerCase());
   let isAdminPublicKeyNULL = true;
@@ -170,7 +122,7 @@ export const connection = function ({
     }
   }
   if (isAdminPublicKeyNULL) {
-    throw new Error('Illegal admin public key.');
+    throw new IllegalArgumentError('Illegal admin public key.');
   }
 
   const publicPeers = [];
@@ -178,24 +130,101 @@ export const connection = function ({
   const computerStateResponsesByTimestamp = new Map();
   const transferStatusResponsesStateByDigest = new Map();
   const transferStatusRequestsToResendByDigest = new Map();
+  const syncWaiters = new Set();
+
+  const isSynchronized = function (minStatus) {
+    return (
+      latestComputerState.status >= minStatus &&
+      latestComputerState.computorPublicKeys !== undefined
+    );
+  };
+
+  const computerStateSnapshot = function () {
+    return {
+      ...latestComputerState,
+      computorPublicKeys: [...latestComputerState.computorPublicKeys],
+    };
+  };
+
+  const settleSyncWaiters = function () {
+    syncWaiters.forEach(function (waiter) {
+      if (isSynchronized(waiter.minStatus)) {
+        syncWaiters.delete(waiter);
+        waiter.resolve(computerStateSnapshot());
+      }
+    });
+  };
+
+  /**
+   * @typedef {object} ComputerState
+   * @property {number} status - Number of peers which agree on computer state.
+   * @property {number} epoch - Current epoch.
+   * @property {number} tick - Current tick.
+   * @property {bigint} timestamp - Timestamp of computer state.
+   * @property {Uint8Array[]} computorPublicKeys - Public keys of computors, signed by admin.
+   * @property {Uint8Array} bytes - Admin-signed computer state, as included in receipts.
+   */
+
+  /**
+   * Waits until enough peers agree on admin-signed computer state.
+   *
+   * @function waitForSync
+   * @memberof Connection
+   * @param {object} [options]
+   * @param {number} [options.minStatus=2] - Number of peers which must agree, 1 to 3.
+   * @param {number} [options.timeout] - Rejects after this many milliseconds. Waits indefinitely if omitted.
+   * @returns {Promise<ComputerState>} Verified computer state. Rejects on timeout, or if connection closes.
+   * @example connection.waitForSync({ minStatus: 3, timeout: 10000 }).then(function ({ epoch, tick }) {
+   *   console.log(epoch, tick);
+   * });
+   *
+   */
+  const waitForSync = function ({ minStatus = 2, timeout } = {}) {
+    if (!Number.isInteger(minStatus) || minStatus < 1 || minStatus > NUMBER_OF_CONNECTIONS) {
+      return Promise.reject(new IllegalArgumentError('Illegal minStatus.'));
+    }
+    if (isSynchronized(minStatus)) {
+      return Promise.resolve(computerStateSnapshot());
+    }
+    return new Promise(function (resolve, reject) {
+      let syncTimeout;
+      const waiter = {
+        minStatus,
+        resolve(computerState) {
+          clearTimeout(syncTimeout);
+          resolve(computerState);
+        },
+        reject(error) {
+          clearTimeout(syncTimeout);
+          syncWaiters.delete(waiter);
+          reject(error);
+        },
+      };
+      if (timeout !== undefined) {
+        syncTimeout = setTimeout(function () {
+          waiter.reject(new TimeoutError('Synchronization timed out.'));
+        }, timeout);
+      }
+      syncWaiters.add(waiter);
+    });
+  };
+
+  /**
+   * Shorthand for `waitForSync()`, resolves once 2 peers agree on computer state.
+   *
+   * @function ready
+   * @memberof Connection
+   * @returns {Promise<ComputerState>}
+   */
+  const ready = function () {
+    return waitForSync();
+  };
 
   const getComputerState = function () {
-    const length =
-      HEADER_LENGTH + REQUEST_TYPE_LENGTH + REQUEST_TYPE_PADDING + REQUEST_TIMESTAMP_LENGTH;
-    const request = new Uint8Array(length);
-    const requestView = new DataView(request.buffer);
     const ts = timestamp();
     computerStateResponsesByTimestamp.delete(latestComputerStateRequestTimestamp);
     latestComputerStateRequestTimestamp = ts;
-    requestView['setUint' + SIZE_LENGTH * 8](SIZE_OFFSET, length, true);
-    requestView['setUint' + PROTOCOL_VERSION_LENGTH * 8](
-      PROTOCOL_VERSION_OFFSET,
-      PROTOCOL_VERSION,
-      true
-    );
-    requestView['setUint' + REQUEST_LENGTH * 8](REQUEST_OFFSET, REQUEST_TYPES.WEBSOCKET, true);
-    request[REQUEST_TYPE_OFFSET] = WEBSOCKET_REQUEST_TYPES.GET_COMPUTER_STATE;
-    requestView.setBigUint64(REQUEST_TIMESTAMP_OFFSET, ts, true);
+    const request = encode('computerStateRequest', { timestamp: ts });
 
     computerStateResponsesByTimestamp.set(ts, []);
 
@@ -209,20 +238,7 @@ export const connection = function ({
   };
 
   const exchangePublicPeers = function (socket) {
-    const length = HEADER_LENGTH + NUMBER_OF_PUBLIC_PEERS * PUBLIC_PEER_LENGTH;
-    const request = new Uint8Array(length);
-    const requestView = new DataView(request.buffer);
-    requestView['setUint' + SIZE_LENGTH * 8](SIZE_OFFSET, length, true);
-    requestView['setUint' + PROTOCOL_VERSION_LENGTH * 8](
-      PROTOCOL_VERSION_OFFSET,
-      PROTOCOL_VERSION,
-      true
-    );
-    requestView['setUint' + REQUEST_LENGTH * 8](
-      REQUEST_OFFSET,
-      REQUEST_TYPES.EXCHANGE_PUBLIC_PEERS,
-      true
-    );
+    const request = encode('exchangePublicPeers');
     socket.open.then(function () {
       if (socket.readyState === 1) {
         socket.send(request.buffer);
@@ -231,21 +247,7 @@ export const connection = function ({
   };
 
   const broadcastTransfer = function (transfer) {
-    const length = HEADER_LENGTH + TRANSFER_LENGTH;
-    const request = new Uint8Array(length);
-    const requestView = new DataView(request.buffer);
-    requestView['setUint' + SIZE_LENGTH * 8](SIZE_OFFSET, length, true);
-    requestView['setUint' + PROTOCOL_VERSION_LENGTH * 8](
-      PROTOCOL_VERSION_OFFSET,
-      PROTOCOL_VERSION,
-      true
-    );
-    requestView['setUint' + REQUEST_LENGTH * 8](
-      REQUEST_OFFSET,
-      REQUEST_TYPES.BROADCAST_TRANSFER,
-      true
-    );
-    request.set(transfer, HEADER_LENGTH);
+    const request = encode('broadcastTransfer', { transfer });
 
     sockets.forEach(function (socket) {
       socket.open.then(function () {
@@ -256,77 +258,273 @@ export const connection = function ({
     });
   };
 
-  const getTransferStatus = async function (digest) {
+  const delay = function (duration) {
+    return new Promise(function (resolve) {
+      setTimeout(resolve, duration);
+    });
+  };
+
+  const abortError = function () {
+    return new AbortError('Transfer status query aborted.');
+  };
+
+  const requestTransferStatuses = async function (queries, { interval, concurrency }) {
+    queries.forEach(function (query) {
+      query.digestBytes = shiftedHexToBytes(query.digest.toLowerCase());
+      query.requestsToResend = [];
+      transferStatusRequestsToResendByDigest.set(query.digest, query.requestsToResend);
+    });
+
+    for (let i = 0; i < NUMBER_OF_COMPUTORS; i += concurrency) {
+      if (i > 0) {
+        await delay(interval);
+      }
+      const pendingQueries = queries.filter(function ({ state, requestTimestamp }) {
+        return (
+          !state.isDetermined &&
+          state.waiters.size > 0 &&
+          state.requestTimestamp === requestTimestamp
+        );
+      });
+      if (pendingQueries.length === 0) {
+        return;
+      }
+
+      for (let j = i; j < Math.min(i + concurrency, NUMBER_OF_COMPUTORS); j++) {
+        pendingQueries.forEach(function ({ digestBytes, requestTimestamp, requestsToResend }) {
+          const request = encode('transferStatusRequest', {
+            timestamp: requestTimestamp,
+            digest: digestBytes,
+            computorIndex: j,
+          });
+          requestsToResend.push(request);
+
+          sockets.forEach(function (socket) {
+            socket.open.then(function () {
+              if (socket.readyState === 1) {
+                socket.send(request.buffer);
+              }
+            });
+          });
+        });
+      }
+    }
+  };
+
+  const resetTransferStatusState = function (digest, computerState) {
     let state = transferStatusResponsesStateByDigest.get(digest);
     if (state === undefined) {
       state = {};
-      state.responses = Array(NUMBER_OF_COMPUTORS).fill(Array(NUMBER_OF_CONNECTIONS));
-      state.resolvers = [];
-    } else {
-      state.responses.fill(Array(NUMBER_OF_CONNECTIONS));
+      state.waiters = new Set();
     }
+    state.responses = Array.from(Array(NUMBER_OF_COMPUTORS), function () {
+      return Array(NUMBER_OF_CONNECTIONS);
+    });
     state.requestTimestamp = timestamp();
     state.processedFlags = Array(NUMBER_OF_COMPUTORS).fill(false);
     state.computorReports = [];
-    // TODO: wait for computer state to be initialized.
-    state.computerState = {
-      ...latestComputerState,
-      computorPublicKeys: [...latestComputerState.computorPublicKeys],
-      bytes: [...latestComputerState.bytes],
-    };
+    state.computerState = computerState;
     state.transferStatusComparisonStatuses = Array(NUMBER_OF_COMPUTORS).fill(1);
     state.transferStatusComparisonRightOffsets = Array(NUMBER_OF_COMPUTORS).fill(1);
-    state.statuses = [];
+    // Counts of unseen, seen, processed and missing statuses, over the reports of all computors
+    // about all other computors.
+    state.statusCounts = [0, 0, 0, NUMBER_OF_COMPUTORS * (NUMBER_OF_COMPUTORS - 1)];
     transferStatusResponsesStateByDigest.set(digest, state);
+    return state;
+  };
 
-    const promise = new Promise(function (resolve) {
-      state.resolvers.push(resolve);
-    });
+  /**
+   * @typedef {object} TransferStatus
+   * @property {string} hash - Transfer hash.
+   * @property {Uint8Array} [receipt] - Computer state and computor reports, if a quorum of
+   * computors has processed the transfer.
+   * @property {number} unseen - Number of computors which have not seen the transfer.
+   * @property {number} seen - Number of computors which have seen the transfer.
+   * @property {number} processed - Number of computors which have processed the transfer.
+   * @property {number} [epoch] - Epoch of latest report.
+   * @property {number} [tick] - Tick of latest report.
+   */
 
-    const request = new Uint8Array(TRANSFER_STATUS_REQUEST_LENGTH);
-    const requestView = new DataView(request.buffer);
+  /**
+   * Queries statuses of many transfers in a single sweep over computor indices, after waiting
+   * for sync. Each batch carries one request per computor for every transfer which is still
+   * pending, and a transfer drops out of the sweep as soon as 451 computors have processed it, or
+   * report it as unseen.
+   *
+   * @function getTransferStatuses
+   * @memberof Connection
+   * @param {string[]} digests - Transfer hashes.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the query, rejecting with an `AbortError`.
+   * @param {number} [options.interval=100] - Delay between batches of requests in milliseconds.
+   * @param {number} [options.concurrency=1] - Number of computors queried in each batch.
+   * @param {number} [options.deadline] - Rejects after this many milliseconds, with the
+   * partial `TransferStatus` of each digest attached to the error as `reports`.
+   * @returns {Promise<TransferStatus[]>} Statuses in order of `digests`.
+   */
+  const getTransferStatuses = function (
+    digests,
+    { signal, interval = 100, concurrency = 1, deadline } = {}
+  ) {
+    if (!Array.isArray(digests)) {
+      return Promise.reject(new IllegalArgumentError('Illegal digests.'));
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      return Promise.reject(new IllegalArgumentError('Illegal concurrency.'));
+    }
 
-    requestView['setUint' + SIZE_LENGTH * 8](SIZE_OFFSET, TRANSFER_STATUS_REQUEST_LENGTH, true);
-    requestView['setUint' + PROTOCOL_VERSION_LENGTH * 8](
-      PROTOCOL_VERSION_OFFSET,
-      PROTOCOL_VERSION,
-      true
-    );
-    requestView['setUint' + REQUEST_LENGTH * 8](REQUEST_OFFSET, REQUEST_TYPES.WEBSOCKET, true);
-    request[REQUEST_TYPE_OFFSET] = WEBSOCKET_REQUEST_TYPES.GET_TRANSFER_STATUS;
-    requestView.setBigUint64(REQUEST_TIMESTAMP_OFFSET, state.requestTimestamp, true);
-
-    request.set(shiftedHexToBytes(digest.toLowerCase()), TRANSFER_STATUS_REQUEST_DIGEST_OFFSET);
-
-    const requestsToResend = [];
-    for (let i = 0; i < NUMBER_OF_COMPUTORS; i++) {
-      // TODO: stop sending if status is determined.
-      await new Promise(function (resolve) {
-        setTimeout(function () {
-          resolve();
-        }, 100);
+    return new Promise(function (resolve, reject) {
+      const uniqueDigests = Array.from(new Set(digests));
+      const statesByDigest = new Map();
+      const transferStatusesByDigest = new Map();
+      const waitersByDigest = new Map();
+      let deadlineTimeout;
+      let settled = false;
+
+      const detach = function (digest) {
+        const state = statesByDigest.get(digest);
+        if (state !== undefined) {
+          state.waiters.delete(waitersByDigest.get(digest));
+          if (
+            state.waiters.size === 0 &&
+            transferStatusResponsesStateByDigest.get(digest) === state
+          ) {
+            transferStatusResponsesStateByDigest.delete(digest);
+            transferStatusRequestsToResendByDigest.delete(digest);
+          }
+        }
+      };
+      const onAbort = function () {
+        fail(abortError());
+      };
+      const settle = function () {
+        settled = true;
+        clearTimeout(deadlineTimeout);
+        if (signal !== undefined) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        uniqueDigests.forEach(detach);
+      };
+      const fail = function (error) {
+        if (!settled) {
+          settle();
+          reject(error);
+        }
+      };
+      const succeed = function () {
+        settle();
+        resolve(
+          digests.map(function (digest) {
+            return transferStatusesByDigest.get(digest);
+          })
+        );
+      };
+
+      uniqueDigests.forEach(function (digest) {
+        waitersByDigest.set(digest, {
+          resolve: function (transferStatus) {
+            if (!settled) {
+              transferStatusesByDigest.set(digest, transferStatus);
+              detach(digest);
+              if (transferStatusesByDigest.size === uniqueDigests.length) {
+                succeed();
+              }
+            }
+          },
+          reject: fail,
+        });
       });
 
-      requestView['setUint' + TRANSFER_STATUS_REQUEST_COMPUTOR_INDEX_LENGTH * 8](
-        TRANSFER_STATUS_REQUEST_COMPUTOR_INDEX_OFFSET,
-        i,
-        true
-      );
+      if (uniqueDigests.length === 0) {
+        succeed();
+        return;
+      }
+
+      if (signal !== undefined) {
+        if (signal.aborted) {
+          fail(abortError());
+          return;
+        }
+        signal.addEventListener('abort', onAbort);
+      }
 
-      const request2 = request.slice();
-      requestsToResend.push(request2);
+      if (deadline !== undefined) {
+        deadlineTimeout = setTimeout(function () {
+          const error = new TimeoutError('Transfer status query deadline exceeded.');
+          error.reports = digests.map(function (digest) {
+            const state = statesByDigest.get(digest);
+            return (
+              transferStatusesByDigest.get(digest) ||
+              (state && state.report) || {
+                hash: digest,
+                unseen: NUMBER_OF_COMPUTORS,
+                seen: 0,
+                processed: 0,
+              }
+            );
+          });
+          fail(error);
+        }, deadline);
+      }
 
-      sockets.forEach(function (socket) {
-        socket.open.then(function () {
-          if (socket.readyState === 1) {
-            socket.send(request2.buffer);
+      // Transfers which are only seen are still pending, and are queried again in another sweep,
+      // once computer state is synchronized anew.
+      const sweep = function () {
+        waitForSync().then(async function (computerState) {
+          if (settled) {
+            return;
           }
-        });
-      });
-    }
-    transferStatusRequestsToResendByDigest.set(digest, requestsToResend);
 
-    return promise;
+          const queries = uniqueDigests
+            .filter(function (digest) {
+              return !transferStatusesByDigest.has(digest);
+            })
+            .map(function (digest) {
+              const state = resetTransferStatusState(digest, computerState);
+              state.waiters.add(waitersByDigest.get(digest));
+              statesByDigest.set(digest, state);
+              return { digest, state, requestTimestamp: state.requestTimestamp };
+            });
+
+          await requestTransferStatuses(queries, { interval, concurrency });
+          await delay(computerStateSynchronizationDelayDuration);
+          if (!settled) {
+            sweep();
+          }
+        }, fail);
+      };
+
+      sweep();
+    });
+  };
+
+  /**
+   * Queries status of a transfer from each computor, after waiting for sync. Stops sending
+   * requests as soon as 451 computors have processed the transfer, or report it as unseen.
+   *
+   * @function getTransferStatus
+   * @memberof Connection
+   * @param {string} digest - Transfer hash.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the query, rejecting with an `AbortError`.
+   * @param {number} [options.interval=100] - Delay between batches of requests in milliseconds.
+   * @param {number} [options.concurrency=1] - Number of computors queried in each batch.
+   * @param {number} [options.deadline] - Rejects after this many milliseconds, with the
+   * partial `TransferStatus` attached to the error as `report`.
+   * @returns {Promise<TransferStatus>}
+   */
+  const getTransferStatus = function (digest, options) {
+    return getTransferStatuses([digest], options).then(
+      function ([transferStatus]) {
+        return transferStatus;
+      },
+      function (error) {
+        if (error.reports !== undefined) {
+          error.report = error.reports[0];
+        }
+        throw error;
+      }
+    );
   };
 
   /**
@@ -334,7 +532,7 @@ export const connection = function ({
    */
 
   /**
-   * Terminates all 3 WebSocket connections.
+   * Terminates all 3 connections.
    *
    * @function close
    * @memberof Connection
@@ -344,16 +542,25 @@ export const connection = function ({
       socket.terminate();
     });
     clearTimeout(computerStateSynchronizationTimeout);
+    clearTimeout(computerStateRequestTimeout);
     latestComputerState.status = 0;
     this.emit('info', {
       computerState: {
         ...latestComputerState,
-        computorPublicKeys: [...latestComputerState.computorPublicKeys],
+        computorPublicKeys: [...(latestComputerState.computorPublicKeys || [])],
       },
       peers: sockets.map(function ({ ip, readyState }) {
         return { ip, readyState };
       }),
     });
+    syncWaiters.forEach(function (waiter) {
+      waiter.reject(new ConnectionError('Connection closed.'));
+    });
+    transferStatusResponsesStateByDigest.forEach(function (state) {
+      state.waiters.forEach(function (waiter) {
+        waiter.reject(new ConnectionError('Connection closed.'));
+      });
+    });
   };
 
   const connectionMixin = function () {
@@ -401,11 +608,13 @@ export const connection = function ({
       }
 
       const openSocket = function (i) {
-        const socket = (sockets[i] = new WebSocket(
-          ip ? `ws://${ip}:21841` : `ws://${peers[i]}:21841`
-        ));
+        const socket = (sockets[i] = transport({
+          host: ip || peers[i],
+          port,
+          scheme,
+          maxFrameSize,
+        }));
         sockets[i].i = i;
-        sockets[i].binaryType = 'arraybuffer';
         sockets[i].ip = ip || peers[i];
 
         let resolveOnOpenOrClose;
@@ -426,10 +635,10 @@ export const connection = function ({
         socket.onopen = function (event) {
           clearTimeout(timeout);
           /**
-           * Open event. Emitted when a WebSocket connection opens.
+           * Open event. Emitted when a connection opens.
            *
            * @event Connection#open
-           * @param {event} event - WebSocket event.
+           * @param {event} event - Transport event.
            */
           that.emit('open', event);
           that.emit('info', {
@@ -455,392 +664,297 @@ export const connection = function ({
           });
         };
 
-        socket.onmessage = async function (message) {
-          let offset = 0;
-          const data = new Uint8Array(message.data);
-          const dataView = new DataView(message.data);
-          while (offset < data.length) {
-            const response = data.subarray(
-              offset,
-              offset + dataView['getUint' + SIZE_LENGTH * 8](SIZE_OFFSET, true)
-            );
-            const responseView = new DataView(response.buffer);
-
-            switch (responseView['getUint' + REQUEST_LENGTH * 8](REQUEST_OFFSET, true)) {
-              case REQUEST_TYPES.WEBSOCKET:
-                switch (response[RESPONSE_TYPE_OFFSET]) {
-                  case WEBSOCKET_REQUEST_TYPES.GET_COMPUTER_STATE:
-                    {
-                      const computorIndex = responseView[
-                        'getUint' + COMPUTER_STATE_COMPUTOR_INDEX_LENGTH * 8
-                      ](COMPUTER_STATE_COMPUTOR_INDEX_OFFSET, true);
-
-                      if (computorIndex === NUMBER_OF_COMPUTORS) {
-                        const hash = new Uint8Array(HASH_LENGTH);
-                        (await crypto).K12(
-                          response.slice(
-                            COMPUTER_STATE_COMPUTOR_INDEX_OFFSET,
-                            COMPUTER_STATE_SIGNATURE_OFFSET
-                          ),
-                          hash,
-                          HASH_LENGTH
-                        );
-                        if (
-                          (await crypto).schnorrq.verify(
-                            adminPublicKeyBytes,
-                            hash,
-                            response.slice(
-                              COMPUTER_STATE_SIGNATURE_OFFSET,
-                              COMPUTER_STATE_SIGNATURE_OFFSET + COMPUTER_STATE_SIGNATURE_LENGTH
-                            )
-                          ) === 1
-                        ) {
-                          const responseTimestamp = responseView.getBigUint64(
-                            RESPONSE_TIMESTAMP_OFFSET,
-                            true
-                          );
-                          const timestamp = responseView.getBigUint64(
-                            COMPUTER_STATE_TIMESTAMP_OFFSET,
-                            true
-                          );
-                          const responses =
-                            computerStateResponsesByTimestamp.get(responseTimestamp);
-                          if (responses !== undefined) {
-                            responses[socket.i] = response;
-
-                            if (responses.length === 1) {
-                              latestComputerState.status = 1;
-                              that.emit('info', {
-                                computerState: {
-                                  ...latestComputerState,
-                                  computorPublicKeys: [
-                                    ...(latestComputerState?.computorPublicKeys || []),
-                                  ],
-                                },
-                                peers: sockets.map(function ({ ip, readyState }) {
-                                  return { ip, readyState };
-                                }),
-                              });
-                              return;
-                            }
-
-                            const { status, rightOffset } = compareResponses(
-                              responses
-                                .filter(function (response) {
-                                  return response !== undefined;
-                                })
-                                .map(function (response) {
-                                  return response.subarray(
-                                    COMPUTER_STATE_SIGNATURE_OFFSET,
-                                    COMPUTER_STATE_SIGNATURE_OFFSET +
-                                      COMPUTER_STATE_SIGNATURE_LENGTH
-                                  );
-                                }),
-                              latestComputerState.status,
-                              computerStateComparisonRightOffset
-                            );
-
-                            computerStateComparisonRightOffset = rightOffset;
-
-                            if (latestComputerState.status < status) {
-                              latestComputerStateSynchronizationTimestamp = Date.now();
-                              latestComputerState = {
-                                status,
-                                epoch: responseView['getUint' + COMPUTER_STATE_EPOCH_LENGTH * 8](
-                                  COMPUTER_STATE_EPOCH_OFFSET,
-                                  true
-                                ),
-                                tick: responseView['getUint' + COMPUTER_STATE_TICK_LENGTH * 8](
-                                  COMPUTER_STATE_TICK_OFFSET,
-                                  true
-                                ),
-                                timestamp,
-                                computorPublicKeys: Array(NUMBER_OF_COMPUTORS),
-                                bytes: response.slice(
-                                  COMPUTER_STATE_COMPUTOR_INDEX_OFFSET,
-                                  COMPUTER_STATE_SIGNATURE_OFFSET + COMPUTER_STATE_SIGNATURE_LENGTH
-                                ),
-                              };
-
-                              let offset = COMPUTER_STATE_COMPUTOR_PUBLIC_KEYS_OFFSET;
-                              latestComputerState.computorPublicKeys.length = 0;
-                              while (
-                                offset <
-                                COMPUTER_STATE_COMPUTOR_PUBLIC_KEYS_OFFSET +
-                                  COMPUTER_STATE_COMPUTOR_PUBLIC_KEYS_LENGTH
-                              ) {
-                                latestComputerState.computorPublicKeys.push(
-                                  response.subarray(offset, (offset += PUBLIC_KEY_LENGTH))
-                                );
-                              }
-
-                              /**
-                               * Info event.
-                               *
-                               * @event Connection#info
-                               * @type {object}
-                               * @property {number} status - Indicates which of the 3 computors have provided the same tick and epoch.
-                               * 0 when offline, 3 when fully synced.
-                               * @property {number} epoch - Current epoch.
-                               * @property {number} tick - Current tick.
-                               */
-                              that.emit('info', {
-                                computerState: {
-                                  ...latestComputerState,
-                                  computorPublicKeys: [...latestComputerState.computorPublicKeys],
-                                },
-                                peers: sockets.map(function ({ ip, readyState }) {
-                                  return { ip, readyState };
-                                }),
-                              });
-                            }
-
-                            if (responses.length === NUMBER_OF_COMPUTORS) {
-                              latestComputerState.status = 0;
-                              computerStateResponsesByTimestamp.delete(responseTimestamp);
-                            }
-                          }
-                        }
-                      }
-                    }
-                    break;
-                  case WEBSOCKET_REQUEST_TYPES.GET_TRANSFER_STATUS: {
-                    for (
-                      let offset = 0;
-                      offset < response.length;
-                      offset += TRANSFER_STATUS_LENGTH
-                    ) {
-                      const digest = bytesToShiftedHex(
-                        response.subarray(
-                          offset + TRANSFER_STATUS_DIGEST_OFFSET,
-                          offset + TRANSFER_STATUS_DIGEST_OFFSET + TRANSFER_STATUS_DIGEST_LENGTH
-                        )
-                      ).toUpperCase();
-                      const state = transferStatusResponsesStateByDigest.get(digest);
-                      const ts = responseView.getBigUint64(RESPONSE_TIMESTAMP_OFFSET, true);
-                      if (state !== undefined && state.requestTimestamp === ts) {
-                        const computorIndex = responseView[
-                          'getUint' + TRANSFER_STATUS_COMPUTOR_INDEX_LENGTH * 8
-                        ](offset + TRANSFER_STATUS_COMPUTOR_INDEX_OFFSET, true);
-                        const epoch = responseView['getUint' + TRANSFER_STATUS_EPOCH_LENGTH * 8](
-                          offset + TRANSFER_STATUS_EPOCH_OFFSET,
-                          true
-                        );
-                        const tick = responseView['getUint' + TRANSFER_STATUS_TICK_LENGTH * 8](
-                          offset + TRANSFER_STATUS_TICK_OFFSET,
-                          true
-                        );
-                        if (
-                          epoch === state.computerState.epoch &&
-                          tick <= state.computerState.tick
-                        ) {
-                          const messageDigest = new Uint8Array(HASH_LENGTH);
-                          response[offset + TRANSFER_STATUS_DIGEST_OFFSET] ^= 3;
-                          (await crypto).K12(
-                            response.subarray(
-                              offset + TRANSFER_STATUS_DIGEST_OFFSET,
-                              offset + TRANSFER_STATUS_SIGNATURE_OFFSET
-                            ),
-                            messageDigest,
-                            HASH_LENGTH
-                          );
-                          response[offset + TRANSFER_STATUS_DIGEST_OFFSET] ^= 3;
-                          if (
-                            (await crypto).schnorrq.verify(
-                              state.computerState.computorPublicKeys[computorIndex],
-                              messageDigest,
-                              response.subarray(
-                                offset + TRANSFER_STATUS_SIGNATURE_OFFSET,
-                                offset +
-                                  TRANSFER_STATUS_SIGNATURE_OFFSET +
-                                  TRANSFER_STATUS_SIGNATURE_LENGTH
-                              )
-                            ) === 1
-                          ) {
-                            state.responses[computorIndex][socket.i] = response.subarray(
-                              offset,
-                              offset + TRANSFER_STATUS_LENGTH
-                            );
-                            const { status, rightOffset } = compareResponses(
-                              state.responses[computorIndex]
-                                .filter(function (response) {
-                                  return response !== undefined;
-                                })
-                                .map(function (response) {
-                                  return response.subarray(
-                                    TRANSFER_STATUS_STATUS_OFFSET,
-                                    TRANSFER_STATUS_STATUS_OFFSET + TRANSFER_STATUS_STATUS_LENGTH
-                                  );
-                                }),
-                              state.transferStatusComparisonStatuses[computorIndex],
-                              state.transferStatusComparisonRightOffsets[computorIndex]
-                            );
-
-                            state.transferStatusComparisonStatuses[computorIndex] = status;
-                            state.transferStatusComparisonRightOffsets[computorIndex] = rightOffset;
-
-                            if (
-                              status >= 1 &&
-                              state.processedFlags[computorIndex] === false &&
-                              (state.processedFlags[computorIndex] = true)
-                            ) {
-                              if (state.statuses[computorIndex] === undefined) {
-                                state.statuses[computorIndex] = [];
-                              }
-                              let hasReportedProcessed = false;
-                              for (let i = 0; i < TRANSFER_STATUS_STATUS_LENGTH; i++) {
-                                for (let j = 0; j < 8; j += 2) {
-                                  let transferStatus = 0; // unseen
-                                  if (
-                                    ((response[offset + TRANSFER_STATUS_STATUS_OFFSET + i] >>
-                                      (8 - (j + 1))) &
-                                      0x0001) ===
-                                    0
-                                  ) {
-                                    if (
-                                      ((response[offset + TRANSFER_STATUS_STATUS_OFFSET + i] >>
-                                        (8 - (j + 2))) &
-                                        0x0001) ===
-                                      1
-                                    ) {
-                                      // 01 - seen
-                                      transferStatus = 1;
-                                    }
-                                  } else if (
-                                    ((response[offset + TRANSFER_STATUS_STATUS_OFFSET + i] >>
-                                      (8 - (j + 2))) &
-                                      0x0001) ===
-                                    0
-                                  ) {
-                                    // 10 - processed
-                                    transferStatus = 2;
-                                    hasReportedProcessed = true;
-                                  }
-                                  state.statuses[computorIndex][i * 4 + j / 2] = transferStatus;
-                                }
-                              }
-
-                              if (hasReportedProcessed) {
-                                state.computorReports.push(
-                                  response.slice(
-                                    offset + TRANSFER_STATUS_DIGEST_OFFSET,
-                                    offset +
-                                      TRANSFER_STATUS_SIGNATURE_OFFSET +
-                                      TRANSFER_STATUS_SIGNATURE_LENGTH
-                                  )
-                                );
-                              }
-
-                              const report = [0, 0, 0, 0];
-
-                              for (let i = 0; i < NUMBER_OF_COMPUTORS; i++) {
-                                for (let j = 0; j < NUMBER_OF_COMPUTORS; j++) {
-                                  if (i !== j) {
-                                    if (
-                                      state.statuses[i] === undefined ||
-                                      state.statuses[i][j] === undefined
-                                    ) {
-                                      report[3] += 1;
-                                    } else {
-                                      report[state.statuses[i][j]] += 1;
-                                    }
-                                  }
-                                }
-                              }
-
-                              that.emit('transferStatus', {
-                                hash: digest,
-                                unseen: Math.floor(
-                                  (report[3] + report[0]) / (NUMBER_OF_COMPUTORS - 1)
-                                ),
-                                seen: Math.floor(report[1] / (NUMBER_OF_COMPUTORS - 1)),
-                                processed: Math.floor(report[2] / (NUMBER_OF_COMPUTORS - 1)),
-                                epoch,
-                                tick,
-                              });
-
-                              if (
-                                Math.floor(report[0] / (NUMBER_OF_COMPUTORS - 1)) >= 451 ||
-                                Math.floor(report[1] / (NUMBER_OF_COMPUTORS - 1)) >= 451 ||
-                                Math.floor(report[2] / (NUMBER_OF_COMPUTORS - 1)) >= 451
-                              ) {
-                                transferStatusResponsesStateByDigest.delete(digest);
-                                transferStatusRequestsToResendByDigest.delete(digest);
-
-                                let receipt;
-                                if (Math.floor(report[2] / (NUMBER_OF_COMPUTORS - 1)) >= 451) {
-                                  receipt = new Uint8Array(
-                                    state.computerState.bytes.length +
-                                      state.computorReports.length *
-                                        (TRANSFER_STATUS_SIGNATURE_OFFSET +
-                                          TRANSFER_STATUS_SIGNATURE_LENGTH -
-                                          TRANSFER_STATUS_DIGEST_OFFSET)
-                                  );
-                                  receipt.set(state.computerState.bytes, 0);
-                                  for (
-                                    let i = 0, offset = state.computerState.bytes.length;
-                                    offset < receipt.length;
-                                    offset +=
-                                      TRANSFER_STATUS_SIGNATURE_OFFSET +
-                                      TRANSFER_STATUS_SIGNATURE_LENGTH -
-                                      TRANSFER_STATUS_DIGEST_OFFSET
-                                  ) {
-                                    receipt.set(state.computorReports[i++], offset);
-                                  }
-                                }
-
-                                state.resolvers.forEach(function (resolve) {
-                                  resolve({
-                                    hash: digest,
-                                    receipt,
-                                    unseen: Math.floor(
-                                      (report[3] + report[0]) / (NUMBER_OF_COMPUTORS - 1)
-                                    ),
-                                    seen: Math.floor(report[1] / (NUMBER_OF_COMPUTORS - 1)),
-                                    processed: Math.floor(report[2] / (NUMBER_OF_COMPUTORS - 1)),
-                                    epoch,
-                                    tick,
-                                  });
-                                });
-                              }
-
-                              state.responses[computorIndex] = Array(NUMBER_OF_COMPUTORS);
-                            }
-                          }
-                        }
-                      }
-                    }
+        const onComputerState = async function (response, frame) {
+          if (response.computorIndex !== NUMBER_OF_COMPUTORS) {
+            return;
+          }
+
+          const hash = new Uint8Array(HASH_LENGTH);
+          const { K12, schnorrq } = await crypto;
+          await K12(
+            frame.slice(COMPUTER_STATE_OFFSET, COMPUTER_STATE_SIGNATURE_OFFSET),
+            hash,
+            HASH_LENGTH
+          );
+          if ((await schnorrq.verify(adminPublicKeyBytes, hash, response.signature)) !== 1) {
+            return;
+          }
+
+          const responses = computerStateResponsesByTimestamp.get(response.timestamp);
+          if (responses === undefined) {
+            return;
+          }
+          responses[socket.i] = response;
+
+          if (
+            responses.filter(function (response) {
+              return response !== undefined;
+            }).length === 1
+          ) {
+            latestComputerState.status = 1;
+            that.emit('info', {
+              computerState: {
+                ...latestComputerState,
+                computorPublicKeys: [...(latestComputerState?.computorPublicKeys || [])],
+              },
+              peers: sockets.map(function ({ ip, readyState }) {
+                return { ip, readyState };
+              }),
+            });
+            settleSyncWaiters();
+            return;
+          }
+
+          const { status, rightOffset } = compareResponses(
+            responses
+              .filter(function (response) {
+                return response !== undefined;
+              })
+              .map(function ({ signature }) {
+                return signature;
+              }),
+            latestComputerState.status,
+            computerStateComparisonRightOffset
+          );
+
+          computerStateComparisonRightOffset = rightOffset;
+
+          if (latestComputerState.status < status) {
+            latestComputerStateSynchronizationTimestamp = Date.now();
+            latestComputerState = {
+              status,
+              epoch: response.epoch,
+              tick: response.tick,
+              timestamp: response.stateTimestamp,
+              computorPublicKeys: response.computorPublicKeys,
+              bytes: frame.slice(COMPUTER_STATE_OFFSET),
+            };
+
+            /**
+             * Info event.
+             *
+             * @event Connection#info
+             * @type {object}
+             * @property {number} status - Indicates which of the 3 computors have provided the same tick and epoch.
+             * 0 when offline, 3 when fully synced.
+             * @property {number} epoch - Current epoch.
+             * @property {number} tick - Current tick.
+             */
+            that.emit('info', {
+              computerState: {
+                ...latestComputerState,
+                computorPublicKeys: [...latestComputerState.computorPublicKeys],
+              },
+              peers: sockets.map(function ({ ip, readyState }) {
+                return { ip, readyState };
+              }),
+            });
+            settleSyncWaiters();
+          }
+
+          if (responses.length === NUMBER_OF_COMPUTORS) {
+            latestComputerState.status = 0;
+            computerStateResponsesByTimestamp.delete(response.timestamp);
+          }
+        };
+
+        const onTransferStatus = async function (response, frame) {
+          const digest = bytesToShiftedHex(response.digest).toUpperCase();
+          const state = transferStatusResponsesStateByDigest.get(digest);
+          if (state === undefined || state.requestTimestamp !== response.timestamp) {
+            return;
+          }
+
+          const { computorIndex, epoch, tick } = response;
+          const { computerState, requestTimestamp } = state;
+          if (epoch !== computerState.epoch || tick > computerState.tick) {
+            return;
+          }
+
+          const message = frame.slice(TRANSFER_STATUS_OFFSET, TRANSFER_STATUS_SIGNATURE_OFFSET);
+          message[0] ^= 3;
+          const messageDigest = new Uint8Array(HASH_LENGTH);
+          const { K12, schnorrq } = await crypto;
+          await K12(message, messageDigest, HASH_LENGTH);
+          if (
+            (await schnorrq.verify(
+              computerState.computorPublicKeys[computorIndex],
+              messageDigest,
+              response.signature
+            )) !== 1
+          ) {
+            return;
+          }
+
+          // State is reset by each sweep. Responses to an earlier sweep, which were verified in
+          // the meantime, are dropped.
+          if (
+            transferStatusResponsesStateByDigest.get(digest) !== state ||
+            state.requestTimestamp !== requestTimestamp
+          ) {
+            return;
+          }
+
+          state.responses[computorIndex][socket.i] = response;
+          const { status, rightOffset } = compareResponses(
+            state.responses[computorIndex]
+              .filter(function (response) {
+                return response !== undefined;
+              })
+              .map(function (response) {
+                return response.status;
+              }),
+            state.transferStatusComparisonStatuses[computorIndex],
+            state.transferStatusComparisonRightOffsets[computorIndex]
+          );
+
+          state.transferStatusComparisonStatuses[computorIndex] = status;
+          state.transferStatusComparisonRightOffsets[computorIndex] = rightOffset;
+
+          if (
+            status >= 1 &&
+            state.processedFlags[computorIndex] === false &&
+            (state.processedFlags[computorIndex] = true)
+          ) {
+            let hasReportedProcessed = false;
+            for (let i = 0; i < response.status.length; i++) {
+              for (let j = 0; j < 8; j += 2) {
+                let transferStatus = 0; // unseen
+                if (((response.status[i] >> (8 - (j + 1))) & 0x0001) === 0) {
+                  if (((response.status[i] >> (8 - (j + 2))) & 0x0001) === 1) {
+                    // 01 - seen
+                    transferStatus = 1;
                   }
+                } else if (((response.status[i] >> (8 - (j + 2))) & 0x0001) === 0) {
+                  // 10 - processed
+                  transferStatus = 2;
+                  hasReportedProcessed = true;
                 }
-                break;
-              case REQUEST_TYPES.EXCHANGE_PUBLIC_PEERS:
+                const reportedIndex = i * 4 + j / 2;
+                if (reportedIndex !== computorIndex && reportedIndex < NUMBER_OF_COMPUTORS) {
+                  state.statusCounts[3]--;
+                  state.statusCounts[transferStatus]++;
+                }
+              }
+            }
+
+            if (hasReportedProcessed) {
+              state.computorReports.push(
+                frame.slice(TRANSFER_STATUS_OFFSET, TRANSFER_STATUS_LENGTH)
+              );
+            }
+
+            const report = state.statusCounts;
+
+            state.report = {
+              hash: digest,
+              unseen: Math.floor((report[3] + report[0]) / (NUMBER_OF_COMPUTORS - 1)),
+              seen: Math.floor(report[1] / (NUMBER_OF_COMPUTORS - 1)),
+              processed: Math.floor(report[2] / (NUMBER_OF_COMPUTORS - 1)),
+              epoch,
+              tick,
+            };
+            that.emit('transferStatus', state.report);
+
+            // A quorum of seen is not final, since the transfer may still be processed.
+            if (
+              Math.floor(report[0] / (NUMBER_OF_COMPUTORS - 1)) >= QUORUM ||
+              state.report.processed >= QUORUM
+            ) {
+              state.isDetermined = true;
+              transferStatusResponsesStateByDigest.delete(digest);
+              transferStatusRequestsToResendByDigest.delete(digest);
+
+              let receipt;
+              if (state.report.processed >= QUORUM) {
+                const reportLength = TRANSFER_STATUS_LENGTH - TRANSFER_STATUS_OFFSET;
+                receipt = new Uint8Array(
+                  state.computerState.bytes.length + state.computorReports.length * reportLength
+                );
+                receipt.set(state.computerState.bytes, 0);
                 for (
-                  let offset = HEADER_LENGTH;
-                  offset < HEADER_LENGTH + NUMBER_OF_PUBLIC_PEERS * PUBLIC_PEER_LENGTH;
-                  offset += PUBLIC_PEER_LENGTH
+                  let i = 0, offset = state.computerState.bytes.length;
+                  offset < receipt.length;
+                  offset += reportLength
                 ) {
-                  const peer = response.subarray(offset, offset + PUBLIC_PEER_LENGTH).join('.');
-                  publicPeers.push(peer);
+                  receipt.set(state.computorReports[i++], offset);
                 }
-                sockets.forEach(function ({ i }) {
-                  if (sockets[i].readyState === 3) {
-                    const peer = publicPeers.shift();
-                    if (peer !== undefined) {
-                      setPeer(i, peer);
-                    }
-                  }
-                });
+              }
+
+              state.waiters.forEach(function (waiter) {
+                waiter.resolve({ ...state.report, receipt });
+              });
+            }
+
+            state.responses[computorIndex] = Array(NUMBER_OF_COMPUTORS);
+          }
+        };
+
+        const onPublicPeers = function (response) {
+          response.peers.forEach(function (peer) {
+            if (
+              peer !== '0.0.0.0' &&
+              publicPeers.indexOf(peer) === -1 &&
+              sockets.every(function ({ ip }) {
+                return ip !== peer;
+              })
+            ) {
+              publicPeers.push(peer);
+            }
+          });
+          sockets.forEach(function ({ i }) {
+            if (sockets[i].readyState === 3) {
+              const peer = publicPeers.shift();
+              if (peer !== undefined) {
+                setPeer(i, peer);
+              }
+            }
+          });
+        };
+
+        const frames = frameDecoder({ maxFrameSize });
+
+        socket.onmessage = async function (message) {
+          let messages;
+          try {
+            messages = frames.push(message.data);
+          } catch (error) {
+            // Frames which preceded the illegal one are still handled.
+            messages = error.frames || [];
+            socket.close();
+            that.emit('error', error);
+          }
+
+          for (let i = 0; i < messages.length; i++) {
+            const frame = messages[i];
+            let response;
+            try {
+              response = decode(frame);
+            } catch {
+              // Skip messages which are not handled by this client.
+              continue;
+            }
+
+            switch (response.type) {
+              case 'computerState':
+                await onComputerState(response, frame);
+                break;
+              case 'transferStatus':
+                await onTransferStatus(response, frame);
+                break;
+              case 'exchangePublicPeers':
+                onPublicPeers(response);
+                break;
             }
-            offset += response.length;
           }
         };
 
         socket.onerror = function (event) {
           /**
-           * Error event. Emitted when a WebSocket connection errors.
+           * Error event. Emitted when a connection errors.
            *
            * @event Connection#error
-           * @param {event} event - WebSocket event.
+           * @param {event} event - Transport event.
            */
           that.emit('error', event);
           this.close();
@@ -849,10 +963,10 @@ export const connection = function ({
         socket.onclose = function (event) {
           clearTimeout(timeout);
           /**
-           * Close event. Emitted when a WebSocket connection closes.
+           * Close event. Emitted when a connection closes.
            *
            * @event Connection#close
-           * @param {event} event - WebSocket event.
+           * @param {event} event - Transport event.
            */
           that.emit('close', event);
           resolveOnOpenOrClose();
@@ -879,7 +993,10 @@ export const connection = function ({
 
         const getComputerStateRoutine = function () {
           getComputerState();
-          setTimeout(getComputerStateRoutine, computerStateSynchronizationTimeoutDuration);
+          computerStateRequestTimeout = setTimeout(
+            getComputerStateRoutine,
+            computerStateSynchronizationTimeoutDuration
+          );
         };
         getComputerStateRoutine();
         computerStateSynchronizationRoutine(that);
@@ -892,7 +1009,7 @@ export const connection = function ({
       that,
       {
         /**
-         * Opens all 3 WebSocket connections.
+         * Opens all 3 connections.
          *
          * @function open
          * @memberof Connection
@@ -907,6 +1024,9 @@ export const connection = function ({
         close,
         broadcastTransfer,
         getTransferStatus,
+        getTransferStatuses,
+        waitForSync,
+        ready,
         setPeer,
         /**
          * @function computors
@@ -918,6 +1038,12 @@ export const connection = function ({
             return { ip, readyState };
           });
         },
+
+        /**
+         * @type {string} Admin public key which verifies computer state.
+         * @memberof Connection
+         */
+        adminPublicKey,
       },
       EventEmitter.prototype
     );
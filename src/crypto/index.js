@@ -1,281 +1,343 @@
 'use strict';
 
-import Module from './libFourQ_K12.js';
+import { createModule } from './wasm.js';
+import { CryptoError, IllegalArgumentError, IllegalStateError } from '../errors.js';
+
+// Secret material passes through WASM memory, which is shared by all calls. Every region which
+// is allocated here is zeroed as soon as a call returns or throws. Stack frames of the WASM
+// functions themselves are out of reach, as the module does not export its stack pointer.
+// Calls run to completion one at a time, so small calls share a scratch arena instead of
+// allocating memory each time.
+const MAX_SCRATCH_LENGTH = 64 * 1024;
+const ALIGNMENT = 8;
+
+let Module;
+let initialization;
+let initializedCrypto;
+let scratchPointer = 0;
+let scratchLength = 0;
+
+const malloc = function (length) {
+  const pointer = Module._malloc(length);
+  if (pointer === 0) {
+    throw new CryptoError('Out of WASM memory.');
+  }
+  return pointer;
+};
 
-const allocU8 = function (l, v) {
-  let ptr = Module._malloc(l);
-  let chunk = Module.HEAPU8.subarray(ptr, ptr + l);
-  if (v) {
-    chunk.set(v);
+const scratch = function (length) {
+  if (length > scratchLength) {
+    if (scratchPointer !== 0) {
+      Module._free(scratchPointer);
+      scratchPointer = 0;
+      scratchLength = 0;
+    }
+    scratchPointer = malloc(length);
+    scratchLength = length;
   }
-  return chunk;
+  return scratchPointer;
 };
 
-const allocU16 = function (l, v) {
-  let ptr = Module._malloc(l);
-  let chunk = Module.HEAPU16.subarray(ptr, ptr + l);
-  chunk.set(v);
-  return chunk;
+const withMemory = function (lengths, fn) {
+  const offsets = [];
+  const length = lengths.reduce(function (offset, length) {
+    offsets.push(offset);
+    return offset + Math.ceil(length / ALIGNMENT) * ALIGNMENT;
+  }, 0);
+  const isScratch = length <= MAX_SCRATCH_LENGTH;
+  const base = isScratch ? scratch(Math.max(length, 1)) : malloc(length);
+
+  try {
+    return fn(
+      ...offsets.map(function (offset) {
+        return base + offset;
+      })
+    );
+  } finally {
+    Module.HEAPU8.fill(0, base, base + length);
+    if (!isScratch) {
+      Module._free(base);
+    }
+  }
 };
 
-/**
- * @namespace Crypto
- */
+const write = function (pointer, bytes) {
+  Module.HEAPU8.set(bytes, pointer);
+};
+
+const read = function (pointer, length) {
+  return Module.HEAPU8.slice(pointer, pointer + length);
+};
 
 /**
- * A promise which always resolves to object with crypto functions.
- *
- * @constant {Promise<Crypto>}
- * @memberof module:qubic
+ * @namespace Crypto
  */
-export const crypto = new Promise(function (resolve) {
-  Module.onRuntimeInitialized = function () {
-    /**
-     * @memberof Crypto.schnorrq
-     * @param {Uint8Array} secretKey
-     * @returns {Uint8Array}
-     */
-    const generatePublicKey = function (secretKey) {
-      const sk = allocU8(secretKey.length, secretKey);
-      const pk = allocU8(32);
-
-      const free = function () {
-        Module._free(sk.byteOffset);
-        Module._free(pk.byteOffset);
-      };
-
-      Module._SchnorrQ_KeyGeneration(sk.byteOffset, pk.byteOffset);
-      const key = pk.slice();
-      free();
-      return key;
-    };
-
-    /**
-     * @memberof Crypto.schnorrq
-     * @param {Uint8Array} secretKey
-     * @param {Uint8Array} publicKey
-     * @param {Uint8Array} message
-     * @returns {Uint8Array}
-     */
-    const sign = function (secretKey, publicKey, message) {
-      const sk = allocU8(secretKey.length, secretKey);
-      const pk = allocU8(publicKey.length, publicKey);
-      const m = allocU8(message.length, message);
-      const s = allocU8(64);
-
-      const free = function () {
-        Module._free(sk.byteOffset);
-        Module._free(pk.byteOffset);
-        Module._free(m.byteOffset);
-        Module._free(s.byteOffset);
-      };
 
-      Module._SchnorrQ_Sign(
-        sk.byteOffset,
-        pk.byteOffset,
-        m.byteOffset,
-        message.length,
-        s.byteOffset
-      );
-      const sig = s.slice();
-      free();
-      return sig;
-    };
+const createCrypto = function () {
+  /**
+   * @memberof Crypto.schnorrq
+   * @param {Uint8Array} secretKey
+   * @returns {Uint8Array}
+   */
+  const generatePublicKey = function (secretKey) {
+    return withMemory([secretKey.length, 32], function (sk, pk) {
+      write(sk, secretKey);
+      Module._SchnorrQ_KeyGeneration(sk, pk);
+      return read(pk, 32);
+    });
+  };
 
-    /**
-     * @memberof Crypto.schnorrq
-     * @param {Uint8Array} publicKey
-     * @param {Uint8Array} message
-     * @param {Uint8Array} signature
-     * @returns {number} 1 if valid, 0 if invalid
-     */
-    const verify = function (publicKey, message, signature) {
-      const pk = allocU8(publicKey.length, publicKey);
-      const m = allocU8(message.length, message);
-      const s = allocU8(signature.length, signature);
-      const v = allocU16(1, new Uint16Array(1));
+  /**
+   * @memberof Crypto.schnorrq
+   * @param {Uint8Array} secretKey
+   * @param {Uint8Array} publicKey
+   * @param {Uint8Array} message
+   * @returns {Uint8Array}
+   */
+  const sign = function (secretKey, publicKey, message) {
+    return withMemory(
+      [secretKey.length, publicKey.length, message.length, 64],
+      function (sk, pk, m, s) {
+        write(sk, secretKey);
+        write(pk, publicKey);
+        write(m, message);
+        Module._SchnorrQ_Sign(sk, pk, m, message.length, s);
+        return read(s, 64);
+      }
+    );
+  };
 
-      const free = function () {
-        Module._free(pk.byteOffset);
-        Module._free(m.byteOffset);
-        Module._free(s.byteOffset);
-        Module._free(v.byteOffset);
-      };
+  /**
+   * @memberof Crypto.schnorrq
+   * @param {Uint8Array} publicKey
+   * @param {Uint8Array} message
+   * @param {Uint8Array} signature
+   * @returns {number} 1 if valid, 0 if invalid
+   */
+  const verify = function (publicKey, message, signature) {
+    return withMemory(
+      [publicKey.length, message.length, signature.length, 4],
+      function (pk, m, s, v) {
+        write(pk, publicKey);
+        write(m, message);
+        write(s, signature);
+        Module._SchnorrQ_Verify(pk, m, message.length, s, v);
+        return Module.HEAPU16[v >> 1];
+      }
+    );
+  };
 
-      Module._SchnorrQ_Verify(
-        pk.byteOffset,
-        m.byteOffset,
-        message.length,
-        s.byteOffset,
-        v.byteOffset
-      );
-      const ver = v[0];
-      free();
-      return ver;
-    };
+  /**
+   * Verifies many signatures with one call. All inputs are copied to WASM memory in a single
+   * allocation, which is wiped once, and the result slot is reused. Each signature is still
+   * verified by its own call to `SchnorrQ_Verify`.
+   *
+   * @memberof Crypto.schnorrq
+   * @param {Array<{ publicKey: Uint8Array, message: Uint8Array, signature: Uint8Array }>} batch
+   * @returns {number[]} 1 if valid, 0 if invalid, in order of batch.
+   */
+  const verifyBatch = function (batch) {
+    if (!Array.isArray(batch)) {
+      throw new IllegalArgumentError('Illegal batch.');
+    }
+    const lengths = [4];
+    batch.forEach(function ({ publicKey, message, signature }) {
+      lengths.push(publicKey.length, message.length, signature.length);
+    });
+    return withMemory(lengths, function (v, ...pointers) {
+      batch.forEach(function ({ publicKey, message, signature }, i) {
+        write(pointers[3 * i], publicKey);
+        write(pointers[3 * i + 1], message);
+        write(pointers[3 * i + 2], signature);
+      });
+      return batch.map(function ({ message }, i) {
+        Module.HEAPU16[v >> 1] = 0;
+        Module._SchnorrQ_Verify(
+          pointers[3 * i],
+          pointers[3 * i + 1],
+          message.length,
+          pointers[3 * i + 2],
+          v
+        );
+        return Module.HEAPU16[v >> 1];
+      });
+    });
+  };
 
-    /**
-     * @memberof Crypto.kex
-     * @param {Uint8Array} secretKey
-     * @returns {Uint8Array} Public key
-     */
-    const generateCompressedPublicKey = function (secretKey) {
-      const sk = allocU8(secretKey.length, secretKey);
-      const pk = allocU8(32);
+  /**
+   * @memberof Crypto.kex
+   * @param {Uint8Array} secretKey
+   * @returns {Uint8Array} Public key
+   */
+  const generateCompressedPublicKey = function (secretKey) {
+    return withMemory([secretKey.length, 32], function (sk, pk) {
+      write(sk, secretKey);
+      Module._CompressedPublicKeyGeneration(sk, pk);
+      return read(pk, 32);
+    });
+  };
 
-      const free = function () {
-        Module._free(sk.byteOffset);
-        Module._free(pk.byteOffset);
-      };
+  /**
+   * @memberof Crypto.kex
+   * @param {Uint8Array} secretKey
+   * @param {Uint8Array} publicKey
+   * @returns {Uint8Array} Shared key
+   */
+  const compressedSecretAgreement = function (secretKey, publicKey) {
+    return withMemory([secretKey.length, publicKey.length, 32], function (sk, pk, shk) {
+      write(sk, secretKey);
+      write(pk, publicKey);
+      Module._CompressedSecretAgreement(sk, pk, shk);
+      return read(shk, 32);
+    });
+  };
 
-      Module._CompressedPublicKeyGeneration(sk.byteOffset, pk.byteOffset);
-      const key = pk.slice();
-      free();
-      return key;
-    };
+  /**
+   * @memberof Crypto
+   * @param {Uint8Array} input
+   * @param {Uint8Array} output
+   * @param {number} outputLength
+   * @param {number} outputOffset
+   * @param {Uint8Array} [customization] - Customization string, empty by default.
+   */
+  const K12 = function (
+    input,
+    output,
+    outputLength,
+    outputOffset = 0,
+    customization = new Uint8Array(0)
+  ) {
+    withMemory([input.length, outputLength, customization.length], function (i, o, c) {
+      write(i, input);
+      write(c, customization);
+      Module._KangarooTwelve(i, input.length, o, outputLength, c, customization.length);
+      output.set(Module.HEAPU8.subarray(o, o + outputLength), outputOffset);
+    });
+  };
 
+  return {
     /**
-     * @memberof Crypto.kex
-     * @param {Uint8Array} secretKey
-     * @param {Uint8Array} publicKey
-     * @returns {Uint8Array} Shared key
+     * @namespace Crypto.schnorrq
      */
-    const compressedSecretAgreement = function (secretKey, publicKey) {
-      const sk = allocU8(secretKey.length, secretKey);
-      const pk = allocU8(publicKey.length, publicKey);
-      const shk = allocU8(32);
-
-      const free = function () {
-        Module._free(sk.byteOffset);
-        Module._free(pk.byteOffset);
-        Module._free(shk.byteOffset);
-      };
-
-      Module._CompressedSecretAgreement(sk.byteOffset, pk.byteOffset, shk.byteOffset);
-      const key = shk.slice();
-      free();
-      return key;
-    };
-
+    schnorrq: {
+      generatePublicKey,
+      sign,
+      verify,
+      verifyBatch,
+    },
     /**
-     * @memberof Crypto
-     * @param {Uint8Array} input
-     * @param {Uint8Array} output
-     * @param {number} outputLength
-     * @param {number} outputOffset
+     * @namespace Crypto.kex
      */
-    const K12 = function (input, output, outputLength, outputOffset = 0) {
-      const i = allocU8(input.length, input);
-      const o = allocU8(outputLength, new Uint8Array(outputLength));
-
-      const free = function () {
-        Module._free(i.byteOffset);
-        Module._free(o.byteOffset);
-      };
+    kex: {
+      generateCompressedPublicKey,
+      compressedSecretAgreement,
+    },
+    K12,
+  };
+};
 
-      Module._KangarooTwelve(i.byteOffset, input.length, o.byteOffset, outputLength, 0, 0);
-      output.set(o.slice(), outputOffset);
-      free();
-    };
+const fetchWasmBinary = function (url) {
+  if (typeof fetch !== 'function') {
+    return Promise.reject(new CryptoError('Fetch is not available.'));
+  }
+  return fetch(url).then(function (response) {
+    if (!response.ok) {
+      throw new CryptoError(`Failed to fetch WASM binary: ${response.status}.`);
+    }
+    return response.arrayBuffer();
+  });
+};
 
-    resolve({
-      /**
-       * @namespace Crypto.schnorrq
-       */
-      schnorrq: {
-        generatePublicKey,
-        sign,
-        verify,
-      },
-      /**
-       * @namespace Crypto.kex
-       */
-      kex: {
-        generateCompressedPublicKey,
-        compressedSecretAgreement,
-      },
-      K12,
+/**
+ * Initializes crypto, after which synchronous functions such as `identitySync` can be used.
+ * Crypto is initialized with the embedded WASM binary on first use otherwise. Options of calls
+ * which follow a successful initialization are ignored.
+ *
+ * @function init
+ * @memberof module:qubic
+ * @param {object} [options]
+ * @param {ArrayBuffer|Uint8Array} [options.wasmBinary] - WASM binary to use instead of the
+ * embedded one.
+ * @param {string} [options.url] - URL to fetch WASM binary from, for example to comply with a
+ * Content Security Policy.
+ * @returns {Promise<Crypto>}
+ * @example import qubic from 'qubic-js';
+ *
+ * qubic.init({ url: '/libFourQ_K12.wasm' }).then(function () {
+ *   console.log(qubic.identitySync('vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu', 0));
+ * });
+ *
+ */
+export const init = function ({ wasmBinary, url } = {}) {
+  if (initialization === undefined) {
+    initialization = (url !== undefined ? fetchWasmBinary(url) : Promise.resolve(wasmBinary)).then(
+      function (wasmBinary) {
+        return createModule(wasmBinary).then(
+          function (module) {
+            Module = module;
+            initializedCrypto = createCrypto();
+            return initializedCrypto;
+          },
+          function (reason) {
+            throw new CryptoError(`Failed to initialize crypto: ${reason}`);
+          }
+        );
+      }
+    );
+    initialization.catch(function () {
+      initialization = undefined;
     });
+  }
+  return initialization;
+};
 
-    // const skA = [
-    //   125, 62, 16, 133, 107, 33, 255, 186, 215, 151, 156, 9, 225, 118, 213, 175, 41, 138, 90, 128,
-    //   198, 57, 176, 54, 161, 212, 50, 133, 236, 230, 186, 254,
-    // ];
-    // const pkA = generatePublicKey(skA);
-    // console.log(pkA);
-
-    // const skB = [
-    //   125, 62, 16, 143, 107, 33, 255, 186, 215, 151, 156, 9, 225, 118, 213, 175, 41, 138, 90, 128,
-    //   198, 57, 176, 54, 161, 212, 50, 133, 236, 230, 186, 0,
-    // ];
-    // const pkB = generatePublicKey(skB);
-
-    // const hSkB = new Uint8Array(64);
-    // K12(skB, hSkB, 64);
-    // const shk = compressedSecretAgreement(skB, pkA);
-    // console.log(shk);
-
-    // const hSkA = new Uint8Array(64);
-    // K12(skA, hSkA, 64);
-    // const shk2 = compressedSecretAgreement(skA, pkB);
-    // console.log(shk2);
-
-    // const v = [21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36];
-    // const aesCtr = new aesjs.ModeOfOperation.cbc(Buffer.from(shk), v);
-    // const enc = aesCtr.encrypt(skB);
-    // console.log(skB);
-    // console.log(enc.toString());
-    // const aesCtr2 = new aesjs.ModeOfOperation.cbc(Buffer.from(shk), v);
-    // const dec = aesCtr2.decrypt(enc);
-    // console.log(dec);
-
-    // const message = new Uint8Array(1).fill(0).map(function (_, i) {
-    //   return i;
-    // });
-    // const h = new Uint8Array(32);
-    // k12(message, h, h.length);
-    // console.log(Array.from(h));
-
-    // const vector = {
-    //   secretKey: [
-    //     125, 62, 16, 133, 107, 33, 255, 186, 215, 151, 156, 9, 225, 118, 213, 175, 41, 138, 90, 128,
-    //     198, 57, 176, 54, 161, 212, 50, 133, 236, 230, 186, 254,
-    //   ],
-    // };
-
-    // const message = new Uint8Array(32).fill(1);
-    // vector.publicKey = generatePublicKey(vector.secretKey);
-    // vector.signature = sign(vector.secretKey, vector.publicKey, message);
-    // vector.verified = verify(vector.publicKey, message, vector.signature);
-
-    // console.log(vector.secretKey);
-    // console.log(Array.from(vector.publicKey));
-    // console.log(Array.from(message));
-    // console.log(Array.from(vector.signature));
+/**
+ * Resolves to object with crypto functions. Awaiting it initializes crypto with default
+ * options, unless `init` was called first.
+ *
+ * @constant {Promise<Crypto>}
+ * @memberof module:qubic
+ */
+export const crypto = {
+  then(onFulfilled, onRejected) {
+    return init().then(onFulfilled, onRejected);
+  },
+  catch(onRejected) {
+    return init().catch(onRejected);
+  },
+};
 
-    // const t0 = performance.now();
-    // const pairs = [];
-    // for (let i = 0; i < 10; i++) {
-    //   const secretKey = new Uint8Array(32).fill(1);
-    //   pairs.push({
-    //     secretKey,
-    //     publicKey: generatePublicKey(secretKey),
-    //   });
-    // }
-    // const t1 = performance.now();
-    // console.log('Generating 10_000 public keys took', t1 - t0, 'ms');
+/**
+ * Returns crypto functions of initialized crypto.
+ *
+ * @function cryptoSync
+ * @memberof module:qubic
+ * @returns {Crypto}
+ * @throws Unless `init` has resolved.
+ */
+export const cryptoSync = function () {
+  if (initializedCrypto === undefined) {
+    throw new IllegalStateError('Crypto is not initialized. Await init() first.');
+  }
+  return initializedCrypto;
+};
 
-    // const signatures = [];
-    // for (let i = 0; i < pairs.length; i++) {
-    //   signatures.push(sign(pairs[i].secretKey, pairs[i].publicKey, message));
-    // }
-    // const t2 = performance.now();
-    // console.log('Generating 10_000 sigs took', t2 - t1, 'ms');
+/**
+ * Synchronous K12, usable once `init` has resolved.
+ *
+ * @function K12Sync
+ * @memberof module:qubic
+ * @param {Uint8Array} input
+ * @param {Uint8Array} output
+ * @param {number} outputLength
+ * @param {number} [outputOffset=0]
+ * @param {Uint8Array} [customization]
+ */
+export const K12Sync = function (input, output, outputLength, outputOffset, customization) {
+  cryptoSync().K12(input, output, outputLength, outputOffset, customization);
+};
 
-    // for (let i = 0; i < pairs.length; i++) {
-    //   console.log(verify(pairs[i].publicKey, message, signatures[i]));
-    // }
-    // const t3 = performance.now();
-    // console.log('Verifying 10_000 sigs took', t3 - t2, 'ms');
-  };
-});
+// WASM memory, for inspection in tests.
+export const heap = function () {
+  return Module.HEAPU8;
+};
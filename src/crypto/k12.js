@@ -0,0 +1,315 @@
+'use strict';
+
+import { IllegalArgumentError, IllegalStateError } from '../errors.js';
+
+// Incremental KangarooTwelve, as specified in https://keccak.team/files/KangarooTwelve.pdf,
+// over Keccak-p[1600, 12] with 32-bit halves of lanes.
+
+const RATE = 168;
+const CHUNK_LENGTH = 8192;
+const CHAINING_VALUE_LENGTH = 32;
+const DEFAULT_OUTPUT_LENGTH = 32;
+
+const SINGLE_NODE_SUFFIX = 0x07;
+const LEAF_SUFFIX = 0x0b;
+const FINAL_NODE_SUFFIX = 0x06;
+const FINAL_NODE_HEADER = Uint8Array.from([0x03, 0, 0, 0, 0, 0, 0, 0]);
+const FINAL_NODE_TRAILER = Uint8Array.from([0xff, 0xff]);
+
+// Round constants of the last 12 rounds of Keccak-f[1600], as high and low halves.
+const ROUND_CONSTANTS = new Uint32Array([
+  0x00000000, 0x8000808b, 0x80000000, 0x0000008b, 0x80000000, 0x00008089, 0x80000000, 0x00008003,
+  0x80000000, 0x00008002, 0x80000000, 0x00000080, 0x00000000, 0x0000800a, 0x80000000, 0x8000000a,
+  0x80000000, 0x80008081, 0x80000000, 0x00008080, 0x00000000, 0x80000001, 0x80000000, 0x80008008,
+]);
+
+const ROTATIONS = [
+  0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14,
+];
+
+// Lanes are stored as low and high halves, lane x + 5y at 2(x + 5y).
+const keccakP1600 = function (state, B, C) {
+  for (let round = 0; round < ROUND_CONSTANTS.length; round += 2) {
+    // θ
+    for (let x = 0; x < 5; x++) {
+      C[2 * x] =
+        state[2 * x] ^
+        state[2 * x + 10] ^
+        state[2 * x + 20] ^
+        state[2 * x + 30] ^
+        state[2 * x + 40];
+      C[2 * x + 1] =
+        state[2 * x + 1] ^
+        state[2 * x + 11] ^
+        state[2 * x + 21] ^
+        state[2 * x + 31] ^
+        state[2 * x + 41];
+    }
+    for (let x = 0; x < 5; x++) {
+      const previous = 2 * ((x + 4) % 5);
+      const next = 2 * ((x + 1) % 5);
+      const lo = C[previous] ^ ((C[next] << 1) | (C[next + 1] >>> 31));
+      const hi = C[previous + 1] ^ ((C[next + 1] << 1) | (C[next] >>> 31));
+      for (let y = 0; y < 25; y += 5) {
+        state[2 * (x + y)] ^= lo;
+        state[2 * (x + y) + 1] ^= hi;
+      }
+    }
+
+    // ρ and π
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        const lane = x + 5 * y;
+        const lo = state[2 * lane];
+        const hi = state[2 * lane + 1];
+        const n = ROTATIONS[lane];
+        const target = 2 * (y + 5 * ((2 * x + 3 * y) % 5));
+        if (n === 0) {
+          B[target] = lo;
+          B[target + 1] = hi;
+        } else if (n < 32) {
+          B[target] = (lo << n) | (hi >>> (32 - n));
+          B[target + 1] = (hi << n) | (lo >>> (32 - n));
+        } else if (n === 32) {
+          B[target] = hi;
+          B[target + 1] = lo;
+        } else {
+          B[target] = (hi << (n - 32)) | (lo >>> (64 - n));
+          B[target + 1] = (lo << (n - 32)) | (hi >>> (64 - n));
+        }
+      }
+    }
+
+    // χ
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        const lane = 2 * (x + y);
+        const next = 2 * (((x + 1) % 5) + y);
+        const nextNext = 2 * (((x + 2) % 5) + y);
+        state[lane] = B[lane] ^ (~B[next] & B[nextNext]);
+        state[lane + 1] = B[lane + 1] ^ (~B[next + 1] & B[nextNext + 1]);
+      }
+    }
+
+    // ι
+    state[0] ^= ROUND_CONSTANTS[round + 1];
+    state[1] ^= ROUND_CONSTANTS[round];
+  }
+};
+
+const sponge = function () {
+  const state = new Uint32Array(50);
+  const B = new Uint32Array(50);
+  const C = new Uint32Array(10);
+  let position = 0;
+
+  const xorByte = function (i, byte) {
+    state[i >>> 2] ^= byte << ((i & 3) << 3);
+  };
+
+  const readByte = function (i) {
+    return (state[i >>> 2] >>> ((i & 3) << 3)) & 0xff;
+  };
+
+  return {
+    absorb(bytes) {
+      for (let i = 0; i < bytes.length; i++) {
+        xorByte(position++, bytes[i]);
+        if (position === RATE) {
+          keccakP1600(state, B, C);
+          position = 0;
+        }
+      }
+    },
+
+    finalize(suffix) {
+      xorByte(position, suffix);
+      xorByte(RATE - 1, 0x80);
+      keccakP1600(state, B, C);
+      position = 0;
+    },
+
+    squeeze(output) {
+      for (let i = 0; i < output.length; i++) {
+        if (position === RATE) {
+          keccakP1600(state, B, C);
+          position = 0;
+        }
+        output[i] = readByte(position++);
+      }
+      return output;
+    },
+
+    wipe() {
+      state.fill(0);
+      B.fill(0);
+      C.fill(0);
+    },
+  };
+};
+
+const lengthEncode = function (length) {
+  const bytes = [];
+  for (; length > 0; length = Math.floor(length / 256)) {
+    bytes.unshift(length % 256);
+  }
+  bytes.push(bytes.length);
+  return Uint8Array.from(bytes);
+};
+
+const toBytes = function (data) {
+  if (typeof data === 'string') {
+    return new TextEncoder().encode(data);
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  throw new IllegalArgumentError('Illegal data.');
+};
+
+/**
+ * @typedef {object} K12Hasher
+ * @property {Function} update - Absorbs a chunk of input, `Uint8Array` or string in UTF-8.
+ * Returns the hasher.
+ * @property {Function} digest - Called with output length in bytes, 32 by default. Returns
+ * output. Hasher can not be updated afterwards.
+ */
+
+/**
+ * Creates an incremental KangarooTwelve hasher. Input is processed in chunks of 8192 bytes as
+ * it arrives, so it need not be held in one buffer.
+ *
+ * @function create
+ * @memberof module:qubic.k12
+ * @param {Uint8Array|string} [customization] - Customization string, for domain separation.
+ * @returns {K12Hasher}
+ * @example import qubic from 'qubic-js';
+ *
+ * const digest = qubic.k12.create('receipts').update(firstChunk).update(secondChunk).digest(32);
+ *
+ */
+export const create = function (customization = new Uint8Array(0)) {
+  const customizationBytes = toBytes(customization);
+
+  // Chunk S_0 is buffered until input exceeds one chunk, which decides between single node
+  // and tree hashing.
+  const firstChunk = new Uint8Array(CHUNK_LENGTH);
+  let firstChunkLength = 0;
+  let finalNode;
+  let leaf;
+  let leafLength = 0;
+  let numberOfLeaves = 0;
+  let isFinalized = false;
+
+  const completeLeaf = function () {
+    const chainingValue = new Uint8Array(CHAINING_VALUE_LENGTH);
+    leaf.finalize(LEAF_SUFFIX);
+    leaf.squeeze(chainingValue);
+    leaf.wipe();
+    finalNode.absorb(chainingValue);
+    leaf = undefined;
+    leafLength = 0;
+    numberOfLeaves++;
+  };
+
+  const absorb = function (bytes) {
+    let offset = 0;
+    while (offset < bytes.length) {
+      if (finalNode === undefined) {
+        if (firstChunkLength < CHUNK_LENGTH) {
+          const length = Math.min(CHUNK_LENGTH - firstChunkLength, bytes.length - offset);
+          firstChunk.set(bytes.subarray(offset, offset + length), firstChunkLength);
+          firstChunkLength += length;
+          offset += length;
+          continue;
+        }
+        finalNode = sponge();
+        finalNode.absorb(firstChunk);
+        finalNode.absorb(FINAL_NODE_HEADER);
+        firstChunk.fill(0);
+      }
+      if (leaf === undefined) {
+        leaf = sponge();
+      } else if (leafLength === CHUNK_LENGTH) {
+        completeLeaf();
+        leaf = sponge();
+      }
+      const length = Math.min(CHUNK_LENGTH - leafLength, bytes.length - offset);
+      leaf.absorb(bytes.subarray(offset, offset + length));
+      leafLength += length;
+      offset += length;
+    }
+  };
+
+  const that = {
+    update(data) {
+      if (isFinalized) {
+        throw new IllegalStateError('Hasher is finalized.');
+      }
+      absorb(toBytes(data));
+      return that;
+    },
+
+    digest(outputLength = DEFAULT_OUTPUT_LENGTH) {
+      if (isFinalized) {
+        throw new IllegalStateError('Hasher is finalized.');
+      }
+      if (!Number.isInteger(outputLength) || outputLength < 0) {
+        throw new IllegalArgumentError('Illegal output length.');
+      }
+      absorb(customizationBytes);
+      absorb(lengthEncode(customizationBytes.length));
+      isFinalized = true;
+
+      const output = new Uint8Array(outputLength);
+      if (finalNode === undefined) {
+        const node = sponge();
+        node.absorb(firstChunk.subarray(0, firstChunkLength));
+        firstChunk.fill(0);
+        node.finalize(SINGLE_NODE_SUFFIX);
+        node.squeeze(output);
+        node.wipe();
+        return output;
+      }
+
+      completeLeaf();
+      finalNode.absorb(lengthEncode(numberOfLeaves));
+      finalNode.absorb(FINAL_NODE_TRAILER);
+      finalNode.finalize(FINAL_NODE_SUFFIX);
+      finalNode.squeeze(output);
+      finalNode.wipe();
+      return output;
+    },
+  };
+
+  return that;
+};
+
+/**
+ * Computes KangarooTwelve of an input in one call.
+ *
+ * @function hash
+ * @memberof module:qubic.k12
+ * @param {Uint8Array|string} input
+ * @param {object} [options]
+ * @param {Uint8Array|string} [options.customization] - Customization string.
+ * @param {number} [options.outputLength=32] - Output length in bytes.
+ * @returns {Uint8Array}
+ */
+export const hash = function (input, { customization, outputLength } = {}) {
+  return create(customization).update(input).digest(outputLength);
+};
+
+/**
+ * Incremental KangarooTwelve, in JavaScript.
+ *
+ * @namespace k12
+ * @memberof module:qubic
+ */
+export const k12 = {
+  create,
+  hash,
+};
@@ -0,0 +1,219 @@
+'use strict';
+
+import { errors, CryptoError, IllegalArgumentError, IllegalStateError } from '../errors.js';
+
+const DEFAULT_SIZE = 2;
+
+// Worker threads are loaded on first use, so that the module can be bundled for browsers.
+const createNodeWorker = function () {
+  return import('worker_threads').then(function ({ Worker }) {
+    return new Worker(new URL('./worker.js', import.meta.url));
+  });
+};
+
+// Worker threads of Node.js emit events, while Web Workers have event handlers.
+const listen = function (worker, onMessage, onError) {
+  if (typeof worker.on === 'function') {
+    worker.on('message', onMessage);
+    worker.on('error', onError);
+    worker.on('exit', function (code) {
+      onError(new CryptoError(`Crypto worker exited with code ${code}.`));
+    });
+  } else {
+    worker.onmessage = function (event) {
+      onMessage(event.data);
+    };
+    worker.onerror = function (event) {
+      onError(new CryptoError(event.message || 'Crypto worker failed.'));
+    };
+  }
+};
+
+/**
+ * @typedef {object} CryptoPool
+ * @property {Function} then - Resolves to crypto functions, like `crypto`, except that every
+ * function returns a promise. `K12` resolves once output is written.
+ * @property {Function} catch - Like `then`, for symmetry with `crypto`.
+ * @property {Function} terminate - Terminates all workers and rejects pending calls.
+ */
+
+/**
+ * Creates a pool of crypto workers, which can be passed as `crypto` option to `connection`,
+ * `client` and `receipt.verify`, so that signature verification and hashing run off the main
+ * thread. Workers are started on first call, and are restarted if they fail. Uses worker threads
+ * in Node.js. In browsers, pass `createWorker` to start Web Workers from `qubic-js/crypto-worker`.
+ *
+ * @function cryptoPool
+ * @memberof module:qubic
+ * @param {object} [options]
+ * @param {number} [options.size=2] - Number of workers.
+ * @param {Function} [options.createWorker] - Creates a worker which runs `qubic-js/crypto-worker`,
+ * or a promise of one.
+ * @returns {CryptoPool}
+ * @example import qubic from 'qubic-js';
+ *
+ * const crypto = qubic.cryptoPool({
+ *   size: 4,
+ *   createWorker() {
+ *     return new Worker(new URL('qubic-js/crypto-worker', import.meta.url), { type: 'module' });
+ *   },
+ * });
+ *
+ * qubic.receipt.verify(receiptBase64, { adminPublicKey, crypto }).then(function ({ valid }) {
+ *   console.log(valid);
+ * });
+ *
+ */
+export const cryptoPool = function ({ size = DEFAULT_SIZE, createWorker = createNodeWorker } = {}) {
+  if (!Number.isInteger(size) || size < 1) {
+    throw new IllegalArgumentError('Illegal size.');
+  }
+
+  const workers = Array(size).fill(undefined);
+  const pendingCounts = Array(size).fill(0);
+  const requests = new Map();
+  let requestId = 0;
+  let isTerminated = false;
+
+  const rejectRequestsOf = function (i, error) {
+    requests.forEach(function (request, id) {
+      if (request.i === i) {
+        requests.delete(id);
+        request.reject(error);
+      }
+    });
+    pendingCounts[i] = 0;
+  };
+
+  const spawn = function (i) {
+    const spawned = Promise.resolve()
+      .then(createWorker)
+      .then(function (worker) {
+        listen(
+          worker,
+          function ({ id, result, error, name }) {
+            const request = requests.get(id);
+            if (request !== undefined) {
+              requests.delete(id);
+              pendingCounts[i]--;
+              if (error !== undefined) {
+                // Errors of the library keep their class across the worker boundary.
+                const ErrorClass = Object.prototype.hasOwnProperty.call(errors, name)
+                  ? errors[name]
+                  : CryptoError;
+                request.reject(new ErrorClass(error));
+              } else {
+                request.resolve(result);
+              }
+            }
+          },
+          function (error) {
+            if (workers[i] === spawned) {
+              workers[i] = undefined;
+              rejectRequestsOf(i, error);
+              if (typeof worker.terminate === 'function') {
+                worker.terminate();
+              }
+            }
+          }
+        );
+        return worker;
+      });
+    spawned.catch(function (error) {
+      if (workers[i] === spawned) {
+        workers[i] = undefined;
+        rejectRequestsOf(i, error);
+      }
+    });
+    workers[i] = spawned;
+    return spawned;
+  };
+
+  const call = function (method, args) {
+    if (isTerminated) {
+      return Promise.reject(new IllegalStateError('Crypto pool is terminated.'));
+    }
+    const i = pendingCounts.indexOf(Math.min(...pendingCounts));
+    const worker = workers[i] || spawn(i);
+    const id = requestId++;
+    pendingCounts[i]++;
+    return new Promise(function (resolve, reject) {
+      requests.set(id, { i, resolve, reject });
+      worker.then(
+        function (worker) {
+          if (requests.has(id)) {
+            worker.postMessage({ id, method, args });
+          }
+        },
+        function () {
+          // Requests were rejected with the error of spawn.
+        }
+      );
+    });
+  };
+
+  const functions = {
+    schnorrq: {
+      generatePublicKey(secretKey) {
+        return call('schnorrq.generatePublicKey', [secretKey]);
+      },
+      sign(secretKey, publicKey, message) {
+        return call('schnorrq.sign', [secretKey, publicKey, message]);
+      },
+      verify(publicKey, message, signature) {
+        return call('schnorrq.verify', [publicKey, message, signature]);
+      },
+      // Batches are split evenly among workers.
+      verifyBatch(batch) {
+        if (!Array.isArray(batch)) {
+          return Promise.reject(new IllegalArgumentError('Illegal batch.'));
+        }
+        const sliceLength = Math.max(Math.ceil(batch.length / size), 1);
+        const slices = [];
+        for (let i = 0; i < batch.length; i += sliceLength) {
+          slices.push(call('schnorrq.verifyBatch', [batch.slice(i, i + sliceLength)]));
+        }
+        return Promise.all(slices).then(function (results) {
+          return [].concat(...results);
+        });
+      },
+    },
+    kex: {
+      generateCompressedPublicKey(secretKey) {
+        return call('kex.generateCompressedPublicKey', [secretKey]);
+      },
+      compressedSecretAgreement(secretKey, publicKey) {
+        return call('kex.compressedSecretAgreement', [secretKey, publicKey]);
+      },
+    },
+    K12(input, output, outputLength, outputOffset = 0, customization) {
+      return call('K12', [input, outputLength, customization]).then(function (result) {
+        output.set(result, outputOffset);
+      });
+    },
+  };
+
+  return {
+    then(onFulfilled, onRejected) {
+      return Promise.resolve(functions).then(onFulfilled, onRejected);
+    },
+    catch(onRejected) {
+      return Promise.resolve(functions).catch(onRejected);
+    },
+    terminate() {
+      isTerminated = true;
+      workers.forEach(function (worker, i) {
+        if (worker !== undefined) {
+          workers[i] = undefined;
+          rejectRequestsOf(i, new IllegalStateError('Crypto pool is terminated.'));
+          worker.then(
+            function (worker) {
+              worker.terminate();
+            },
+            function () {}
+          );
+        }
+      });
+    },
+  };
+};
@@ -0,0 +1,235 @@
+'use strict';
+
+import { IllegalArgumentError } from '../errors.js';
+
+// scrypt key derivation function, as specified in RFC 7914, over PBKDF2-HMAC-SHA256.
+
+const SHA256_BLOCK_LENGTH = 64;
+const SHA256_LENGTH = 32;
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+const rotr = function (x, n) {
+  return (x >>> n) | (x << (32 - n));
+};
+
+const sha256 = function (message) {
+  const length = Math.ceil((message.length + 9) / SHA256_BLOCK_LENGTH) * SHA256_BLOCK_LENGTH;
+  const padded = new Uint8Array(length);
+  padded.set(message);
+  padded[message.length] = 0x80;
+  const paddedView = new DataView(padded.buffer);
+  paddedView.setUint32(length - 8, Math.floor(message.length / 0x20000000));
+  paddedView.setUint32(length - 4, (message.length * 8) >>> 0);
+
+  const H = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+  ]);
+  const W = new Uint32Array(64);
+
+  for (let offset = 0; offset < length; offset += SHA256_BLOCK_LENGTH) {
+    for (let i = 0; i < 16; i++) {
+      W[i] = paddedView.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(W[i - 15], 7) ^ rotr(W[i - 15], 18) ^ (W[i - 15] >>> 3);
+      const s1 = rotr(W[i - 2], 17) ^ rotr(W[i - 2], 19) ^ (W[i - 2] >>> 10);
+      W[i] = W[i - 16] + s0 + W[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = H;
+    for (let i = 0; i < 64; i++) {
+      const t1 =
+        (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + W[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    H[0] += a;
+    H[1] += b;
+    H[2] += c;
+    H[3] += d;
+    H[4] += e;
+    H[5] += f;
+    H[6] += g;
+    H[7] += h;
+  }
+
+  const digest = new Uint8Array(SHA256_LENGTH);
+  const digestView = new DataView(digest.buffer);
+  for (let i = 0; i < 8; i++) {
+    digestView.setUint32(i * 4, H[i]);
+  }
+  padded.fill(0);
+  W.fill(0);
+  return digest;
+};
+
+const hmacSha256 = function (key, message) {
+  if (key.length > SHA256_BLOCK_LENGTH) {
+    key = sha256(key);
+  }
+  const inner = new Uint8Array(SHA256_BLOCK_LENGTH + message.length);
+  const outer = new Uint8Array(SHA256_BLOCK_LENGTH + SHA256_LENGTH);
+  for (let i = 0; i < SHA256_BLOCK_LENGTH; i++) {
+    inner[i] = (key[i] || 0) ^ 0x36;
+    outer[i] = (key[i] || 0) ^ 0x5c;
+  }
+  inner.set(message, SHA256_BLOCK_LENGTH);
+  outer.set(sha256(inner), SHA256_BLOCK_LENGTH);
+  const mac = sha256(outer);
+  inner.fill(0);
+  outer.fill(0);
+  return mac;
+};
+
+const pbkdf2HmacSha256 = function (password, salt, length) {
+  const derivedKey = new Uint8Array(length);
+  const block = new Uint8Array(salt.length + 4);
+  block.set(salt);
+  const blockView = new DataView(block.buffer);
+  for (let i = 1, offset = 0; offset < length; i++, offset += SHA256_LENGTH) {
+    blockView.setUint32(salt.length, i);
+    derivedKey.set(hmacSha256(password, block).subarray(0, length - offset), offset);
+  }
+  return derivedKey;
+};
+
+const salsa20_8 = function (B, x) {
+  x.set(B);
+  for (let i = 0; i < 8; i += 2) {
+    x[4] ^= rotr(x[0] + x[12], 25);
+    x[8] ^= rotr(x[4] + x[0], 23);
+    x[12] ^= rotr(x[8] + x[4], 19);
+    x[0] ^= rotr(x[12] + x[8], 14);
+    x[9] ^= rotr(x[5] + x[1], 25);
+    x[13] ^= rotr(x[9] + x[5], 23);
+    x[1] ^= rotr(x[13] + x[9], 19);
+    x[5] ^= rotr(x[1] + x[13], 14);
+    x[14] ^= rotr(x[10] + x[6], 25);
+    x[2] ^= rotr(x[14] + x[10], 23);
+    x[6] ^= rotr(x[2] + x[14], 19);
+    x[10] ^= rotr(x[6] + x[2], 14);
+    x[3] ^= rotr(x[15] + x[11], 25);
+    x[7] ^= rotr(x[3] + x[15], 23);
+    x[11] ^= rotr(x[7] + x[3], 19);
+    x[15] ^= rotr(x[11] + x[7], 14);
+    x[1] ^= rotr(x[0] + x[3], 25);
+    x[2] ^= rotr(x[1] + x[0], 23);
+    x[3] ^= rotr(x[2] + x[1], 19);
+    x[0] ^= rotr(x[3] + x[2], 14);
+    x[6] ^= rotr(x[5] + x[4], 25);
+    x[7] ^= rotr(x[6] + x[5], 23);
+    x[4] ^= rotr(x[7] + x[6], 19);
+    x[5] ^= rotr(x[4] + x[7], 14);
+    x[11] ^= rotr(x[10] + x[9], 25);
+    x[8] ^= rotr(x[11] + x[10], 23);
+    x[9] ^= rotr(x[8] + x[11], 19);
+    x[10] ^= rotr(x[9] + x[8], 14);
+    x[12] ^= rotr(x[15] + x[14], 25);
+    x[13] ^= rotr(x[12] + x[15], 23);
+    x[14] ^= rotr(x[13] + x[12], 19);
+    x[15] ^= rotr(x[14] + x[13], 14);
+  }
+  for (let i = 0; i < 16; i++) {
+    B[i] += x[i];
+  }
+};
+
+const blockMix = function (B, Y, X, x, r) {
+  X.set(B.subarray((2 * r - 1) * 16, 2 * r * 16));
+  for (let i = 0; i < 2 * r; i++) {
+    for (let j = 0; j < 16; j++) {
+      X[j] ^= B[i * 16 + j];
+    }
+    salsa20_8(X, x);
+    Y.set(X, ((i & 1) * r + (i >>> 1)) * 16);
+  }
+  B.set(Y);
+};
+
+const roMix = function (B, N, r) {
+  const blockLength = 32 * r;
+  const V = new Uint32Array(blockLength * N);
+  const Y = new Uint32Array(blockLength);
+  const X = new Uint32Array(16);
+  const x = new Uint32Array(16);
+
+  for (let i = 0; i < N; i++) {
+    V.set(B, i * blockLength);
+    blockMix(B, Y, X, x, r);
+  }
+  for (let i = 0; i < N; i++) {
+    const j = B[(2 * r - 1) * 16] & (N - 1);
+    for (let k = 0; k < blockLength; k++) {
+      B[k] ^= V[j * blockLength + k];
+    }
+    blockMix(B, Y, X, x, r);
+  }
+
+  V.fill(0);
+  Y.fill(0);
+  X.fill(0);
+  x.fill(0);
+};
+
+/**
+ * Derives a key from a password with scrypt (RFC 7914).
+ *
+ * @function scrypt
+ * @memberof Crypto
+ * @param {Uint8Array} password
+ * @param {Uint8Array} salt
+ * @param {object} params
+ * @param {number} params.N - CPU and memory cost, a power of 2.
+ * @param {number} params.r - Block size.
+ * @param {number} params.p - Parallelization.
+ * @param {number} params.length - Length of derived key in bytes.
+ * @returns {Uint8Array} Derived key.
+ */
+export const scrypt = function (password, salt, { N, r, p, length }) {
+  if (!Number.isInteger(N) || N < 2 || (N & (N - 1)) !== 0 || N > 2 ** 24) {
+    throw new IllegalArgumentError('Illegal N.');
+  }
+  if (!Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1 || r * p >= 2 ** 30) {
+    throw new IllegalArgumentError('Illegal r or p.');
+  }
+  if (!Number.isInteger(length) || length < 1) {
+    throw new IllegalArgumentError('Illegal length.');
+  }
+
+  const blockLength = 128 * r;
+  const B = pbkdf2HmacSha256(password, salt, p * blockLength);
+  const BView = new DataView(B.buffer);
+  const block = new Uint32Array(blockLength / 4);
+
+  for (let i = 0; i < p; i++) {
+    for (let j = 0; j < block.length; j++) {
+      block[j] = BView.getUint32(i * blockLength + j * 4, true);
+    }
+    roMix(block, N, r);
+    for (let j = 0; j < block.length; j++) {
+      BView.setUint32(i * blockLength + j * 4, block[j], true);
+    }
+  }
+
+  const derivedKey = pbkdf2HmacSha256(password, B, length);
+  B.fill(0);
+  block.fill(0);
+  return derivedKey;
+};
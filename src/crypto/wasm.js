@@ -0,0 +1,79 @@
+'use strict';
+
+import { CryptoError } from '../errors.js';
+
+// Loads the WASM module of FourQ and K12. `libFourQ_K12.js` is generated by emscripten and kept
+// as generated; it instantiates the embedded binary once, when it is first imported. A custom
+// binary is instantiated here instead, and exposes the same functions and memory views.
+
+// WASI imports of the binary. The library does not perform I/O.
+const ENOSYS = 52;
+
+const wasiImports = {
+  fd_close() {
+    return ENOSYS;
+  },
+  fd_read() {
+    return ENOSYS;
+  },
+  fd_seek() {
+    return ENOSYS;
+  },
+  fd_write() {
+    return ENOSYS;
+  },
+  proc_exit(code) {
+    throw new CryptoError(`Program terminated with exit(${code}).`);
+  },
+};
+
+const instantiate = function (wasmBinary) {
+  return WebAssembly.instantiate(wasmBinary, {
+    env: wasiImports,
+    wasi_snapshot_preview1: wasiImports,
+  }).then(function ({ instance }) {
+    const module = {};
+    Object.keys(instance.exports).forEach(function (name) {
+      if (typeof instance.exports[name] === 'function') {
+        module[`_${name}`] = instance.exports[name];
+      }
+    });
+    // Memory of the binary does not grow, so views stay valid.
+    module.HEAPU8 = new Uint8Array(instance.exports.memory.buffer);
+    module.HEAPU16 = new Uint16Array(instance.exports.memory.buffer);
+    if (module.__initialize !== undefined) {
+      module.__initialize();
+    }
+    return module;
+  });
+};
+
+let embeddedModule;
+
+const load = function () {
+  if (embeddedModule === undefined) {
+    embeddedModule = import('./libFourQ_K12.js').then(function ({ default: Module }) {
+      return new Promise(function (resolve, reject) {
+        if (Module.calledRun) {
+          resolve(Module);
+        } else {
+          Module.onRuntimeInitialized = function () {
+            resolve(Module);
+          };
+          Module.onAbort = reject;
+        }
+      });
+    });
+  }
+  return embeddedModule;
+};
+
+/**
+ * Resolves with the WASM module once it is initialized.
+ *
+ * @param {ArrayBuffer|Uint8Array} [wasmBinary] - Binary to use instead of the embedded one.
+ * @returns {Promise<object>}
+ */
+export const createModule = function (wasmBinary) {
+  return wasmBinary !== undefined ? instantiate(wasmBinary) : load();
+};
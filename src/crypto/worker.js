@@ -0,0 +1,72 @@
+'use strict';
+
+import { parentPort } from 'worker_threads';
+import { crypto } from './index.js';
+import { IllegalArgumentError } from '../errors.js';
+
+// Entry of crypto workers, in Node.js worker threads and in Web Workers. Each request names a
+// crypto function and its arguments, and is answered with the result, or with the error message
+// and the name of its class.
+// K12 returns its output instead of writing it to an argument, which would not be shared.
+// Secret keys are copies cloned into the worker, and are wiped once used.
+
+const withSecretKey = function (secretKey, fn) {
+  try {
+    return fn(secretKey);
+  } finally {
+    if (secretKey instanceof Uint8Array) {
+      secretKey.fill(0);
+    }
+  }
+};
+
+const handlers = {
+  'schnorrq.generatePublicKey': function ({ schnorrq }, secretKey) {
+    return withSecretKey(secretKey, schnorrq.generatePublicKey);
+  },
+  'schnorrq.sign': function ({ schnorrq }, secretKey, publicKey, message) {
+    return withSecretKey(secretKey, function () {
+      return schnorrq.sign(secretKey, publicKey, message);
+    });
+  },
+  'schnorrq.verify': function ({ schnorrq }, publicKey, message, signature) {
+    return schnorrq.verify(publicKey, message, signature);
+  },
+  'schnorrq.verifyBatch': function ({ schnorrq }, batch) {
+    return schnorrq.verifyBatch(batch);
+  },
+  'kex.generateCompressedPublicKey': function ({ kex }, secretKey) {
+    return withSecretKey(secretKey, kex.generateCompressedPublicKey);
+  },
+  'kex.compressedSecretAgreement': function ({ kex }, secretKey, publicKey) {
+    return withSecretKey(secretKey, function () {
+      return kex.compressedSecretAgreement(secretKey, publicKey);
+    });
+  },
+  K12({ K12 }, input, outputLength, customization) {
+    const output = new Uint8Array(outputLength);
+    K12(input, output, outputLength, 0, customization);
+    return output;
+  },
+};
+
+const handle = async function ({ id, method, args }) {
+  try {
+    if (!Object.prototype.hasOwnProperty.call(handlers, method)) {
+      throw new IllegalArgumentError(`Unknown crypto method: ${method}.`);
+    }
+    return { id, result: handlers[method](await crypto, ...args) };
+  } catch (error) {
+    return { id, error: error.message, name: error.name };
+  }
+};
+
+if (parentPort) {
+  parentPort.on('message', async function (request) {
+    parentPort.postMessage(await handle(request));
+  });
+} else {
+  self.onmessage = async function (event) {
+    self.postMessage(await handle(event.data));
+  };
+}
@@ -0,0 +1,276 @@
+'use strict';
+
+// Every error of the library is a `QubicError`, with a `code` which is stable across releases,
+// unlike messages. Error classes are exported, and are also available as `qubic.errors`.
+
+/**
+ * Codes of library errors, by error class name.
+ *
+ * @constant {object<string, string>}
+ * @memberof module:qubic
+ */
+export const ERROR_CODES = {
+  QubicError: 'QUBIC_ERROR',
+  IllegalArgumentError: 'ILLEGAL_ARGUMENT',
+  IllegalStateError: 'ILLEGAL_STATE',
+  InvalidSeedError: 'INVALID_SEED',
+  ChecksumError: 'INVALID_CHECKSUM',
+  InvalidShareError: 'INVALID_SHARE',
+  InsufficientEnergyError: 'INSUFFICIENT_ENERGY',
+  SignatureVerificationError: 'INVALID_SIGNATURE',
+  DatabaseIntegrityError: 'DATABASE_INTEGRITY',
+  NotFoundError: 'NOT_FOUND',
+  AlreadyExistsError: 'ALREADY_EXISTS',
+  VaultLockedError: 'VAULT_LOCKED',
+  WrongPassphraseError: 'WRONG_PASSPHRASE',
+  ConnectionError: 'CONNECTION',
+  TimeoutError: 'TIMEOUT',
+  AbortError: 'ABORTED',
+  RemoteSignerError: 'REMOTE_SIGNER',
+  CryptoError: 'CRYPTO',
+  ProtocolError: 'PROTOCOL',
+  TruncatedFrameError: 'TRUNCATED_FRAME',
+};
+
+/**
+ * Base class of library errors.
+ *
+ * @property {string} code - Error code, one of `ERROR_CODES`.
+ */
+export class QubicError extends Error {
+  constructor(message, { code = ERROR_CODES.QubicError, ...details } = {}) {
+    super(message);
+    this.name = 'QubicError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Error thrown when an argument is missing, malformed or out of range.
+ */
+export class IllegalArgumentError extends QubicError {
+  constructor(message, details) {
+    super(message, { ...details, code: ERROR_CODES.IllegalArgumentError });
+    this.name = 'IllegalArgumentError';
+  }
+}
+
+/**
+ * Error thrown when an operation is not allowed in the current state of an object.
+ */
+export class IllegalStateError extends QubicError {
+  constructor(message, details) {
+    super(message, { ...details, code: ERROR_CODES.IllegalStateError });
+    this.name = 'IllegalStateError';
+  }
+}
+
+/**
+ * Error thrown when a seed is not 55 lowercase latin chars.
+ */
+export class InvalidSeedError extends QubicError {
+  constructor(message, details) {
+    super(message, { ...details, code: ERROR_CODES.InvalidSeedError });
+    this.name = 'InvalidSeedError';
+  }
+}
+
+/**
+ * Error thrown when the checksum of an identity or of a seed share does not match.
+ */
+export class ChecksumError extends QubicError {
+  constructor(message, details) {
+    super(message, { ...details, code: ERROR_CODES.ChecksumError });
+    this.name = 'ChecksumError';
+  }
+}
+
+/**
+ * Error thrown when seed shares are malformed, inconsistent or too few.
+ */
+export class InvalidShareError extends QubicError {
+  constructor(message, details) {
+    super(message, { ...details, code: ERROR_CODES.InvalidShareError });
+    this.name = 'InvalidShareError';
+  }
+}
+
+/**
+ * Error thrown when a transfer exceeds the energy of its source.
+ */
+export class InsufficientEnergyError extends QubicError {
+  constructor(message, details) {
+    super(message, { ...details, code: ERROR_CODES.InsufficientEnergyError });
+    this.name = 'InsufficientEnergyError';
+  }
+}
+
+/**
+ * Error thrown when a signature is invalid.
+ */
+export class SignatureVerificationError extends QubicError {
+  constructor(message, details) {
+    super(message, { ...details, code: ERROR_CODES.SignatureVerificationError });
+    this.name = 'SignatureVerificationError';
+  }
+}
+
+/**
+ * Error thrown or emitted when stored data fails verification, such as a database entry or its
+ * signature.
+ */
+export class DatabaseIntegrityError extends QubicError {
+  constructor(message, details) {
+    super(message, { ...details, code: ERROR_CODES.DatabaseIntegrityError });
+    this.name = 'DatabaseIntegrityError';
+  }
+}
+
+/**
+ * Error thrown when a labeled seed, account or identity does not exist.
+ */
+export class NotFoundError extends QubicError {
+  constructor(message, details) {
+    super(message, { ...details, code: ERROR_CODES.NotFoundError });
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Error thrown when a labeled seed or account already exists.
+ */
+export class AlreadyExistsError extends QubicError {
+  constructor(message, details) {
+    super(message, { ...details, code: ERROR_CODES.AlreadyExistsError });
+    this.name = 'AlreadyExistsError';
+  }
+}
+
+/**
+ * Error thrown when a vault is used while locked.
+ */
+export class VaultLockedError extends QubicError {
+  constructor(message, details) {
+    super(message, { ...details, code: ERROR_CODES.VaultLockedError });
+    this.name = 'VaultLockedError';
+  }
+}
+
+/**
+ * Error thrown when a vault is unlocked with a wrong passphrase.
+ */
+export class WrongPassphraseError extends QubicError {
+  constructor(message, details) {
+    super(message, { ...details, code: ERROR_CODES.WrongPassphraseError });
+    this.name = 'WrongPassphraseError';
+  }
+}
+
+/**
+ * Error thrown when a connection to peers or to a remote signer fails or closes.
+ */
+export class ConnectionError extends QubicError {
+  constructor(message, details) {
+    super(message, { ...details, code: ERROR_CODES.ConnectionError });
+    this.name = 'ConnectionError';
+  }
+}
+
+/**
+ * Error thrown when an operation times out or exceeds its deadline.
+ */
+export class TimeoutError extends QubicError {
+  constructor(message, details) {
+    super(message, { ...details, code: ERROR_CODES.TimeoutError });
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Error thrown when an operation is aborted through its signal.
+ */
+export class AbortError extends QubicError {
+  constructor(message, details) {
+    super(message, { ...details, code: ERROR_CODES.AbortError });
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * Error thrown when a remote signer responds with an error or with malformed data.
+ */
+export class RemoteSignerError extends QubicError {
+  constructor(message, details) {
+    super(message, { ...details, code: ERROR_CODES.RemoteSignerError });
+    this.name = 'RemoteSignerError';
+  }
+}
+
+/**
+ * Error thrown when crypto fails to initialize, runs out of memory, or its workers fail.
+ */
+export class CryptoError extends QubicError {
+  constructor(message, details) {
+    super(message, { ...details, code: ERROR_CODES.CryptoError });
+    this.name = 'CryptoError';
+  }
+}
+
+/**
+ * Error thrown when a frame or a field does not conform to the protocol.
+ */
+export class ProtocolError extends QubicError {
+  constructor(
+    message,
+    { messageType, field, size, frames, code = ERROR_CODES.ProtocolError } = {}
+  ) {
+    super(message, { code });
+    this.name = 'ProtocolError';
+    this.messageType = messageType;
+    this.field = field;
+    this.size = size;
+    this.frames = frames;
+  }
+}
+
+/**
+ * Error thrown when a frame is shorter than its header or its message schema requires.
+ */
+export class TruncatedFrameError extends ProtocolError {
+  constructor(message, { messageType, expectedLength, actualLength } = {}) {
+    super(message, { messageType, code: ERROR_CODES.TruncatedFrameError });
+    this.name = 'TruncatedFrameError';
+    this.expectedLength = expectedLength;
+    this.actualLength = actualLength;
+  }
+}
+
+/**
+ * Error classes of the library.
+ *
+ * @namespace errors
+ * @memberof module:qubic
+ */
+export const errors = {
+  QubicError,
+  IllegalArgumentError,
+  IllegalStateError,
+  InvalidSeedError,
+  ChecksumError,
+  InvalidShareError,
+  InsufficientEnergyError,
+  SignatureVerificationError,
+  DatabaseIntegrityError,
+  NotFoundError,
+  AlreadyExistsError,
+  VaultLockedError,
+  WrongPassphraseError,
+  ConnectionError,
+  TimeoutError,
+  AbortError,
+  RemoteSignerError,
+  CryptoError,
+  ProtocolError,
+  TruncatedFrameError,
+};
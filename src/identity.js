@@ -1,7 +1,8 @@
 'use strict';
 
-import { crypto } from './crypto/index.js';
+import { crypto, cryptoSync } from './crypto/index.js';
 import { bytesToShiftedHex, shiftedHexToBytes, HEX_CHARS_PER_BYTE } from './utils/hex.js';
+import { IllegalArgumentError, InvalidSeedError } from './errors.js';
 
 const SEED_ALPHABET = 'abcdefghijklmnopqrstuvwxyz';
 export const SEED_IN_LOWERCASE_LATIN_LENGTH = 55;
@@ -19,6 +20,45 @@ export const seedToBytes = function (seed) {
   return bytes;
 };
 
+const validateSeed = function (seed) {
+  if (!new RegExp(`^[a-z]{${SEED_IN_LOWERCASE_LATIN_LENGTH}}$`).test(seed)) {
+    throw new InvalidSeedError(
+      `Invalid seed. Must be ${SEED_IN_LOWERCASE_LATIN_LENGTH} lowercase latin chars.`
+    );
+  }
+};
+
+const validateIndex = function (index, message = 'Illegal index.') {
+  if (!Number.isSafeInteger(index) || index < 0) {
+    throw new IllegalArgumentError(message);
+  }
+};
+
+// Adds `increment` to preimage, in one pass over its digits. Equivalent to incrementing the
+// first digit `increment` times, where a digit overflowing past 26 wraps to 1 and carries.
+const incrementPreimage = function (preimage, increment) {
+  for (let i = 0; i < preimage.length && increment > 0; i++) {
+    const value = preimage[i] + increment;
+    if (value > SEED_ALPHABET.length) {
+      preimage[i] = ((value - SEED_ALPHABET.length - 1) % SEED_ALPHABET.length) + 1;
+      increment = Math.floor((value - SEED_ALPHABET.length - 1) / SEED_ALPHABET.length) + 1;
+    } else {
+      preimage[i] = value;
+      increment = 0;
+    }
+  }
+  return preimage;
+};
+
+const publicKeyWithChecksum = function (schnorrq, K12, preimage) {
+  const key = new Uint8Array(PRIVATE_KEY_LENGTH);
+  K12(preimage, key, PRIVATE_KEY_LENGTH);
+  const bytes = new Uint8Array(PUBLIC_KEY_LENGTH + CHECKSUM_LENGTH);
+  bytes.set(schnorrq.generatePublicKey(key));
+  K12(bytes.subarray(0, PUBLIC_KEY_LENGTH), bytes, CHECKSUM_LENGTH, PUBLIC_KEY_LENGTH);
+  return bytesToShiftedHex(bytes).toUpperCase();
+};
+
 /**
  * Generates a private key from seed.
  *
@@ -30,18 +70,7 @@ export const seedToBytes = function (seed) {
  * @returns {Uint8Array} Private key bytes.
  */
 export const privateKey = function (seed, index, K12) {
-  const preimage = seedToBytes(seed);
-
-  while (index-- > 0) {
-    for (let i = 0; i < preimage.length; i++) {
-      if (++preimage[i] > SEED_ALPHABET.length) {
-        preimage[i] = 1;
-      } else {
-        break;
-      }
-    }
-  }
-
+  const preimage = incrementPreimage(seedToBytes(seed), index);
   const key = new Uint8Array(PRIVATE_KEY_LENGTH);
   K12(preimage, key, PRIVATE_KEY_LENGTH);
   return key;
@@ -57,33 +86,119 @@ export const privateKey = function (seed, index, K12) {
  * @returns {Promise<string>} Identity with checksum in uppercase hex.
  */
 export const identity = function (seed, index) {
-  if (!new RegExp(`^[a-z]{${SEED_IN_LOWERCASE_LATIN_LENGTH}}$`).test(seed)) {
-    throw new Error(
-      `Invalid seed. Must be ${SEED_IN_LOWERCASE_LATIN_LENGTH} lowercase latin chars.`
-    );
-  }
+  validateSeed(seed);
+  validateIndex(index);
 
-  if (!Number.isInteger(index) || index < 0) {
-    throw new Error('Illegal index.');
-  }
+  return crypto.then(function () {
+    return identitySync(seed, index);
+  });
+};
+
+/**
+ * Synchronous `identity`, usable once `init` has resolved.
+ *
+ * @function identitySync
+ * @memberof module:qubic
+ * @param {string} seed - Seed in 55 lowercase latin chars.
+ * @param {number} index - Identity index.
+ * @returns {string} Identity with checksum in uppercase hex.
+ */
+export const identitySync = function (seed, index) {
+  validateSeed(seed);
+  validateIndex(index);
+
+  const { schnorrq, K12 } = cryptoSync();
+  return publicKeyWithChecksum(schnorrq, K12, incrementPreimage(seedToBytes(seed), index));
+};
+
+/**
+ * Creates a range of identities with checksum. The preimage of the first identity is computed
+ * once, then each next one is reached by a single increment, so large ranges cost the same per
+ * identity as small ones.
+ *
+ * @function deriveIdentities
+ * @memberof module:qubic
+ * @param {string} seed - Seed in 55 lowercase latin chars.
+ * @param {object} [options]
+ * @param {number} [options.from=0] - Index of first identity.
+ * @param {number} [options.count=1] - Number of identities.
+ * @returns {Promise<string[]>} Identities with checksum in uppercase hex, in order of index.
+ * @example import qubic from 'qubic-js';
+ *
+ * qubic
+ *   .deriveIdentities('vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu', {
+ *     from: 1000,
+ *     count: 5000,
+ *   })
+ *   .then(console.log);
+ *
+ */
+export const deriveIdentities = function (seed, { from = 0, count = 1 } = {}) {
+  validateSeed(seed);
+  validateIndex(from);
+  validateIndex(count, 'Illegal count.');
 
   return crypto.then(function ({ schnorrq, K12 }) {
-    const publicKeyWithChecksum = new Uint8Array(PUBLIC_KEY_LENGTH + CHECKSUM_LENGTH);
-    publicKeyWithChecksum.set(schnorrq.generatePublicKey(privateKey(seed, index, K12)));
-    K12(
-      publicKeyWithChecksum.subarray(0, PUBLIC_KEY_LENGTH),
-      publicKeyWithChecksum,
-      CHECKSUM_LENGTH,
-      PUBLIC_KEY_LENGTH
-    );
-    return bytesToShiftedHex(publicKeyWithChecksum).toUpperCase();
+    const preimage = incrementPreimage(seedToBytes(seed), from);
+    const identities = [];
+    for (let i = 0; i < count; i++) {
+      identities.push(publicKeyWithChecksum(schnorrq, K12, preimage));
+      incrementPreimage(preimage, 1);
+    }
+    return identities;
   });
 };
 
-export const addChecksum = async function (identity) {
+/**
+ * Scans identities of a seed in order of index, and stops after `gapLimit` consecutive
+ * identities without history.
+ *
+ * @function scanGap
+ * @memberof module:qubic
+ * @param {string} seed - Seed in 55 lowercase latin chars.
+ * @param {object} options
+ * @param {Function} options.hasHistory - Called with identity and index, resolves with `true`
+ * if identity has history.
+ * @param {number} [options.from=0] - Index to start scanning from.
+ * @param {number} [options.gapLimit=20] - Number of consecutive identities without history
+ * after which scanning stops. Identities are checked in batches of this size.
+ * @returns {Promise<object[]>} Index and identity of each identity with history.
+ */
+export const scanGap = async function (seed, { hasHistory, from = 0, gapLimit = 20 } = {}) {
+  if (typeof hasHistory !== 'function') {
+    throw new IllegalArgumentError('Illegal hasHistory.');
+  }
+  if (!Number.isInteger(gapLimit) || gapLimit < 1) {
+    throw new IllegalArgumentError('Illegal gapLimit.');
+  }
+
+  const identitiesWithHistory = [];
+  let gap = 0;
+  for (let index = from; gap < gapLimit; index += gapLimit) {
+    const identities = await deriveIdentities(seed, { from: index, count: gapLimit });
+    const histories = await Promise.all(
+      identities.map(function (identity, i) {
+        return hasHistory(identity, index + i);
+      })
+    );
+    histories.forEach(function (history, i) {
+      if (gap < gapLimit) {
+        if (history) {
+          identitiesWithHistory.push({ index: index + i, identity: identities[i] });
+          gap = 0;
+        } else {
+          gap++;
+        }
+      }
+    });
+  }
+  return identitiesWithHistory;
+};
+
+export const addChecksumSync = function (identity) {
   const identityWithChecksum = new Uint8Array(PUBLIC_KEY_LENGTH + CHECKSUM_LENGTH);
   identityWithChecksum.set(identity.slice(0, PUBLIC_KEY_LENGTH));
-  (await crypto).K12(
+  cryptoSync().K12(
     identity.subarray(0, PUBLIC_KEY_LENGTH),
     identityWithChecksum,
     CHECKSUM_LENGTH,
@@ -92,6 +207,11 @@ export const addChecksum = async function (identity) {
   return identityWithChecksum;
 };
 
+export const addChecksum = async function (identity) {
+  await crypto;
+  return addChecksumSync(identity);
+};
+
 /**
  * Validates integrity of identity with checksum.
  *
@@ -101,19 +221,31 @@ export const addChecksum = async function (identity) {
  * @returns {Promise<boolean>}
  */
 export const verifyChecksum = function (identity) {
-  return crypto.then(function ({ K12 }) {
-    const buffer = shiftedHexToBytes(identity.toLowerCase());
-    const checksum = new Uint8Array(CHECKSUM_LENGTH);
-    K12(buffer.subarray(0, PUBLIC_KEY_LENGTH), checksum, CHECKSUM_LENGTH, 0);
-    for (let i = 0; i < CHECKSUM_LENGTH; i++) {
-      if (checksum[i] !== buffer[PUBLIC_KEY_LENGTH + i]) {
-        return false;
-      }
-    }
-    return true;
+  return crypto.then(function () {
+    return verifyChecksumSync(identity);
   });
 };
 
+/**
+ * Synchronous `verifyChecksum`, usable once `init` has resolved.
+ *
+ * @function verifyChecksumSync
+ * @memberof module:qubic
+ * @param {string} identity - Identity in uppercase hex.
+ * @returns {boolean}
+ */
+export const verifyChecksumSync = function (identity) {
+  const buffer = shiftedHexToBytes(identity.toLowerCase());
+  const checksum = new Uint8Array(CHECKSUM_LENGTH);
+  cryptoSync().K12(buffer.subarray(0, PUBLIC_KEY_LENGTH), checksum, CHECKSUM_LENGTH, 0);
+  for (let i = 0; i < CHECKSUM_LENGTH; i++) {
+    if (checksum[i] !== buffer[PUBLIC_KEY_LENGTH + i]) {
+      return false;
+    }
+  }
+  return true;
+};
+
 /**
  * @function seedChecksum
  * @memberof module:qubic
@@ -130,37 +262,3 @@ export const seedChecksum = function (seed) {
       .toUpperCase();
   });
 };
-
-// const sA = 'abcdefghijklmnopqrstuvwxyzabcdefghijklmnopqrstuvwxyzabc';
-// const sB = 'cbazyxwvutsrqponmlkjihgfedcbazyxwvutsrqponmlkjihgfedcba';
-
-// crypto.then(function ({ K12, kex, schnorrq }) {
-//   const skA = privateKey(sA, 0, K12);
-//   const skB = privateKey(sB, 0, K12);
-
-//   console.log('seed of Alice:', sA);
-//   console.log('seed of Bob:', sB);
-
-//   console.log('private key of Alice:', skA);
-
-//   createIdentity(sA, 0).then(function (idA) {
-//     console.log('identity of Alice:', idA);
-
-//     const hSkB = new Uint8Array(64);
-//     K12(skB, hSkB, 64);
-//     const shk = kex.compressedSecretAgreement(hSkB, schnorrq.generatePublicKey(skA));
-//     console.log('shared secret:', shk);
-
-//     const hSkA = new Uint8Array(64);
-//     K12(skA, hSkA, 64);
-//     const shk2 = kex.compressedSecretAgreement(hSkA, schnorrq.generatePublicKey(skB));
-//     console.log(shk2);
-
-//     const message = Buffer.from('z'.repeat(135));
-
-//     console.log(
-//       'signature of Alice:',
-//       schnorrq.sign(skA, schnorrq.generatePublicKey(skA), Uint8Array.from(message))
-//     );
-//   });
-// });
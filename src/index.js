@@ -2,7 +2,11 @@
 
 import {
   identity,
+  identitySync,
+  deriveIdentities,
+  scanGap,
   verifyChecksum,
+  verifyChecksumSync,
   privateKey,
   seedChecksum,
   SEED_IN_LOWERCASE_LATIN_LENGTH,
@@ -10,27 +14,104 @@ import {
   PUBLIC_KEY_LENGTH,
   PUBLIC_KEY_LENGTH_IN_HEX,
 } from './identity.js';
-import { transfer } from './transfer.js';
+import { generateSeed, formatSeed, parseSeed, validateSeed } from './seed.js';
+import { splitSeed, combineShares } from './shamir.js';
+import {
+  transfer,
+  transferSync,
+  buildUnsignedTransfer,
+  signTransfer,
+  serializeTransfer,
+  deserializeTransfer,
+  verifyTransfer,
+} from './transfer.js';
 import { connection } from './connection.js';
 import { client } from './client.js';
+import { wallet } from './wallet.js';
+import { vault } from './vault.js';
+import { receipt } from './receipt.js';
+import { message, signMessage, verifyMessage } from './message.js';
+import { protocol } from './protocol.js';
 import { computor } from './computor.js';
-import { crypto } from './crypto/index.js';
+import { crypto, init, K12Sync } from './crypto/index.js';
+import { k12 } from './crypto/k12.js';
+import { cryptoPool } from './crypto/pool.js';
+import { seedSigner, remoteSigner } from './signers/index.js';
+import { webSocketTransport, tcpTransport, loopbackTransport } from './transports/index.js';
 import { shiftedHexToBytes } from './utils/hex.js';
+import {
+  errors,
+  ERROR_CODES,
+  QubicError,
+  IllegalArgumentError,
+  IllegalStateError,
+  InvalidSeedError,
+  ChecksumError,
+  InvalidShareError,
+  InsufficientEnergyError,
+  SignatureVerificationError,
+  DatabaseIntegrityError,
+  NotFoundError,
+  AlreadyExistsError,
+  VaultLockedError,
+  WrongPassphraseError,
+  ConnectionError,
+  TimeoutError,
+  AbortError,
+  RemoteSignerError,
+  CryptoError,
+  ProtocolError,
+  TruncatedFrameError,
+} from './errors.js';
 
 /**
  * @module qubic
  */
 const qubic = {
+  init,
   identity,
+  identitySync,
+  deriveIdentities,
+  scanGap,
   verifyChecksum,
+  verifyChecksumSync,
   privateKey,
   seedChecksum,
+  generateSeed,
+  formatSeed,
+  parseSeed,
+  validateSeed,
+  splitSeed,
+  combineShares,
   transfer,
+  transferSync,
+  buildUnsignedTransfer,
+  signTransfer,
+  serializeTransfer,
+  deserializeTransfer,
+  verifyTransfer,
+  signMessage,
+  verifyMessage,
   connection,
   client,
+  wallet,
+  vault,
+  seedSigner,
+  remoteSigner,
+  receipt,
+  message,
+  protocol,
   computor,
   crypto,
-  shiftedHexToBytes
+  K12Sync,
+  k12,
+  cryptoPool,
+  webSocketTransport,
+  tcpTransport,
+  loopbackTransport,
+  shiftedHexToBytes,
+  errors,
+  ERROR_CODES,
 };
 
 export default qubic;
@@ -40,4 +121,25 @@ export {
   CHECKSUM_LENGTH,
   PUBLIC_KEY_LENGTH,
   PUBLIC_KEY_LENGTH_IN_HEX,
+  ERROR_CODES,
+  QubicError,
+  IllegalArgumentError,
+  IllegalStateError,
+  InvalidSeedError,
+  ChecksumError,
+  InvalidShareError,
+  InsufficientEnergyError,
+  SignatureVerificationError,
+  DatabaseIntegrityError,
+  NotFoundError,
+  AlreadyExistsError,
+  VaultLockedError,
+  WrongPassphraseError,
+  ConnectionError,
+  TimeoutError,
+  AbortError,
+  RemoteSignerError,
+  CryptoError,
+  ProtocolError,
+  TruncatedFrameError,
 };
@@ -0,0 +1,363 @@
+'use strict';
+
+import aesjs from 'aes-js';
+import { crypto } from './crypto/index.js';
+import { k12 } from './crypto/k12.js';
+import {
+  addChecksum,
+  privateKey,
+  verifyChecksum,
+  PUBLIC_KEY_LENGTH,
+  SEED_IN_LOWERCASE_LATIN_LENGTH,
+} from './identity.js';
+import { seedSigner } from './signers/seed.js';
+import { randomBytes } from './utils/random.js';
+import { bytesToShiftedHex, shiftedHexToBytes } from './utils/hex.js';
+import {
+  ChecksumError,
+  IllegalArgumentError,
+  InvalidSeedError,
+  SignatureVerificationError,
+} from './errors.js';
+
+/* globals Vault, Signer */
+
+const MESSAGE_VERSION = 1;
+const NONCE_LENGTH = 16;
+const AGREEMENT_KEY_LENGTH = 32;
+const ENCRYPTION_KEY_LENGTH = 32;
+const MAC_KEY_LENGTH = 32;
+const DIGEST_LENGTH = 32;
+const SIGNATURE_LENGTH = 64;
+const HEADER_LENGTH = 1 + PUBLIC_KEY_LENGTH + NONCE_LENGTH;
+const KEYS_CUSTOMIZATION = 'qubic message keys';
+const DIGEST_CUSTOMIZATION = 'qubic message';
+const SIGNED_MESSAGE_PREFIX = 'Qubic Signed Message:\n';
+const SIGNED_MESSAGE_CUSTOMIZATION = 'qubic signed message';
+
+const toBytes = function (data, name) {
+  if (typeof data === 'string') {
+    return new TextEncoder().encode(data);
+  }
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  throw new IllegalArgumentError(`Illegal ${name}.`);
+};
+
+const toPublicKey = async function (recipient) {
+  if (recipient instanceof Uint8Array && recipient.length === PUBLIC_KEY_LENGTH) {
+    return recipient;
+  }
+  if (typeof recipient !== 'string' || !/^[A-P]{70}$/.test(recipient)) {
+    throw new IllegalArgumentError('Invalid recipient.');
+  }
+  if (!(await verifyChecksum(recipient))) {
+    throw new ChecksumError('Invalid recipient.');
+  }
+  return shiftedHexToBytes(recipient.toLowerCase()).subarray(0, PUBLIC_KEY_LENGTH);
+};
+
+// SchnorrQ derives the scalar of a public key from the hash of the private key. Using the same
+// scalar for key agreement makes identities usable as compressed public keys of kex.
+const withAgreementKey = function ({ seed, vault, label, index }, fn) {
+  if (vault === undefined && !new RegExp(`^[a-z]{${SEED_IN_LOWERCASE_LATIN_LENGTH}}$`).test(seed)) {
+    throw new InvalidSeedError(
+      `Invalid seed. Must be ${SEED_IN_LOWERCASE_LATIN_LENGTH} lowercase latin chars.`
+    );
+  }
+  if (!Number.isInteger(index) || index < 0) {
+    throw new IllegalArgumentError('Illegal index.');
+  }
+
+  const call = async function (seed) {
+    const { K12, schnorrq, kex } = await crypto;
+    const secretKey = privateKey(seed, index, K12);
+    const hash = new Uint8Array(2 * AGREEMENT_KEY_LENGTH);
+    K12(secretKey, hash, hash.length);
+    try {
+      return fn({
+        publicKey: schnorrq.generatePublicKey(secretKey),
+        sign(publicKey, digest) {
+          return schnorrq.sign(secretKey, publicKey, digest);
+        },
+        agree(publicKey) {
+          const sharedKey = kex.compressedSecretAgreement(
+            hash.subarray(0, AGREEMENT_KEY_LENGTH),
+            publicKey
+          );
+          if (
+            sharedKey.every(function (byte) {
+              return byte === 0;
+            })
+          ) {
+            throw new IllegalArgumentError('Invalid public key.');
+          }
+          return sharedKey;
+        },
+      });
+    } finally {
+      secretKey.fill(0);
+      hash.fill(0);
+    }
+  };
+  return vault !== undefined ? vault.withSeed(label, call) : call(seed);
+};
+
+const deriveKeys = function (sharedKey, nonce) {
+  const keys = k12
+    .create(KEYS_CUSTOMIZATION)
+    .update(sharedKey)
+    .update(nonce)
+    .digest(ENCRYPTION_KEY_LENGTH + MAC_KEY_LENGTH);
+  sharedKey.fill(0);
+  return {
+    encryptionKey: keys.subarray(0, ENCRYPTION_KEY_LENGTH),
+    macKey: keys.subarray(ENCRYPTION_KEY_LENGTH),
+    wipe() {
+      keys.fill(0);
+    },
+  };
+};
+
+// Digest is keyed with the shared MAC key, and binds the recipient, so that only the two parties
+// can check the signature and an envelope can not be redirected to another recipient.
+const messageDigest = function (macKey, recipientPublicKey, signedBytes) {
+  return k12
+    .create(DIGEST_CUSTOMIZATION)
+    .update(macKey)
+    .update(recipientPublicKey)
+    .update(signedBytes)
+    .digest(DIGEST_LENGTH);
+};
+
+/**
+ * @namespace Message
+ */
+
+/**
+ * Encrypts a payload for another identity, for example a private note of a payment. A key is
+ * agreed between sender and recipient identities, payload is encrypted with AES-256-CTR and
+ * authenticated with sender's signature.
+ *
+ * Envelope consists of version, sender public key, nonce, ciphertext and signature, adding
+ * 113 bytes to payload.
+ *
+ * @function encrypt
+ * @memberof Message
+ * @param {object} params
+ * @param {string} [params.seed] - Seed of sender, in 55 lowercase latin chars. Required unless a
+ * vault is used.
+ * @param {Vault} [params.vault] - Vault holding the seed. Waits until vault is unlocked.
+ * @param {string} [params.label] - Label of seed in vault.
+ * @param {number} [params.index=0] - Identity index of sender.
+ * @param {string|Uint8Array} params.recipient - Recipient identity in uppercase hex, or public key.
+ * @param {string|Uint8Array} params.payload - Payload, strings are encoded in UTF-8.
+ * @returns {Promise<string>} Envelope in base64.
+ * @example import qubic from 'qubic-js';
+ *
+ * qubic.message
+ *   .encrypt({
+ *     seed: 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu',
+ *     recipient: 'DCMJGMELMPBOJCCOFAICMJCBKENNOPEJCLIPBKKKDKLDOMKFBPOFHFLGAHLNAFMKMHHOAE',
+ *     payload: 'Invoice #42',
+ *   })
+ *   .then(function (envelope) {
+ *     console.log(envelope);
+ *   });
+ *
+ */
+export const encryptMessage = async function ({
+  seed,
+  vault,
+  label,
+  index = 0,
+  recipient,
+  payload,
+}) {
+  const plaintext = toBytes(payload, 'payload');
+  const recipientPublicKey = await toPublicKey(recipient);
+
+  return withAgreementKey({ seed, vault, label, index }, function ({ publicKey, sign, agree }) {
+    const nonce = randomBytes(NONCE_LENGTH);
+    const { encryptionKey, macKey, wipe } = deriveKeys(agree(recipientPublicKey), nonce);
+    try {
+      const envelope = new Uint8Array(HEADER_LENGTH + plaintext.length + SIGNATURE_LENGTH);
+      envelope[0] = MESSAGE_VERSION;
+      envelope.set(publicKey, 1);
+      envelope.set(nonce, 1 + PUBLIC_KEY_LENGTH);
+      const aes = new aesjs.ModeOfOperation.ctr(encryptionKey, new aesjs.Counter(nonce));
+      envelope.set(aes.encrypt(plaintext), HEADER_LENGTH);
+
+      const signedBytes = envelope.subarray(0, envelope.length - SIGNATURE_LENGTH);
+      envelope.set(
+        sign(publicKey, messageDigest(macKey, recipientPublicKey, signedBytes)),
+        signedBytes.length
+      );
+      return Buffer.from(envelope).toString('base64');
+    } finally {
+      wipe();
+    }
+  });
+};
+
+/**
+ * @typedef {object} DecryptedMessage
+ * @property {string} sender - Sender identity in uppercase hex.
+ * @property {Uint8Array} payload - Decrypted payload.
+ */
+
+/**
+ * Decrypts an envelope which was encrypted for one's identity, after checking the signature of
+ * its sender.
+ *
+ * @function decrypt
+ * @memberof Message
+ * @param {object} params
+ * @param {string} [params.seed] - Seed of recipient, in 55 lowercase latin chars. Required unless
+ * a vault is used.
+ * @param {Vault} [params.vault] - Vault holding the seed. Waits until vault is unlocked.
+ * @param {string} [params.label] - Label of seed in vault.
+ * @param {number} [params.index=0] - Identity index of recipient.
+ * @param {string|Uint8Array} params.envelope - Envelope, or envelope in base64.
+ * @returns {Promise<DecryptedMessage>} Rejects if envelope is malformed, was not encrypted for
+ * recipient, or was tampered with.
+ * @example import qubic from 'qubic-js';
+ *
+ * qubic.message
+ *   .decrypt({
+ *     seed: 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa',
+ *     envelope,
+ *   })
+ *   .then(function ({ sender, payload }) {
+ *     console.log(sender, new TextDecoder().decode(payload));
+ *   });
+ *
+ */
+export const decryptMessage = async function ({ seed, vault, label, index = 0, envelope }) {
+  const bytes =
+    typeof envelope === 'string'
+      ? Uint8Array.from(Buffer.from(envelope, 'base64'))
+      : Uint8Array.from(envelope || []);
+  if (bytes.length < HEADER_LENGTH + SIGNATURE_LENGTH || bytes[0] !== MESSAGE_VERSION) {
+    throw new IllegalArgumentError('Invalid envelope.');
+  }
+  const senderPublicKey = bytes.subarray(1, 1 + PUBLIC_KEY_LENGTH);
+  const nonce = bytes.subarray(1 + PUBLIC_KEY_LENGTH, HEADER_LENGTH);
+  const signedBytes = bytes.subarray(0, bytes.length - SIGNATURE_LENGTH);
+  const signature = bytes.subarray(bytes.length - SIGNATURE_LENGTH);
+
+  const { schnorrq } = await crypto;
+  const payload = await withAgreementKey(
+    { seed, vault, label, index },
+    function ({ publicKey, agree }) {
+      const { encryptionKey, macKey, wipe } = deriveKeys(agree(senderPublicKey), nonce);
+      try {
+        if (
+          schnorrq.verify(
+            senderPublicKey,
+            messageDigest(macKey, publicKey, signedBytes),
+            signature
+          ) !== 1
+        ) {
+          throw new SignatureVerificationError('Invalid message signature.');
+        }
+        const aes = new aesjs.ModeOfOperation.ctr(encryptionKey, new aesjs.Counter(nonce));
+        return aes.decrypt(signedBytes.subarray(HEADER_LENGTH));
+      } finally {
+        wipe();
+      }
+    }
+  );
+
+  return {
+    sender: bytesToShiftedHex(await addChecksum(senderPublicKey)).toUpperCase(),
+    payload,
+  };
+};
+
+// Digest of a signed message differs from digests of transfers, and of messages of other
+// lengths, so that a signature is not valid in other contexts.
+const signedMessageDigest = function (bytes) {
+  return k12
+    .create(SIGNED_MESSAGE_CUSTOMIZATION)
+    .update(`${SIGNED_MESSAGE_PREFIX}${bytes.length}\n`)
+    .update(bytes)
+    .digest(DIGEST_LENGTH);
+};
+
+/**
+ * Signs arbitrary data with an identity, for example a challenge of a sign-in, to prove ownership
+ * of the identity. Data is prefixed and hashed with K12 with a customization string, so that the
+ * signature can not be passed as signature of a transfer.
+ *
+ * @function signMessage
+ * @memberof module:qubic
+ * @param {string} seed - Seed in 55 lowercase latin chars. Ignored when a vault or a signer is
+ * used.
+ * @param {number} [index=0] - Identity index. Ignored when a signer is used.
+ * @param {string|Uint8Array} message - Message, strings are encoded in UTF-8.
+ * @param {object} [options]
+ * @param {Vault} [options.vault] - Vault holding the seed. Waits until vault is unlocked.
+ * @param {string} [options.label] - Label of seed in vault.
+ * @param {Signer} [options.signer] - Signer of identity.
+ * @returns {Promise<string>} Signature in base64.
+ * @example import qubic from 'qubic-js';
+ *
+ * qubic
+ *   .signMessage('vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu', 0, challenge)
+ *   .then(function (signature) {
+ *     console.log(signature);
+ *   });
+ *
+ */
+export const signMessage = async function (seed, index, message, { vault, label, signer } = {}) {
+  const bytes = toBytes(message, 'message');
+  signer = signer || seedSigner({ seed, vault, label, index });
+  return Buffer.from(await signer.signDigest(signedMessageDigest(bytes))).toString('base64');
+};
+
+/**
+ * Verifies a signature which was created with `signMessage`.
+ *
+ * @function verifyMessage
+ * @memberof module:qubic
+ * @param {string} identity - Identity of signer in uppercase hex, with checksum.
+ * @param {string|Uint8Array} message - Signed message.
+ * @param {string|Uint8Array} signature - Signature, or signature in base64.
+ * @returns {Promise<boolean>} `false` if identity or signature is malformed, or signature is
+ * invalid.
+ * @example import qubic from 'qubic-js';
+ *
+ * qubic
+ *   .verifyMessage(
+ *     'ACEIGCDHBEHMCOMAKJBIHHLFCKDJFBHEADHDNCIMFFJFGLHOKJLGKIKOJBKIFCCONIOMGF',
+ *     challenge,
+ *     signature
+ *   )
+ *   .then(function (isValid) {
+ *     console.log(isValid);
+ *   });
+ *
+ */
+export const verifyMessage = async function (identity, message, signature) {
+  const bytes = toBytes(message, 'message');
+  const signatureBytes =
+    typeof signature === 'string' ? Uint8Array.from(Buffer.from(signature, 'base64')) : signature;
+  if (!(signatureBytes instanceof Uint8Array) || signatureBytes.length !== SIGNATURE_LENGTH) {
+    return false;
+  }
+  let publicKey;
+  try {
+    publicKey = await toPublicKey(identity);
+  } catch {
+    return false;
+  }
+  const { schnorrq } = await crypto;
+  return schnorrq.verify(publicKey, signedMessageDigest(bytes), signatureBytes) === 1;
+};
+
+export const message = {
+  encrypt: encryptMessage,
+  decrypt: decryptMessage,
+};
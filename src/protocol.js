@@ -0,0 +1,541 @@
+'use strict';
+
+import { PUBLIC_KEY_LENGTH } from './identity.js';
+import { HASH_LENGTH, SIGNATURE_LENGTH, TRANSFER_LENGTH } from './transfer.js';
+import { ProtocolError, TruncatedFrameError } from './errors.js';
+
+export { ProtocolError, TruncatedFrameError };
+
+export const NUMBER_OF_COMPUTORS = 26 * 26;
+export const NUMBER_OF_PUBLIC_PEERS = 4;
+
+export const PROTOCOL_VERSION = 256;
+
+export const REQUEST_TYPES = {
+  WEBSOCKET: 0,
+  EXCHANGE_PUBLIC_PEERS: 1,
+  BROADCAST_TRANSFER: 3,
+};
+
+export const WEBSOCKET_REQUEST_TYPES = {
+  GET_COMPUTER_STATE: 1,
+  GET_TRANSFER_STATUS: 3,
+  GET_NODE_INFO: 0xfe, // -2 as signed byte
+  SHUTDOWN: 0xff, // -1 as signed byte
+};
+
+export const HEADER_LENGTH = 8;
+export const MAX_FRAME_SIZE = 1 << 20;
+
+const UINT_LENGTHS = {
+  uint8: 1,
+  uint16: 2,
+  uint32: 4,
+  uint64: 8,
+};
+
+const IPV4_LENGTH = 4;
+
+const HEADER = [
+  { name: 'size', type: 'uint32' },
+  { name: 'protocolVersion', type: 'uint16', value: PROTOCOL_VERSION },
+];
+
+const websocketHeader = function (websocketRequestType) {
+  return [
+    ...HEADER,
+    { name: 'requestType', type: 'uint16', value: REQUEST_TYPES.WEBSOCKET },
+    { name: 'websocketRequestType', type: 'uint8', value: websocketRequestType },
+    { type: 'padding', length: 7 },
+    { name: 'timestamp', type: 'uint64' },
+  ];
+};
+
+/**
+ * Declarative schemas of protocol messages, by message type. Fields are laid out in order,
+ * little-endian. Fields with `value` are constant and used to tell messages apart.
+ */
+export const SCHEMAS = {
+  computerStateRequest: websocketHeader(WEBSOCKET_REQUEST_TYPES.GET_COMPUTER_STATE),
+  computerState: [
+    ...websocketHeader(WEBSOCKET_REQUEST_TYPES.GET_COMPUTER_STATE),
+    { name: 'computorIndex', type: 'uint16', max: NUMBER_OF_COMPUTORS },
+    { name: 'epoch', type: 'uint16' },
+    { name: 'tick', type: 'uint32' },
+    { name: 'stateTimestamp', type: 'uint64' },
+    {
+      name: 'computorPublicKeys',
+      type: 'bytes',
+      length: PUBLIC_KEY_LENGTH,
+      count: NUMBER_OF_COMPUTORS,
+    },
+    { name: 'signature', type: 'bytes', length: SIGNATURE_LENGTH, optional: true },
+  ],
+  transferStatusRequest: [
+    ...websocketHeader(WEBSOCKET_REQUEST_TYPES.GET_TRANSFER_STATUS),
+    { name: 'digest', type: 'bytes', length: HASH_LENGTH },
+    { name: 'computorIndex', type: 'uint16', max: NUMBER_OF_COMPUTORS - 1 },
+  ],
+  transferStatus: [
+    ...websocketHeader(WEBSOCKET_REQUEST_TYPES.GET_TRANSFER_STATUS),
+    { name: 'digest', type: 'bytes', length: HASH_LENGTH },
+    { name: 'status', type: 'bytes', length: (NUMBER_OF_COMPUTORS * 2) / 8 },
+    { type: 'padding', length: 3 },
+    { name: 'computorIndex', type: 'uint16', max: NUMBER_OF_COMPUTORS - 1 },
+    { name: 'epoch', type: 'uint16' },
+    { name: 'tick', type: 'uint32' },
+    { name: 'signature', type: 'bytes', length: SIGNATURE_LENGTH, optional: true },
+  ],
+  exchangePublicPeers: [
+    ...HEADER,
+    { name: 'requestType', type: 'uint16', value: REQUEST_TYPES.EXCHANGE_PUBLIC_PEERS },
+    { name: 'peers', type: 'ipv4', count: NUMBER_OF_PUBLIC_PEERS, optional: true },
+  ],
+  broadcastTransfer: [
+    ...HEADER,
+    { name: 'requestType', type: 'uint16', value: REQUEST_TYPES.BROADCAST_TRANSFER },
+    { name: 'transfer', type: 'bytes', length: TRANSFER_LENGTH },
+  ],
+  nodeInfoRequest: [
+    ...websocketHeader(WEBSOCKET_REQUEST_TYPES.GET_NODE_INFO),
+    { name: 'signature', type: 'bytes', length: SIGNATURE_LENGTH, optional: true },
+  ],
+  nodeInfo: [
+    ...HEADER,
+    { name: 'requestType', type: 'uint16', value: REQUEST_TYPES.WEBSOCKET },
+    {
+      name: 'websocketRequestType',
+      type: 'uint8',
+      value: WEBSOCKET_REQUEST_TYPES.GET_NODE_INFO,
+    },
+    { name: 'role', type: 'uint8' },
+    { type: 'padding', length: 2 },
+    { name: 'ownPublicKey', type: 'bytes', length: PUBLIC_KEY_LENGTH },
+    { name: 'numberOfProcessors', type: 'uint16' },
+    { name: 'numberOfBusyProcessors', type: 'uint16' },
+    { name: 'launchTime', type: 'uint64' },
+    { name: 'numberOfProcessedRequests', type: 'uint64' },
+    { name: 'numberOfReceivedBytes', type: 'uint64' },
+    { name: 'numberOfTransmittedBytes', type: 'uint64' },
+    { name: 'numberOfPeers', type: 'uint32' },
+  ],
+  shutdownRequest: [
+    ...websocketHeader(WEBSOCKET_REQUEST_TYPES.SHUTDOWN),
+    { name: 'signature', type: 'bytes', length: SIGNATURE_LENGTH, optional: true },
+  ],
+};
+
+const layouts = new Map();
+
+const layout = function (messageType) {
+  let messageLayout = layouts.get(messageType);
+  if (messageLayout === undefined) {
+    const schema = SCHEMAS[messageType];
+    if (schema === undefined) {
+      throw new ProtocolError(`Unknown message type: ${messageType}.`, { messageType });
+    }
+    let offset = 0;
+    const fields = schema.map(function (field) {
+      const itemLength =
+        field.type === 'ipv4'
+          ? IPV4_LENGTH
+          : field.type === 'bytes' || field.type === 'padding'
+          ? field.length
+          : UINT_LENGTHS[field.type];
+      const length = itemLength * (field.count || 1);
+      const fieldLayout = { ...field, offset, itemLength, length };
+      offset += length;
+      return fieldLayout;
+    });
+    messageLayout = {
+      messageType,
+      length: offset,
+      fields,
+      fieldsByName: new Map(
+        fields.map(function (field) {
+          return [field.name, field];
+        })
+      ),
+    };
+    layouts.set(messageType, messageLayout);
+  }
+  return messageLayout;
+};
+
+/**
+ * @function offsetOf
+ * @memberof module:qubic/protocol
+ * @param {string} messageType - Message type, one of the keys of `SCHEMAS`.
+ * @param {string} field - Field name.
+ * @returns {number} Offset of field in frame.
+ */
+export const offsetOf = function (messageType, field) {
+  const fieldLayout = layout(messageType).fieldsByName.get(field);
+  if (fieldLayout === undefined) {
+    throw new ProtocolError(`Unknown field: ${field}.`, { messageType, field });
+  }
+  return fieldLayout.offset;
+};
+
+/**
+ * @function sizeOf
+ * @memberof module:qubic/protocol
+ * @param {string} messageType - Message type, one of the keys of `SCHEMAS`.
+ * @param {string} [field] - Field name.
+ * @returns {number} Length of field, or length of whole frame if field is omitted.
+ */
+export const sizeOf = function (messageType, field) {
+  if (field === undefined) {
+    return layout(messageType).length;
+  }
+  const fieldLayout = layout(messageType).fieldsByName.get(field);
+  if (fieldLayout === undefined) {
+    throw new ProtocolError(`Unknown field: ${field}.`, { messageType, field });
+  }
+  return fieldLayout.length;
+};
+
+const illegalField = function (messageType, field, reason) {
+  return new ProtocolError(`Illegal ${field.name}: ${reason}.`, {
+    messageType,
+    field: field.name,
+  });
+};
+
+const validateItem = function (messageType, field, value) {
+  switch (field.type) {
+    case 'bytes':
+      if (!(value instanceof Uint8Array) || value.length !== field.itemLength) {
+        throw illegalField(messageType, field, `expected ${field.itemLength} bytes`);
+      }
+      break;
+    case 'ipv4':
+      if (
+        typeof value !== 'string' ||
+        !/^\d{1,3}(\.\d{1,3}){3}$/.test(value) ||
+        value.split('.').some(function (octet) {
+          return Number(octet) > 255;
+        })
+      ) {
+        throw illegalField(messageType, field, `expected IPv4 address, got ${value}`);
+      }
+      break;
+    default: {
+      const bits = BigInt(field.itemLength * 8);
+      if (
+        !(typeof value === 'bigint' || Number.isInteger(value)) ||
+        BigInt(value) < 0n ||
+        BigInt(value) >= 1n << bits
+      ) {
+        throw illegalField(messageType, field, `expected unsigned ${bits}-bit integer`);
+      }
+      if (field.max !== undefined && value > field.max) {
+        throw illegalField(messageType, field, `${value} exceeds ${field.max}`);
+      }
+    }
+  }
+};
+
+const writeItem = function (frame, frameView, field, offset, value) {
+  switch (field.type) {
+    case 'bytes':
+      frame.set(value, offset);
+      break;
+    case 'ipv4':
+      frame.set(value.split('.').map(Number), offset);
+      break;
+    case 'uint64':
+      frameView.setBigUint64(offset, BigInt(value), true);
+      break;
+    default:
+      frameView['setUint' + field.itemLength * 8](offset, Number(value), true);
+  }
+};
+
+const readItem = function (frame, frameView, field, offset) {
+  switch (field.type) {
+    case 'bytes':
+      return frame.subarray(offset, offset + field.itemLength);
+    case 'ipv4':
+      return Array.from(frame.subarray(offset, offset + IPV4_LENGTH)).join('.');
+    case 'uint64':
+      return frameView.getBigUint64(offset, true);
+    default:
+      return frameView['getUint' + field.itemLength * 8](offset, true);
+  }
+};
+
+/**
+ * Encodes a message into a frame. Header size and constant fields are filled in automatically.
+ * Omitted optional fields, such as signatures to be set after signing, are zero-filled.
+ *
+ * @function encode
+ * @memberof module:qubic/protocol
+ * @param {string} messageType - Message type, one of the keys of `SCHEMAS`.
+ * @param {object} [fields] - Field values by name. Repeated fields take arrays.
+ * @throws {ProtocolError} On unknown message type, and on missing or illegal field values.
+ * @returns {Uint8Array} Frame.
+ * @example import { encode } from 'qubic-js/protocol';
+ *
+ * const frame = encode('transferStatusRequest', {
+ *   timestamp: 1n,
+ *   digest: new Uint8Array(32),
+ *   computorIndex: 0,
+ * });
+ *
+ */
+export const encode = function (messageType, fields = {}) {
+  const { length, fields: fieldLayouts } = layout(messageType);
+  const frame = new Uint8Array(length);
+  const frameView = new DataView(frame.buffer);
+
+  fieldLayouts.forEach(function (field) {
+    if (field.type === 'padding') {
+      return;
+    }
+
+    let value;
+    if (field.name === 'size') {
+      value = length;
+    } else if (field.value !== undefined) {
+      value = field.value;
+    } else {
+      value = fields[field.name];
+    }
+
+    if (value === undefined) {
+      if (field.optional) {
+        return;
+      }
+      throw new ProtocolError(`Missing ${field.name}.`, { messageType, field: field.name });
+    }
+
+    if (field.count === undefined) {
+      validateItem(messageType, field, value);
+      writeItem(frame, frameView, field, field.offset, value);
+    } else {
+      if (value instanceof Uint8Array && field.type === 'bytes' && value.length === field.length) {
+        frame.set(value, field.offset);
+        return;
+      }
+      if (!Array.isArray(value) || value.length > field.count) {
+        throw illegalField(messageType, field, `expected up to ${field.count} items`);
+      }
+      value.forEach(function (item, i) {
+        validateItem(messageType, field, item);
+        writeItem(frame, frameView, field, field.offset + i * field.itemLength, item);
+      });
+    }
+  });
+
+  return frame;
+};
+
+/**
+ * Decodes the header of a frame.
+ *
+ * @function decodeHeader
+ * @memberof module:qubic/protocol
+ * @param {Uint8Array|ArrayBuffer} buffer - Frame.
+ * @throws {TruncatedFrameError} If buffer is shorter than header.
+ * @returns {{ size: number, protocolVersion: number, requestType: number }}
+ */
+export const decodeHeader = function (buffer) {
+  const frame = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  if (frame.length < HEADER_LENGTH) {
+    throw new TruncatedFrameError('Truncated header.', {
+      expectedLength: HEADER_LENGTH,
+      actualLength: frame.length,
+    });
+  }
+  const frameView = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+  return {
+    size: frameView.getUint32(0, true),
+    protocolVersion: frameView.getUint16(4, true),
+    requestType: frameView.getUint16(6, true),
+  };
+};
+
+/**
+ * Decodes the first frame of a buffer. Message type is determined from request type,
+ * websocket request type and size. Bytes fields are views into the given buffer, not copies.
+ *
+ * @function decode
+ * @memberof module:qubic/protocol
+ * @param {Uint8Array|ArrayBuffer} buffer - Buffer starting with a frame.
+ * @throws {TruncatedFrameError} If buffer is shorter than the size in header, or the size
+ * in header is shorter than the message schema requires.
+ * @throws {ProtocolError} On illegal size, unknown message, or illegal field values.
+ * @returns {object} Decoded message with `type` and values of all named fields.
+ * @example import { decode } from 'qubic-js/protocol';
+ *
+ * socket.onmessage = function ({ data }) {
+ *   const message = decode(data);
+ *   if (message.type === 'computerState') {
+ *     console.log(message.epoch, message.tick);
+ *   }
+ * };
+ *
+ */
+export const decode = function (buffer) {
+  const data = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const { size, requestType } = decodeHeader(data);
+
+  if (size < HEADER_LENGTH) {
+    throw new ProtocolError(`Illegal frame size: ${size}.`);
+  }
+  if (data.length < size) {
+    throw new TruncatedFrameError('Truncated frame.', {
+      expectedLength: size,
+      actualLength: data.length,
+    });
+  }
+
+  const frame = data.subarray(0, size);
+  const frameView = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+
+  const candidates = Object.keys(SCHEMAS)
+    .map(layout)
+    .filter(function ({ fieldsByName }) {
+      const requestTypeField = fieldsByName.get('requestType');
+      const websocketRequestTypeField = fieldsByName.get('websocketRequestType');
+      return (
+        requestTypeField.value === requestType &&
+        (websocketRequestTypeField === undefined ||
+          (size > websocketRequestTypeField.offset &&
+            frame[websocketRequestTypeField.offset] === websocketRequestTypeField.value))
+      );
+    });
+  const messageLayout = candidates.find(function ({ length }) {
+    return length === size;
+  });
+
+  if (messageLayout === undefined) {
+    if (
+      candidates.length > 0 &&
+      candidates.every(function ({ length }) {
+        return length > size;
+      })
+    ) {
+      throw new TruncatedFrameError('Truncated frame.', {
+        messageType: candidates[0].messageType,
+        expectedLength: candidates[0].length,
+        actualLength: size,
+      });
+    }
+    throw new ProtocolError(`Unknown message with request type ${requestType}.`, { size });
+  }
+
+  const message = { type: messageLayout.messageType };
+  messageLayout.fields.forEach(function (field) {
+    if (field.type === 'padding') {
+      return;
+    }
+    let value;
+    if (field.count === undefined) {
+      value = readItem(frame, frameView, field, field.offset);
+      if (field.type !== 'bytes') {
+        validateItem(messageLayout.messageType, field, value);
+      }
+    } else {
+      value = [];
+      for (let i = 0; i < field.count; i++) {
+        value.push(readItem(frame, frameView, field, field.offset + i * field.itemLength));
+      }
+    }
+    if (field.value !== undefined && value !== field.value) {
+      throw illegalField(messageLayout.messageType, field, `expected ${field.value}, got ${value}`);
+    }
+    message[field.name] = value;
+  });
+
+  return message;
+};
+
+/**
+ * @typedef {object} FrameDecoder
+ * @property {Function} push - Appends a chunk of bytes and returns an array of complete frames.
+ * Throws `ProtocolError` if a declared frame size is illegal, after discarding buffered bytes.
+ * Frames which preceded the illegal size are passed as `frames` property of the error.
+ * @property {Function} reset - Discards buffered bytes.
+ * @property {number} bufferedLength - Number of buffered bytes of incomplete frame.
+ */
+
+/**
+ * Creates a streaming frame decoder. Buffers partial frames across chunks, and splits
+ * chunks which contain several frames. Frames are returned as copies, each with its own buffer.
+ *
+ * @function frameDecoder
+ * @memberof module:qubic/protocol
+ * @param {object} [params]
+ * @param {number} [params.maxFrameSize=1048576] - Frames declaring a larger size are rejected.
+ * @returns {FrameDecoder}
+ * @example import { frameDecoder, decode } from 'qubic-js/protocol';
+ *
+ * const frames = frameDecoder();
+ *
+ * socket.on('data', function (chunk) {
+ *   frames.push(chunk).forEach(function (frame) {
+ *     console.log(decode(frame));
+ *   });
+ * });
+ *
+ */
+export const frameDecoder = function ({ maxFrameSize = MAX_FRAME_SIZE } = {}) {
+  let buffer = new Uint8Array(0);
+
+  return {
+    push(chunk) {
+      // Views over Node.js Buffers, whose slice does not copy.
+      const bytes =
+        chunk instanceof Uint8Array
+          ? new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength)
+          : new Uint8Array(chunk);
+      let data = bytes;
+      if (buffer.length > 0) {
+        data = new Uint8Array(buffer.length + bytes.length);
+        data.set(buffer);
+        data.set(bytes, buffer.length);
+      }
+      const dataView = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+      const frames = [];
+      let offset = 0;
+      while (data.length - offset >= 4) {
+        const size = dataView.getUint32(offset, true);
+        if (size < HEADER_LENGTH || size > maxFrameSize) {
+          buffer = new Uint8Array(0);
+          throw new ProtocolError(`Illegal frame size: ${size}.`, { frames });
+        }
+        if (data.length - offset < size) {
+          break;
+        }
+        frames.push(data.slice(offset, (offset += size)));
+      }
+      buffer = data.slice(offset);
+
+      return frames;
+    },
+
+    reset() {
+      buffer = new Uint8Array(0);
+    },
+
+    get bufferedLength() {
+      return buffer.length;
+    },
+  };
+};
+
+/**
+ * @module qubic/protocol
+ */
+export const protocol = {
+  SCHEMAS,
+  encode,
+  decode,
+  decodeHeader,
+  frameDecoder,
+  offsetOf,
+  sizeOf,
+};
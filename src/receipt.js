@@ -0,0 +1,280 @@
+'use strict';
+
+import { NUMBER_OF_COMPUTORS, offsetOf, sizeOf } from './protocol.js';
+import { HASH_LENGTH, TRANSFER_LENGTH, verifyTransfer } from './transfer.js';
+import { PUBLIC_KEY_LENGTH } from './identity.js';
+import { crypto as defaultCrypto } from './crypto/index.js';
+import { shiftedHexToBytes } from './utils/hex.js';
+import { IllegalArgumentError } from './errors.js';
+
+/* globals CryptoPool */
+
+export const QUORUM = Math.floor((NUMBER_OF_COMPUTORS * 2) / 3) + 1;
+
+export const TRANSFER_STATUSES = {
+  UNSEEN: 0,
+  SEEN: 1,
+  PROCESSED: 2,
+};
+
+// Receipts embed computer state and computor reports without message headers.
+const COMPUTER_STATE_OFFSET = offsetOf('computerState', 'computorIndex');
+const COMPUTER_STATE_EPOCH_OFFSET = offsetOf('computerState', 'epoch') - COMPUTER_STATE_OFFSET;
+const COMPUTER_STATE_TICK_OFFSET = offsetOf('computerState', 'tick') - COMPUTER_STATE_OFFSET;
+const COMPUTER_STATE_COMPUTOR_PUBLIC_KEYS_OFFSET =
+  offsetOf('computerState', 'computorPublicKeys') - COMPUTER_STATE_OFFSET;
+const COMPUTER_STATE_SIGNATURE_LENGTH = sizeOf('computerState', 'signature');
+const COMPUTER_STATE_LENGTH = sizeOf('computerState') - COMPUTER_STATE_OFFSET;
+
+const COMPUTOR_REPORT_OFFSET = offsetOf('transferStatus', 'digest');
+const COMPUTOR_REPORT_STATUS_OFFSET = offsetOf('transferStatus', 'status') - COMPUTOR_REPORT_OFFSET;
+const COMPUTOR_REPORT_STATUS_LENGTH = sizeOf('transferStatus', 'status');
+const COMPUTOR_REPORT_COMPUTOR_INDEX_OFFSET =
+  offsetOf('transferStatus', 'computorIndex') - COMPUTOR_REPORT_OFFSET;
+const COMPUTOR_REPORT_SIGNATURE_LENGTH = sizeOf('transferStatus', 'signature');
+const COMPUTOR_REPORT_LENGTH = sizeOf('transferStatus') - COMPUTOR_REPORT_OFFSET;
+
+/**
+ * Decodes 2-bit transfer statuses reported by a computor about every other computor.
+ * 01 stands for seen, 10 for processed, anything else for unseen.
+ *
+ * @param {Uint8Array} bytes - Status bitmap of `NUMBER_OF_COMPUTORS * 2` bits.
+ * @returns {number[]} Transfer statuses, one per computor.
+ */
+export const decodeTransferStatuses = function (bytes) {
+  const statuses = Array(NUMBER_OF_COMPUTORS);
+  for (let i = 0; i < NUMBER_OF_COMPUTORS; i++) {
+    const byte = bytes[i >> 2];
+    const shift = (i & 3) * 2;
+    const high = (byte >> (7 - shift)) & 1;
+    const low = (byte >> (6 - shift)) & 1;
+    if (high === 0 && low === 1) {
+      statuses[i] = TRANSFER_STATUSES.SEEN;
+    } else if (high === 1 && low === 0) {
+      statuses[i] = TRANSFER_STATUSES.PROCESSED;
+    } else {
+      statuses[i] = TRANSFER_STATUSES.UNSEEN;
+    }
+  }
+  return statuses;
+};
+
+/**
+ * Counts how many computors have seen or processed a transfer, according to the reports
+ * of all other computors. Missing reports count as unseen.
+ *
+ * @param {number[][]} statuses - Transfer statuses by reporting computor index.
+ * @returns {{ unseen: number, seen: number, processed: number }}
+ */
+export const tallyTransferStatuses = function (statuses) {
+  const report = [0, 0, 0, 0];
+
+  for (let i = 0; i < NUMBER_OF_COMPUTORS; i++) {
+    for (let j = 0; j < NUMBER_OF_COMPUTORS; j++) {
+      if (i !== j) {
+        if (statuses[i] === undefined || statuses[i][j] === undefined) {
+          report[3] += 1;
+        } else {
+          report[statuses[i][j]] += 1;
+        }
+      }
+    }
+  }
+
+  return {
+    unseen: Math.floor((report[3] + report[0]) / (NUMBER_OF_COMPUTORS - 1)),
+    seen: Math.floor(report[1] / (NUMBER_OF_COMPUTORS - 1)),
+    processed: Math.floor(report[2] / (NUMBER_OF_COMPUTORS - 1)),
+  };
+};
+
+/**
+ * @namespace Receipt
+ */
+
+/**
+ * @typedef {object} ReceiptVerification
+ * @property {boolean} valid - True if transfer and computer state signatures are valid,
+ * and a quorum of computors has reported the transfer as processed.
+ * @property {string} [reason] - Reason of failure, when receipt is not valid.
+ * @property {object} [transfer] - Decoded transfer.
+ * @property {number} [epoch] - Epoch of admin-signed computer state.
+ * @property {number} [tick] - Tick of admin-signed computer state.
+ * @property {number[]} [signers] - Indices of computors with valid report signatures.
+ * @property {number[][]} [statuses] - Transfer statuses (0 unseen, 1 seen, 2 processed)
+ * by reporting computor index. Entries of computors without valid report are undefined.
+ * @property {number} [unseen] - Number of computors which have not seen the transfer.
+ * @property {number} [seen] - Number of computors which have seen the transfer.
+ * @property {number} [processed] - Number of computors which have processed the transfer.
+ * @property {number} [quorum] - Number of computors required to agree (451 of 676).
+ * @property {boolean} [isQuorumReached] - True if processed count reaches quorum.
+ */
+
+/**
+ * Verifies a receipt offline, without seed, database or connection. Checks signature
+ * of transfer, admin signature of computer state and signature of each computor report,
+ * and tallies reported transfer statuses.
+ *
+ * @function verify
+ * @memberof Receipt
+ * @param {Uint8Array|string} receipt - Receipt bytes, or receipt in base64.
+ * @param {object} options
+ * @param {string|Uint8Array} options.adminPublicKey - Admin public key in uppercase hex,
+ * for verification of computer state.
+ * @param {Promise<Crypto>|CryptoPool} [options.crypto] - Crypto to verify with, such as a
+ * `cryptoPool`. Runs on the calling thread by default.
+ * @returns {Promise<ReceiptVerification>}
+ * @example import qubic from 'qubic-js';
+ *
+ * qubic.receipt
+ *   .verify(receiptBase64, {
+ *     adminPublicKey: '97CC65D1E59351EEFC776BCFF197533F148A8105DA84129C051F70DD9CA0FF82',
+ *   })
+ *   .then(function ({ valid, epoch, tick, processed }) {
+ *     console.log(valid, epoch, tick, processed);
+ *   });
+ *
+ */
+export const verifyReceipt = async function (receipt, { adminPublicKey, crypto = defaultCrypto }) {
+  const adminPublicKeyBytes =
+    typeof adminPublicKey === 'string'
+      ? shiftedHexToBytes(adminPublicKey.toLowerCase())
+      : adminPublicKey;
+  if (
+    adminPublicKeyBytes === undefined ||
+    adminPublicKeyBytes.every(function (byte) {
+      return byte === 0;
+    })
+  ) {
+    throw new IllegalArgumentError('Illegal admin public key.');
+  }
+
+  const bytes =
+    typeof receipt === 'string'
+      ? Uint8Array.from(Buffer.from(receipt, 'base64'))
+      : Uint8Array.from(receipt);
+
+  if (
+    bytes.length < TRANSFER_LENGTH + COMPUTER_STATE_LENGTH ||
+    (bytes.length - TRANSFER_LENGTH - COMPUTER_STATE_LENGTH) % COMPUTOR_REPORT_LENGTH !== 0
+  ) {
+    return { valid: false, reason: 'Invalid receipt length.' };
+  }
+
+  const { valid, reason, transfer } = await verifyTransfer(bytes.subarray(0, TRANSFER_LENGTH));
+  if (!valid) {
+    return { valid, reason, transfer };
+  }
+
+  const { K12, schnorrq } = await crypto;
+  const bytesView = new DataView(bytes.buffer);
+
+  let offset = TRANSFER_LENGTH;
+  const computerState = bytes.subarray(offset, (offset += COMPUTER_STATE_LENGTH));
+  const computerStateDigest = new Uint8Array(HASH_LENGTH);
+  // Digests are computed concurrently, in case crypto runs in workers.
+  const digests = [
+    K12(
+      computerState.subarray(0, COMPUTER_STATE_LENGTH - COMPUTER_STATE_SIGNATURE_LENGTH),
+      computerStateDigest,
+      HASH_LENGTH
+    ),
+  ];
+
+  // Signature of computer state and signatures of all reports of the transfer are verified
+  // in one batch. Reports of computors are considered in order, until one of them is valid.
+  const batch = [
+    {
+      publicKey: adminPublicKeyBytes,
+      message: computerStateDigest,
+      signature: computerState.subarray(COMPUTER_STATE_LENGTH - COMPUTER_STATE_SIGNATURE_LENGTH),
+    },
+  ];
+  const reports = [];
+
+  while (offset < bytes.length) {
+    const report = bytes.subarray(offset, (offset += COMPUTOR_REPORT_LENGTH));
+    const computorIndex = bytesView.getUint16(
+      report.byteOffset + COMPUTOR_REPORT_COMPUTOR_INDEX_OFFSET,
+      true
+    );
+
+    if (computorIndex >= NUMBER_OF_COMPUTORS) {
+      continue;
+    }
+
+    let isReportOfTransfer = true;
+    for (let i = 0; i < HASH_LENGTH; i++) {
+      if (report[i] !== transfer.hashBytes[i]) {
+        isReportOfTransfer = false;
+        break;
+      }
+    }
+    if (!isReportOfTransfer) {
+      continue;
+    }
+
+    const message = report.slice(0, COMPUTOR_REPORT_LENGTH - COMPUTOR_REPORT_SIGNATURE_LENGTH);
+    message[0] ^= 3;
+    const digest = new Uint8Array(HASH_LENGTH);
+    digests.push(K12(message, digest, HASH_LENGTH));
+
+    reports.push({ computorIndex, report });
+    batch.push({
+      publicKey: computerState.subarray(
+        COMPUTER_STATE_COMPUTOR_PUBLIC_KEYS_OFFSET + computorIndex * PUBLIC_KEY_LENGTH,
+        COMPUTER_STATE_COMPUTOR_PUBLIC_KEYS_OFFSET + (computorIndex + 1) * PUBLIC_KEY_LENGTH
+      ),
+      message: digest,
+      signature: report.subarray(COMPUTOR_REPORT_LENGTH - COMPUTOR_REPORT_SIGNATURE_LENGTH),
+    });
+  }
+
+  await Promise.all(digests);
+  const [isComputerStateValid, ...areReportsValid] = await schnorrq.verifyBatch(batch);
+  if (isComputerStateValid !== 1) {
+    return { valid: false, reason: 'Invalid computer state signature.', transfer };
+  }
+
+  const epoch = bytesView.getUint16(TRANSFER_LENGTH + COMPUTER_STATE_EPOCH_OFFSET, true);
+  const tick = bytesView.getUint32(TRANSFER_LENGTH + COMPUTER_STATE_TICK_OFFSET, true);
+
+  const signers = [];
+  const statuses = [];
+
+  reports.forEach(function ({ computorIndex, report }, i) {
+    if (areReportsValid[i] === 1 && statuses[computorIndex] === undefined) {
+      signers.push(computorIndex);
+      statuses[computorIndex] = decodeTransferStatuses(
+        report.subarray(
+          COMPUTOR_REPORT_STATUS_OFFSET,
+          COMPUTOR_REPORT_STATUS_OFFSET + COMPUTOR_REPORT_STATUS_LENGTH
+        )
+      );
+    }
+  });
+
+  const { unseen, seen, processed } = tallyTransferStatuses(statuses);
+  const isQuorumReached = processed >= QUORUM;
+
+  return {
+    valid: isQuorumReached,
+    reason: isQuorumReached ? undefined : 'Quorum not reached.',
+    transfer,
+    epoch,
+    tick,
+    signers: signers.sort(function (a, b) {
+      return a - b;
+    }),
+    statuses,
+    unseen,
+    seen,
+    processed,
+    quorum: QUORUM,
+    isQuorumReached,
+  };
+};
+
+export const receipt = {
+  verify: verifyReceipt,
+};
@@ -0,0 +1,112 @@
+'use strict';
+
+import { seedChecksum, SEED_IN_LOWERCASE_LATIN_LENGTH } from './identity.js';
+import { randomBytes } from './utils/random.js';
+import { IllegalArgumentError, InvalidSeedError } from './errors.js';
+
+const SEED_ALPHABET = 'abcdefghijklmnopqrstuvwxyz';
+// Greatest multiple of alphabet length which fits in a byte. Bytes above it are rejected, so
+// that every letter is equally likely.
+const REJECTION_THRESHOLD = 256 - (256 % SEED_ALPHABET.length);
+const DEFAULT_GROUP_LENGTH = 5;
+const SEPARATORS = /[\s-]+/g;
+
+/**
+ * Generates a seed from a cryptographically secure random number generator.
+ *
+ * @function generateSeed
+ * @memberof module:qubic
+ * @returns {string} Seed in 55 lowercase latin chars.
+ * @example import qubic from 'qubic-js';
+ *
+ * const seed = qubic.generateSeed();
+ *
+ */
+export const generateSeed = function () {
+  let seed = '';
+  while (seed.length < SEED_IN_LOWERCASE_LATIN_LENGTH) {
+    const bytes = randomBytes(SEED_IN_LOWERCASE_LATIN_LENGTH - seed.length);
+    for (let i = 0; i < bytes.length; i++) {
+      if (bytes[i] < REJECTION_THRESHOLD) {
+        seed += SEED_ALPHABET[bytes[i] % SEED_ALPHABET.length];
+      }
+    }
+    bytes.fill(0);
+  }
+  return seed;
+};
+
+/**
+ * Splits a seed in groups, for human transcription.
+ *
+ * @function formatSeed
+ * @memberof module:qubic
+ * @param {string} seed - Seed in 55 lowercase latin chars.
+ * @param {object} [options]
+ * @param {number} [options.groupLength=5] - Chars per group.
+ * @param {string} [options.separator=' '] - Separator of groups.
+ * @returns {string} Formatted seed.
+ * @example import qubic from 'qubic-js';
+ *
+ * qubic.formatSeed('vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu');
+ * // 'vmscm tbcqj bqyqc ckegs fdsrc gjpee jobol mimgo rsqwg upzhk evreu'
+ *
+ */
+export const formatSeed = function (
+  seed,
+  { groupLength = DEFAULT_GROUP_LENGTH, separator = ' ' } = {}
+) {
+  if (!new RegExp(`^[a-z]{${SEED_IN_LOWERCASE_LATIN_LENGTH}}$`).test(seed)) {
+    throw new InvalidSeedError(
+      `Invalid seed. Must be ${SEED_IN_LOWERCASE_LATIN_LENGTH} lowercase latin chars.`
+    );
+  }
+  if (!Number.isInteger(groupLength) || groupLength < 1) {
+    throw new IllegalArgumentError('Illegal group length.');
+  }
+  return seed.match(new RegExp(`.{1,${groupLength}}`, 'g')).join(separator);
+};
+
+/**
+ * Parses a seed which was transcribed by a human. Ignores case, whitespace and dashes.
+ *
+ * @function parseSeed
+ * @memberof module:qubic
+ * @param {string} formattedSeed - Seed, possibly split in groups.
+ * @returns {string} Seed in 55 lowercase latin chars.
+ */
+export const parseSeed = function (formattedSeed) {
+  const seed = typeof formattedSeed === 'string' ? formattedSeed.replace(SEPARATORS, '') : '';
+  if (!new RegExp(`^[a-z]{${SEED_IN_LOWERCASE_LATIN_LENGTH}}$`, 'i').test(seed)) {
+    throw new InvalidSeedError(
+      `Invalid seed. Must be ${SEED_IN_LOWERCASE_LATIN_LENGTH} lowercase latin chars.`
+    );
+  }
+  return seed.toLowerCase();
+};
+
+/**
+ * Validates a transcribed seed against the checksum which was noted along with it, to catch
+ * typos before the seed is used.
+ *
+ * @function validateSeed
+ * @memberof module:qubic
+ * @param {string} seed - Seed, possibly split in groups.
+ * @param {string} checksum - Seed checksum, as computed by `seedChecksum`.
+ * @returns {Promise<boolean>} `false` if seed is malformed or does not match checksum.
+ * @example import qubic from 'qubic-js';
+ *
+ * qubic.validateSeed('vmscm tbcqj bqyqc ckegs fdsrc gjpee jobol mimgo rsqwg upzhk evreu', 'PLH');
+ *
+ */
+export const validateSeed = async function (seed, checksum) {
+  let parsedSeed;
+  try {
+    parsedSeed = parseSeed(seed);
+  } catch {
+    return false;
+  }
+  return (
+    typeof checksum === 'string' && (await seedChecksum(parsedSeed)) === checksum.toUpperCase()
+  );
+};
@@ -0,0 +1,220 @@
+'use strict';
+
+import { crypto } from './crypto/index.js';
+import { seedToBytes, SEED_IN_LOWERCASE_LATIN_LENGTH } from './identity.js';
+import { randomBytes } from './utils/random.js';
+import {
+  ChecksumError,
+  IllegalArgumentError,
+  InvalidSeedError,
+  InvalidShareError,
+} from './errors.js';
+
+const SEED_ALPHABET = 'abcdefghijklmnopqrstuvwxyz';
+const BASE = BigInt(SEED_ALPHABET.length);
+const SHARE_VALUE_LENGTH = SEED_IN_LOWERCASE_LATIN_LENGTH + 1;
+const SHARE_CHECKSUM_LENGTH = 4;
+const SHARE_LENGTH = 2 + SHARE_VALUE_LENGTH + SHARE_CHECKSUM_LENGTH;
+const MAX_SHARES = SEED_ALPHABET.length - 1;
+// Coefficients are reduced from 64 random bytes, so that their bias is negligible.
+const COEFFICIENT_LENGTH = 64;
+
+const power = function (base, exponent) {
+  let result = 1n;
+  for (let i = 0; i < exponent; i++) {
+    result *= base;
+  }
+  return result;
+};
+
+const SEED_SPACE = power(BASE, SEED_IN_LOWERCASE_LATIN_LENGTH);
+// Smallest prime greater than 26^55, so that every seed is an element of the field.
+const PRIME = SEED_SPACE + 167n;
+
+const mod = function (a) {
+  return ((a % PRIME) + PRIME) % PRIME;
+};
+
+const modPow = function (base, exponent) {
+  let result = 1n;
+  base = mod(base);
+  while (exponent > 0n) {
+    if (exponent & 1n) {
+      result = (result * base) % PRIME;
+    }
+    base = (base * base) % PRIME;
+    exponent >>= 1n;
+  }
+  return result;
+};
+
+const inverse = function (a) {
+  return modPow(a, PRIME - 2n);
+};
+
+const lettersToBigInt = function (letters) {
+  let value = 0n;
+  for (let i = 0; i < letters.length; i++) {
+    value = value * BASE + BigInt(SEED_ALPHABET.indexOf(letters[i]));
+  }
+  return value;
+};
+
+const bigIntToLetters = function (value, length) {
+  let letters = '';
+  for (let i = 0; i < length; i++) {
+    letters = SEED_ALPHABET[Number(value % BASE)] + letters;
+    value /= BASE;
+  }
+  return letters;
+};
+
+const randomCoefficient = function () {
+  const bytes = randomBytes(COEFFICIENT_LENGTH);
+  let value = 0n;
+  for (let i = 0; i < bytes.length; i++) {
+    value = (value << 8n) | BigInt(bytes[i]);
+  }
+  bytes.fill(0);
+  return value % PRIME;
+};
+
+const shareChecksum = async function (letters) {
+  const { K12 } = await crypto;
+  const digest = new Uint8Array(3);
+  K12(seedToBytes(letters), digest, digest.length);
+  return bigIntToLetters(
+    BigInt(digest[0] | (digest[1] << 8) | (digest[2] << 16)),
+    SHARE_CHECKSUM_LENGTH
+  );
+};
+
+const parseShare = async function (share) {
+  const letters = typeof share === 'string' ? share.replace(/[\s-]+/g, '').toLowerCase() : '';
+  if (!new RegExp(`^[a-z]{${SHARE_LENGTH}}$`).test(letters)) {
+    throw new InvalidShareError(`Invalid share. Must be ${SHARE_LENGTH} lowercase latin chars.`);
+  }
+  const body = letters.slice(0, -SHARE_CHECKSUM_LENGTH);
+  if ((await shareChecksum(body)) !== letters.slice(-SHARE_CHECKSUM_LENGTH)) {
+    throw new ChecksumError('Invalid share checksum.');
+  }
+  const point = {
+    threshold: SEED_ALPHABET.indexOf(body[0]),
+    x: BigInt(SEED_ALPHABET.indexOf(body[1])),
+    y: lettersToBigInt(body.slice(2)),
+  };
+  if (point.threshold < 2 || point.x === 0n || point.y >= PRIME) {
+    throw new InvalidShareError('Invalid share.');
+  }
+  return point;
+};
+
+/**
+ * Splits a seed in shares with Shamir's secret sharing, over the smallest prime field which
+ * contains all seeds. Any `threshold` shares recover the seed, fewer reveal nothing about it.
+ *
+ * Each share is encoded in 62 lowercase latin chars, which carry the threshold, the share index
+ * and a K12-based checksum, so that it can be written down like a seed.
+ *
+ * @function splitSeed
+ * @memberof module:qubic
+ * @param {string} seed - Seed in 55 lowercase latin chars.
+ * @param {object} params
+ * @param {number} params.threshold - Number of shares which recover the seed, at least 2.
+ * @param {number} params.shares - Number of shares, at most 25.
+ * @returns {Promise<string[]>} Shares.
+ * @example import qubic from 'qubic-js';
+ *
+ * qubic
+ *   .splitSeed('vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu', {
+ *     threshold: 3,
+ *     shares: 5,
+ *   })
+ *   .then(function (shares) {
+ *     console.log(shares);
+ *   });
+ *
+ */
+export const splitSeed = async function (seed, { threshold, shares } = {}) {
+  if (!new RegExp(`^[a-z]{${SEED_IN_LOWERCASE_LATIN_LENGTH}}$`).test(seed)) {
+    throw new InvalidSeedError(
+      `Invalid seed. Must be ${SEED_IN_LOWERCASE_LATIN_LENGTH} lowercase latin chars.`
+    );
+  }
+  if (!Number.isInteger(shares) || shares < 2 || shares > MAX_SHARES) {
+    throw new IllegalArgumentError('Illegal shares.');
+  }
+  if (!Number.isInteger(threshold) || threshold < 2 || threshold > shares) {
+    throw new IllegalArgumentError('Illegal threshold.');
+  }
+
+  const coefficients = [lettersToBigInt(seed)];
+  for (let i = 1; i < threshold; i++) {
+    coefficients.push(randomCoefficient());
+  }
+
+  const result = [];
+  for (let x = 1n; x <= BigInt(shares); x++) {
+    let y = 0n;
+    for (let i = coefficients.length - 1; i >= 0; i--) {
+      y = (y * x + coefficients[i]) % PRIME;
+    }
+    const body =
+      SEED_ALPHABET[threshold] + SEED_ALPHABET[Number(x)] + bigIntToLetters(y, SHARE_VALUE_LENGTH);
+    result.push(body + (await shareChecksum(body)));
+  }
+
+  return result;
+};
+
+/**
+ * Recovers a seed from shares which were created with `splitSeed`. Ignores case, whitespace
+ * and dashes in shares.
+ *
+ * @function combineShares
+ * @memberof module:qubic
+ * @param {string[]} shares - At least `threshold` distinct shares of a seed.
+ * @returns {Promise<string>} Seed in 55 lowercase latin chars.
+ */
+export const combineShares = async function (shares) {
+  if (!Array.isArray(shares) || shares.length === 0) {
+    throw new IllegalArgumentError('Illegal shares.');
+  }
+
+  const points = new Map();
+  let threshold;
+  for (const share of shares) {
+    const point = await parseShare(share);
+    if (threshold === undefined) {
+      threshold = point.threshold;
+    } else if (point.threshold !== threshold) {
+      throw new InvalidShareError('Inconsistent shares.');
+    }
+    if (points.has(point.x) && points.get(point.x) !== point.y) {
+      throw new InvalidShareError('Inconsistent shares.');
+    }
+    points.set(point.x, point.y);
+  }
+  if (points.size < threshold) {
+    throw new InvalidShareError(`Not enough shares. ${threshold} are required.`);
+  }
+
+  const xs = Array.from(points.keys()).slice(0, threshold);
+  let secret = 0n;
+  for (const xi of xs) {
+    let numerator = 1n;
+    let denominator = 1n;
+    for (const xj of xs) {
+      if (xj !== xi) {
+        numerator = (numerator * xj) % PRIME;
+        denominator = mod(denominator * (xj - xi));
+      }
+    }
+    secret = (secret + points.get(xi) * numerator * inverse(denominator)) % PRIME;
+  }
+
+  if (secret >= SEED_SPACE) {
+    throw new InvalidShareError('Inconsistent shares.');
+  }
+  return bigIntToLetters(secret, SEED_IN_LOWERCASE_LATIN_LENGTH);
+};
@@ -0,0 +1,4 @@
+'use strict';
+
+export { seedSigner } from './seed.js';
+export { remoteSigner } from './remote.js';
@@ -0,0 +1,183 @@
+'use strict';
+
+import { crypto } from '../crypto/index.js';
+import { PUBLIC_KEY_LENGTH } from '../identity.js';
+import { webSocketTransport, READY_STATES } from '../transports/websocket.js';
+import {
+  ConnectionError,
+  RemoteSignerError,
+  SignatureVerificationError,
+  TimeoutError,
+} from '../errors.js';
+
+const SIGNATURE_LENGTH = 64;
+
+/* globals Signer */
+
+const toBase64 = function (bytes) {
+  return Buffer.from(bytes).toString('base64');
+};
+
+const fromBase64 = function (string, length, name) {
+  const bytes = typeof string === 'string' ? Uint8Array.from(Buffer.from(string, 'base64')) : [];
+  if (bytes.length !== length) {
+    throw new RemoteSignerError(`Illegal ${name} from remote signer.`);
+  }
+  return bytes;
+};
+
+/**
+ * Creates a signer which forwards requests over JSON-RPC 2.0 to a separate process, which holds
+ * the private key. Remote signer must implement `getPublicKey`, which returns `{ publicKey }`,
+ * and `signDigest` with `{ digest }` params, which returns `{ signature }`. Bytes are encoded in
+ * base64. Signatures are verified against the public key before they are returned.
+ *
+ * @function remoteSigner
+ * @memberof module:qubic
+ * @param {object} params
+ * @param {string} params.url - URL of remote signer, for example `ws://127.0.0.1:8787`.
+ * @param {Function} [params.transport] - Transport factory, `webSocketTransport` by default.
+ * Requests are sent as UTF-8 encoded JSON, responses may be text or binary.
+ * @param {number} [params.timeout=30000] - Rejects connecting, and requests, which do not
+ * complete within this many milliseconds.
+ * @returns {Signer} Signer, with a `close` function which closes its transport.
+ * @example import qubic from 'qubic-js';
+ *
+ * const signer = qubic.remoteSigner({ url: 'ws://127.0.0.1:8787' });
+ *
+ */
+export const remoteSigner = function ({
+  url,
+  transport = webSocketTransport,
+  timeout = 30 * 1000,
+}) {
+  const pendingRequests = new Map();
+  let socket;
+  let opened;
+  let id = 0;
+  let publicKey;
+
+  const connect = function () {
+    if (socket !== undefined && socket.readyState <= READY_STATES.OPEN) {
+      return opened;
+    }
+
+    const currentSocket = (socket = transport({ url }));
+    let rejectOpened;
+    let timeoutReference;
+    opened = new Promise(function (resolve, reject) {
+      rejectOpened = reject;
+      timeoutReference = setTimeout(function () {
+        if (socket === currentSocket) {
+          socket = undefined;
+        }
+        currentSocket.onclose = undefined;
+        currentSocket.close();
+        reject(new ConnectionError('Remote signer connection timed out.'));
+      }, timeout);
+      currentSocket.onopen = function () {
+        clearTimeout(timeoutReference);
+        resolve();
+      };
+      currentSocket.onerror = function () {
+        clearTimeout(timeoutReference);
+        reject(new ConnectionError('Remote signer connection failed.'));
+      };
+    });
+
+    currentSocket.onmessage = function ({ data }) {
+      let response;
+      try {
+        response = JSON.parse(typeof data === 'string' ? data : new TextDecoder().decode(data));
+      } catch {
+        return;
+      }
+      const request = pendingRequests.get(response.id);
+      if (request === undefined) {
+        return;
+      }
+      if (response.error !== undefined) {
+        request.reject(new RemoteSignerError(`Remote signer error: ${response.error.message}`));
+      } else {
+        request.resolve(response.result);
+      }
+    };
+
+    currentSocket.onclose = function () {
+      clearTimeout(timeoutReference);
+      rejectOpened(new ConnectionError('Remote signer disconnected.'));
+      const requests = Array.from(pendingRequests.values());
+      pendingRequests.clear();
+      requests.forEach(function (request) {
+        request.reject(new ConnectionError('Remote signer disconnected.'));
+      });
+    };
+
+    return opened;
+  };
+
+  const call = async function (method, params) {
+    await connect();
+    const requestId = ++id;
+    return new Promise(function (resolve, reject) {
+      const timeoutReference = setTimeout(function () {
+        request.reject(new TimeoutError('Remote signer timed out.'));
+      }, timeout);
+      const settle = function () {
+        clearTimeout(timeoutReference);
+        pendingRequests.delete(requestId);
+      };
+      const request = {
+        resolve: function (result) {
+          settle();
+          resolve(result);
+        },
+        reject: function (error) {
+          settle();
+          reject(error);
+        },
+      };
+      pendingRequests.set(requestId, request);
+      socket.send(
+        new TextEncoder().encode(JSON.stringify({ jsonrpc: '2.0', id: requestId, method, params }))
+      );
+    });
+  };
+
+  const getPublicKey = function () {
+    if (publicKey === undefined) {
+      publicKey = call('getPublicKey', {}).then(function (result) {
+        return fromBase64(result && result.publicKey, PUBLIC_KEY_LENGTH, 'public key');
+      });
+      publicKey.catch(function () {
+        publicKey = undefined;
+      });
+    }
+    return publicKey.then(function (publicKey) {
+      return publicKey.slice();
+    });
+  };
+
+  return {
+    getPublicKey,
+
+    async signDigest(digest) {
+      const [{ schnorrq }, key, result] = await Promise.all([
+        crypto,
+        getPublicKey(),
+        call('signDigest', { digest: toBase64(digest) }),
+      ]);
+      const signature = fromBase64(result && result.signature, SIGNATURE_LENGTH, 'signature');
+      if (schnorrq.verify(key, digest, signature) !== 1) {
+        throw new SignatureVerificationError('Invalid signature from remote signer.');
+      }
+      return signature;
+    },
+
+    close() {
+      if (socket !== undefined) {
+        socket.close();
+      }
+    },
+  };
+};
@@ -0,0 +1,74 @@
+'use strict';
+
+import { crypto } from '../crypto/index.js';
+import { privateKey, SEED_IN_LOWERCASE_LATIN_LENGTH } from '../identity.js';
+import { IllegalArgumentError, InvalidSeedError } from '../errors.js';
+
+/* globals Vault */
+
+/**
+ * @typedef {object} Signer
+ * @property {Function} getPublicKey - Resolves with public key bytes.
+ * @property {Function} signDigest - Called with digest bytes, resolves with signature bytes.
+ */
+
+/**
+ * Creates an in-process signer, which derives the private key from a seed for each signature
+ * and wipes it afterwards.
+ *
+ * @function seedSigner
+ * @memberof module:qubic
+ * @param {object} params
+ * @param {string} [params.seed] - Seed in 55 lowercase latin chars. Required unless a vault is used.
+ * @param {Vault} [params.vault] - Vault holding the seed. Signing waits until vault is unlocked.
+ * @param {string} [params.label] - Label of seed in vault.
+ * @param {number} [params.index=0] - Identity index.
+ * @returns {Signer}
+ */
+export const seedSigner = function ({ seed, vault, label, index = 0 }) {
+  if (vault === undefined && !new RegExp(`^[a-z]{${SEED_IN_LOWERCASE_LATIN_LENGTH}}$`).test(seed)) {
+    throw new InvalidSeedError(
+      `Invalid seed. Must be ${SEED_IN_LOWERCASE_LATIN_LENGTH} lowercase latin chars.`
+    );
+  }
+  if (!Number.isInteger(index) || index < 0) {
+    throw new IllegalArgumentError('Illegal index.');
+  }
+
+  const withSecretKey = function (fn) {
+    const call = async function (seed) {
+      const { K12, schnorrq } = await crypto;
+      const secretKey = privateKey(seed, index, K12);
+      try {
+        return fn(schnorrq, secretKey);
+      } finally {
+        secretKey.fill(0);
+      }
+    };
+    return vault !== undefined ? vault.withSeed(label, call) : call(seed);
+  };
+
+  let publicKey;
+
+  return {
+    getPublicKey() {
+      if (publicKey === undefined) {
+        publicKey = withSecretKey(function (schnorrq, secretKey) {
+          return schnorrq.generatePublicKey(secretKey);
+        });
+        publicKey.catch(function () {
+          publicKey = undefined;
+        });
+      }
+      return publicKey.then(function (publicKey) {
+        return publicKey.slice();
+      });
+    },
+
+    signDigest(digest) {
+      return withSecretKey(function (schnorrq, secretKey) {
+        return schnorrq.sign(secretKey, schnorrq.generatePublicKey(secretKey), digest);
+      });
+    },
+  };
+};
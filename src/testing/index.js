@@ -0,0 +1,322 @@
+'use strict';
+
+import { privateKey, SEED_IN_LOWERCASE_LATIN_LENGTH } from '../identity.js';
+import { HASH_LENGTH, verifyTransfer } from '../transfer.js';
+import { crypto } from '../crypto/index.js';
+import { timestamp } from '../timestamp.js';
+import { bytesToShiftedHex } from '../utils/hex.js';
+import { loopbackTransport } from '../transports/index.js';
+import {
+  NUMBER_OF_COMPUTORS,
+  NUMBER_OF_PUBLIC_PEERS,
+  decode,
+  encode,
+  offsetOf,
+  sizeOf,
+} from '../protocol.js';
+
+const COMPUTER_STATE_OFFSET = offsetOf('computerState', 'computorIndex');
+const COMPUTER_STATE_SIGNATURE_OFFSET = offsetOf('computerState', 'signature');
+const TRANSFER_STATUS_OFFSET = offsetOf('transferStatus', 'digest');
+const TRANSFER_STATUS_SIGNATURE_OFFSET = offsetOf('transferStatus', 'signature');
+const STATUS_LENGTH = sizeOf('transferStatus', 'status');
+
+const FRAGMENT_LENGTH = 1001;
+
+const UNSEEN = 0b00000000;
+const SEEN = 0b01010101;
+const PROCESSED = 0b10101010;
+
+const DEFAULT_SEED = 'qubicmocknetwork'.padEnd(SEED_IN_LOWERCASE_LATIN_LENGTH, 'a');
+
+/**
+ * @typedef {object} MockPeerFaults
+ * @property {boolean} [badSignatures] - Peer responds with invalid signatures.
+ * @property {number} [tickLag] - Peer reports a tick which lags behind the network by this many ticks.
+ * @property {boolean} [dropped] - Peer refuses and drops connections.
+ * @property {boolean} [fragmented] - Peer splits frames across messages, and coalesces
+ * frames sent at once into the same messages.
+ */
+
+/**
+ * @typedef {object} MockNetwork
+ * @property {string[]} peers - Hosts of simulated peers, to pass as `peers` to connection.
+ * @property {Function} transport - Loopback transport factory, to pass as `transport` to connection.
+ * @property {string} adminPublicKey - Admin public key in uppercase hex.
+ * @property {object[]} computors - Secret and public keys of simulated computors.
+ * @property {number} epoch - Current epoch.
+ * @property {number} tick - Current tick.
+ * @property {Map<string, object>} transfers - Broadcasted transfers by hash.
+ * @property {Function} advanceTick - Advances tick. Broadcasted transfers become processed
+ * after `processingDelay` ticks.
+ * @property {Function} setFaults - Sets faults of a peer by host.
+ * @property {Function} close - Closes all open transports.
+ */
+
+/**
+ * Simulates a network of computors plus an admin key, speaking the binary protocol over
+ * in-memory transports. Answers computer state, transfer status and public peers requests,
+ * and accepts broadcasted transfers. Import it from `qubic-js/testing`.
+ *
+ * @function mockNetwork
+ * @memberof module:qubic/testing
+ * @param {object} [params]
+ * @param {string[]} [params.peers] - Hosts of simulated peers.
+ * @param {number} [params.epoch=1] - Initial epoch.
+ * @param {number} [params.tick=1] - Initial tick.
+ * @param {number} [params.processingDelay=1] - Ticks after which broadcasted transfers are processed.
+ * @param {string} [params.seed] - Seed from which computor and admin keys are derived.
+ * @param {object<string, MockPeerFaults>} [params.faults] - Faults by peer host.
+ * @returns {Promise<MockNetwork>}
+ * @example import qubic from 'qubic-js';
+ * import { mockNetwork } from 'qubic-js/testing';
+ *
+ * mockNetwork({ faults: { '10.0.0.3': { tickLag: 1 } } }).then(function (network) {
+ *   const connection = qubic.connection({
+ *     peers: network.peers,
+ *     adminPublicKey: network.adminPublicKey,
+ *     transport: network.transport,
+ *   });
+ * });
+ *
+ */
+export const mockNetwork = async function ({
+  peers = ['10.0.0.1', '10.0.0.2', '10.0.0.3', '10.0.0.4'],
+  epoch = 1,
+  tick = 1,
+  processingDelay = 1,
+  seed = DEFAULT_SEED,
+  faults = {},
+} = {}) {
+  const { K12, schnorrq } = await crypto;
+
+  const keyPair = function (index) {
+    const secretKey = privateKey(seed, index, K12);
+    return { secretKey, publicKey: schnorrq.generatePublicKey(secretKey) };
+  };
+  const computors = [];
+  for (let i = 0; i < NUMBER_OF_COMPUTORS; i++) {
+    computors.push(keyPair(i));
+  }
+  const admin = keyPair(NUMBER_OF_COMPUTORS);
+
+  const faultsByPeer = new Map(Object.entries(faults));
+  const socketsByPeer = new Map();
+  const transfers = new Map();
+  const computerStatesByTick = new Map();
+  const transferStatusSignaturesByKey = new Map();
+
+  const network = {
+    peers,
+    adminPublicKey: bytesToShiftedHex(admin.publicKey).toUpperCase(),
+    computors,
+    epoch,
+    tick,
+    transfers,
+  };
+
+  const peerTick = function (peer) {
+    return Math.max(0, network.tick - ((faultsByPeer.get(peer) || {}).tickLag || 0));
+  };
+
+  const corrupt = function (peer, frame, signatureOffset) {
+    if ((faultsByPeer.get(peer) || {}).badSignatures) {
+      frame[signatureOffset] ^= 1;
+    }
+    return frame;
+  };
+
+  const pendingFramesBySocket = new Map();
+
+  const send = function (peer, socket, frame) {
+    if (!(faultsByPeer.get(peer) || {}).fragmented) {
+      socket.send(frame);
+      return;
+    }
+    let pendingFrames = pendingFramesBySocket.get(socket);
+    if (pendingFrames === undefined) {
+      pendingFramesBySocket.set(socket, (pendingFrames = []));
+      setTimeout(function () {
+        pendingFramesBySocket.delete(socket);
+        const bytes = new Uint8Array(
+          pendingFrames.reduce(function (length, pendingFrame) {
+            return length + pendingFrame.length;
+          }, 0)
+        );
+        pendingFrames.reduce(function (offset, pendingFrame) {
+          bytes.set(pendingFrame, offset);
+          return offset + pendingFrame.length;
+        }, 0);
+        for (let offset = 0; offset < bytes.length; offset += FRAGMENT_LENGTH) {
+          socket.send(bytes.subarray(offset, offset + FRAGMENT_LENGTH));
+        }
+      });
+    }
+    pendingFrames.push(frame);
+  };
+
+  const sign = function (secretKey, publicKey, message) {
+    const digest = new Uint8Array(HASH_LENGTH);
+    K12(message, digest, HASH_LENGTH);
+    return schnorrq.sign(secretKey, publicKey, digest);
+  };
+
+  const computerState = function (requestTimestamp, tick) {
+    let state = computerStatesByTick.get(tick);
+    if (state === undefined) {
+      state = {
+        epoch: network.epoch,
+        stateTimestamp: timestamp(),
+      };
+      const frame = encode('computerState', {
+        ...state,
+        timestamp: 0n,
+        computorIndex: NUMBER_OF_COMPUTORS,
+        tick,
+        computorPublicKeys: computors.map(function ({ publicKey }) {
+          return publicKey;
+        }),
+      });
+      state.signature = sign(
+        admin.secretKey,
+        admin.publicKey,
+        frame.subarray(COMPUTER_STATE_OFFSET, COMPUTER_STATE_SIGNATURE_OFFSET)
+      );
+      computerStatesByTick.set(tick, state);
+    }
+    return encode('computerState', {
+      ...state,
+      timestamp: requestTimestamp,
+      computorIndex: NUMBER_OF_COMPUTORS,
+      tick,
+      computorPublicKeys: computors.map(function ({ publicKey }) {
+        return publicKey;
+      }),
+    });
+  };
+
+  const transferStatus = function (requestTimestamp, digest, computorIndex, tick) {
+    const hash = bytesToShiftedHex(digest).toUpperCase();
+    const transfer = transfers.get(hash);
+    let status = UNSEEN;
+    if (transfer !== undefined) {
+      status = tick >= transfer.tick + processingDelay ? PROCESSED : SEEN;
+    }
+
+    const fields = {
+      timestamp: requestTimestamp,
+      digest,
+      status: new Uint8Array(STATUS_LENGTH).fill(status),
+      computorIndex,
+      epoch: network.epoch,
+      tick,
+    };
+    const key = `${hash}-${computorIndex}-${status}-${tick}`;
+    let signature = transferStatusSignaturesByKey.get(key);
+    if (signature === undefined) {
+      const message = encode('transferStatus', fields).slice(
+        TRANSFER_STATUS_OFFSET,
+        TRANSFER_STATUS_SIGNATURE_OFFSET
+      );
+      message[0] ^= 3;
+      const { secretKey, publicKey } = computors[computorIndex];
+      signature = sign(secretKey, publicKey, message);
+      transferStatusSignaturesByKey.set(key, signature);
+    }
+    return encode('transferStatus', { ...fields, signature });
+  };
+
+  const respond = async function (peer, socket, data) {
+    let request;
+    try {
+      request = decode(data);
+    } catch (error) {
+      socket.close();
+      return;
+    }
+
+    switch (request.type) {
+      case 'computerStateRequest': {
+        const response = computerState(request.timestamp, peerTick(peer));
+        send(peer, socket, corrupt(peer, response, COMPUTER_STATE_SIGNATURE_OFFSET));
+        break;
+      }
+      case 'transferStatusRequest': {
+        const response = transferStatus(
+          request.timestamp,
+          request.digest.slice(),
+          request.computorIndex,
+          peerTick(peer)
+        );
+        send(peer, socket, corrupt(peer, response, TRANSFER_STATUS_SIGNATURE_OFFSET));
+        break;
+      }
+      case 'exchangePublicPeers': {
+        const response = encode('exchangePublicPeers', {
+          peers: peers
+            .filter(function (host) {
+              return (
+                host !== peer &&
+                !(faultsByPeer.get(host) || {}).dropped &&
+                /^\d+\.\d+\.\d+\.\d+$/.test(host)
+              );
+            })
+            .slice(0, NUMBER_OF_PUBLIC_PEERS),
+        });
+        send(peer, socket, response);
+        break;
+      }
+      case 'broadcastTransfer': {
+        const { valid, transfer } = await verifyTransfer(request.transfer.slice());
+        if (valid && !transfers.has(transfer.hash)) {
+          transfers.set(transfer.hash, { ...transfer, tick: network.tick });
+        }
+        break;
+      }
+    }
+  };
+
+  const listener = function (socket, { host }) {
+    if (!peers.includes(host) || (faultsByPeer.get(host) || {}).dropped) {
+      socket.close();
+      return;
+    }
+    let sockets = socketsByPeer.get(host);
+    if (sockets === undefined) {
+      socketsByPeer.set(host, (sockets = new Set()));
+    }
+    sockets.add(socket);
+    socket.onclose = function () {
+      sockets.delete(socket);
+    };
+    socket.onmessage = function ({ data }) {
+      respond(host, socket, new Uint8Array(data));
+    };
+  };
+
+  return Object.assign(network, {
+    transport: loopbackTransport(listener),
+
+    advanceTick(ticks = 1) {
+      network.tick += ticks;
+      return network.tick;
+    },
+
+    setFaults(peer, peerFaults) {
+      faultsByPeer.set(peer, peerFaults);
+      if (peerFaults.dropped) {
+        (socketsByPeer.get(peer) || []).forEach(function (socket) {
+          socket.close();
+        });
+      }
+    },
+
+    close() {
+      socketsByPeer.forEach(function (sockets) {
+        sockets.forEach(function (socket) {
+          socket.close();
+        });
+      });
+    },
+  });
+};
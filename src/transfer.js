@@ -3,13 +3,20 @@
 import {
   PUBLIC_KEY_LENGTH,
   PUBLIC_KEY_LENGTH_IN_HEX,
-  privateKey,
   verifyChecksum,
+  verifyChecksumSync,
   addChecksum,
+  addChecksumSync,
+  identitySync,
+  privateKey,
 } from './identity.js';
 import { shiftedHexToBytes, bytesToShiftedHex } from './utils/hex.js';
-import { crypto } from './crypto/index.js';
+import { crypto, cryptoSync } from './crypto/index.js';
 import { timestamp } from './timestamp.js';
+import { seedSigner } from './signers/seed.js';
+import { ChecksumError, IllegalArgumentError, SignatureVerificationError } from './errors.js';
+
+/* globals Signer */
 
 export const SOURCE_OFFSET = 0;
 export const SOURCE_LENGTH = PUBLIC_KEY_LENGTH;
@@ -28,12 +35,179 @@ export const HASH_LENGTH = 32; // 256-bit output for 128-bit collision security
 
 export const MIN_ENERGY_AMOUNT = 1000000n;
 
+/**
+ * Computes the digest which is signed by transfer source. First byte is flipped
+ * to domain-separate it from the transfer hash.
+ *
+ * @param {Crypto.K12} K12 - K12 function.
+ * @param {Uint8Array} transfer - Transfer bytes.
+ * @returns {Uint8Array} Digest bytes.
+ */
+export const transferDigest = function (K12, transfer) {
+  const message = transfer.slice(SOURCE_OFFSET, SIGNATURE_OFFSET);
+  message[0] ^= 1;
+  const digest = new Uint8Array(HASH_LENGTH);
+  K12(message, digest, HASH_LENGTH);
+  return digest;
+};
+
+/**
+ * @typedef {object} UnsignedTransfer
+ * @property {Uint8Array} bytes - Transfer bytes without signature.
+ * @property {Uint8Array} digestBytes - Digest which is signed by source.
+ * @property {string} digest - Digest in uppercase hex, to be confirmed on the signing machine.
+ * @property {string} source - Source identity in uppercase hex.
+ * @property {string} destination - Destination identity in uppercase hex.
+ * @property {bigint} timestamp - Transfer timestamp.
+ * @property {bigint} energy - Transferred energy.
+ */
+
+const unsignedTransferObjectSync = function (bytes) {
+  const { K12 } = cryptoSync();
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const digestBytes = transferDigest(K12, bytes);
+
+  const unsignedTransferObj = {
+    bytes,
+    digestBytes,
+    digest: bytesToShiftedHex(digestBytes).toUpperCase(),
+    source: bytesToShiftedHex(
+      addChecksumSync(bytes.subarray(SOURCE_OFFSET, SOURCE_OFFSET + SOURCE_LENGTH))
+    ).toUpperCase(),
+    destination: bytesToShiftedHex(
+      addChecksumSync(bytes.subarray(DESTINATION_OFFSET, DESTINATION_OFFSET + DESTINATION_LENGTH))
+    ).toUpperCase(),
+    timestamp: view.getBigUint64(TIMESTAMP_OFFSET, true),
+    energy: view.getBigUint64(ENERGY_OFFSET, true),
+  };
+
+  Object.freeze(unsignedTransferObj);
+
+  return unsignedTransferObj;
+};
+
+const unsignedTransferObject = async function (bytes) {
+  await crypto;
+  return unsignedTransferObjectSync(bytes);
+};
+
+const buildUnsignedTransferSync = function ({
+  source,
+  destination,
+  energy,
+  timestamp: ts = timestamp(),
+}) {
+  if (verifyChecksumSync(source) === false) {
+    throw new ChecksumError(`Invalid checksum: ${source}`);
+  }
+  if (verifyChecksumSync(destination) === false) {
+    throw new ChecksumError(`Invalid checksum: ${destination}`);
+  }
+  if (BigInt(energy) < MIN_ENERGY_AMOUNT) {
+    throw new IllegalArgumentError('Illegal energy.');
+  }
+  if (typeof ts !== 'bigint' || ts < 0n || ts > 0xffffffffffffffffn) {
+    throw new IllegalArgumentError('Illegal timestamp.');
+  }
+
+  const bytes = new Uint8Array(SIGNATURE_OFFSET);
+  const view = new DataView(bytes.buffer);
+
+  bytes.set(
+    shiftedHexToBytes(source.slice(0, PUBLIC_KEY_LENGTH_IN_HEX).toLowerCase()),
+    SOURCE_OFFSET
+  );
+  bytes.set(
+    shiftedHexToBytes(destination.slice(0, PUBLIC_KEY_LENGTH_IN_HEX).toLowerCase()),
+    DESTINATION_OFFSET
+  );
+  view.setBigUint64(TIMESTAMP_OFFSET, ts, true);
+  view.setBigUint64(ENERGY_OFFSET, BigInt(energy), true);
+
+  return unsignedTransferObjectSync(bytes);
+};
+
+/**
+ * Builds a transfer without signing it, so that it can be signed on another machine with
+ * `signTransfer`. Needs no seed.
+ *
+ * @function buildUnsignedTransfer
+ * @memberof module:qubic
+ * @param {object} params
+ * @param {string} params.source - Source identity in uppercase hex.
+ * @param {string} params.destination - Destination identity in uppercase hex.
+ * @param {bigint} params.energy - Transferred energy to recipient identity.
+ * @param {bigint} [params.timestamp] - Transfer timestamp. Defaults to current time.
+ * @returns {Promise<UnsignedTransfer>}
+ * @example import qubic from 'qubic-js';
+ *
+ * qubic
+ *   .buildUnsignedTransfer({
+ *     source: 'DCMJGMELMPBOJCCOFAICMJCBKENNOPEJCLIPBKKKDKLDOMKFBPOFHFLGAHLNAFMKMHHOAE',
+ *     destination: 'BPFJANADOGBDLNNONDILEMAICAKMEEGBFPJBKPBCEDFJIALDONODMAIMDBFKCFEEMEOLFK',
+ *     energy: 1000000n,
+ *   })
+ *   .then(qubic.serializeTransfer)
+ *   .then(function (serializedTransfer) {
+ *     console.log(JSON.stringify(serializedTransfer));
+ *   });
+ *
+ */
+export const buildUnsignedTransfer = async function (params) {
+  await crypto;
+  return buildUnsignedTransferSync(params);
+};
+
+/**
+ * Signs a transfer which was built with `buildUnsignedTransfer`, for example on an offline
+ * machine.
+ *
+ * @function signTransfer
+ * @memberof module:qubic
+ * @param {UnsignedTransfer} unsignedTransfer - Unsigned transfer.
+ * @param {string|Signer} seed - Seed in 55 lowercase latin chars, or a signer.
+ * @param {number} [index=0] - Index of private key which derives source identity. Ignored when a
+ * signer is used.
+ * @returns {Promise<object>} Signed transfer, ready to be broadcasted.
+ */
+export const signTransfer = async function (unsignedTransfer, seed, index = 0) {
+  if (
+    unsignedTransfer === null ||
+    typeof unsignedTransfer !== 'object' ||
+    !(unsignedTransfer.bytes instanceof Uint8Array) ||
+    unsignedTransfer.bytes.length !== SIGNATURE_OFFSET
+  ) {
+    throw new IllegalArgumentError('Illegal unsigned transfer.');
+  }
+  if (!Number.isInteger(index) || index < 0) {
+    throw new IllegalArgumentError('Illegal index.');
+  }
+
+  const signer = typeof seed === 'string' ? seedSigner({ seed, index }) : seed;
+  const publicKey = await signer.getPublicKey();
+  for (let i = 0; i < SOURCE_LENGTH; i++) {
+    if (publicKey[i] !== unsignedTransfer.bytes[SOURCE_OFFSET + i]) {
+      throw new IllegalArgumentError('Source does not match signer.');
+    }
+  }
+
+  const { K12 } = await crypto;
+  const bytes = new Uint8Array(TRANSFER_LENGTH);
+  bytes.set(unsignedTransfer.bytes);
+  bytes.set(await signer.signDigest(transferDigest(K12, bytes)), SIGNATURE_OFFSET);
+
+  return transferObject(bytes);
+};
+
 /**
  * @typedef {object} TransferParams
- * @property {string} seed - Seed in 55 lowercase latin chars.
- * @property {number} index - Index of private key which was used to derive sender identity.
- * @property {string} sourceIdentity - Source identity in uppercase hex.
- * @property {string} destinationIdentity - Destination identity in uppercase hex.
+ * @property {string} [seed] - Seed in 55 lowercase latin chars. Required unless a signer is used.
+ * @property {number} [index] - Index of private key which was used to derive sender identity.
+ * @property {Signer} [signer] - Signer of source, so that the private key never enters the
+ * caller. Overrides seed and index.
+ * @property {string} [source] - Source identity in uppercase hex. Defaults to identity of
+ * signer.
+ * @property {string} destination - Destination identity in uppercase hex.
  * @property {bigint} energy - Transferred energy to recipient identity.
  */
 
@@ -42,6 +216,8 @@ export const MIN_ENERGY_AMOUNT = 1000000n;
  * or an effect, or both. Transaction is atomic, meaaning that both transfer and
  * effect will be proccessed or none.
  *
+ * Equivalent to `buildUnsignedTransfer` followed by `signTransfer`.
+ *
  * @function transfer
  * @memberof module:qubic
  * @param {TransferParams} params
@@ -49,91 +225,96 @@ export const MIN_ENERGY_AMOUNT = 1000000n;
  * @example import qubic from 'qubic-js';
  *
  * qubic
- *   .transaction({
+ *   .transfer({
  *     seed: 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu',
  *     index: 1337,
- *     sourceIdentity: 'DCMJGMELMPBOJCCOFAICMJCBKENNOPEJCLIPBKKKDKLDOMKFBPOFHFLGAHLNAFMKMHHOAE',
- *     destinationIdentity: 'BPFJANADOGBDLNNONDILEMAICAKMEEGBFPJBKPBCEDFJIALDONODMAIMDBFKCFEEMEOLFK',
- *     identityNonce: 0,
- *     energy: qubic.energy(1),
+ *     source: 'DCMJGMELMPBOJCCOFAICMJCBKENNOPEJCLIPBKKKDKLDOMKFBPOFHFLGAHLNAFMKMHHOAE',
+ *     destination: 'BPFJANADOGBDLNNONDILEMAICAKMEEGBFPJBKPBCEDFJIALDONODMAIMDBFKCFEEMEOLFK',
+ *     energy: 1000000n,
  *   })
- *   .then(function (transaction) {
- *     console.log(transaction);
+ *   .then(function (transfer) {
+ *     console.log(transfer.hash);
  *   })
  *   .catch(function (error) {
  *     console.log(error.message);
  *   });
  *
  */
-export const transfer = async function ({ seed, index, source, destination, energy }) {
-  if ((await verifyChecksum(source)) === false) {
-    throw new Error(`Invalid checksum: ${source}`);
+export const transfer = async function ({ seed, index, signer, source, destination, energy }) {
+  if (source !== undefined && (await verifyChecksum(source)) === false) {
+    throw new ChecksumError(`Invalid checksum: ${source}`);
   }
 
   if (index !== undefined) {
     if (!Number.isInteger(index) || index < 0) {
-      throw new Error('Illegal index.');
+      throw new IllegalArgumentError('Illegal index.');
     }
   }
 
-  if ((await verifyChecksum(destination)) === false) {
-    throw new Error(`Invalid checksum: ${destination}`);
-  }
-  if (BigInt(energy) < MIN_ENERGY_AMOUNT) {
-    throw new Error('Illegal energy.');
+  signer = signer || seedSigner({ seed, index: index || 0 });
+  const signerIdentity = bytesToShiftedHex(
+    await addChecksum(await signer.getPublicKey())
+  ).toUpperCase();
+  if (source === undefined) {
+    source = signerIdentity;
+  } else if (source !== signerIdentity) {
+    throw new IllegalArgumentError('Source does not match signer.');
   }
 
-  const transferAndSignature = new Uint8Array(
-    SOURCE_LENGTH + DESTINATION_LENGTH + TIMESTAMP_LENGTH + ENERGY_LENGTH + SIGNATURE_LENGTH
-  );
-  const transferAndSignatureView = new DataView(transferAndSignature.buffer);
-
-  const publicKey = shiftedHexToBytes(source.slice(0, PUBLIC_KEY_LENGTH_IN_HEX).toLowerCase());
-  transferAndSignature.set(publicKey, SOURCE_OFFSET);
-
-  transferAndSignature.set(
-    shiftedHexToBytes(destination.slice(0, PUBLIC_KEY_LENGTH_IN_HEX).toLowerCase()),
-    DESTINATION_OFFSET
-  );
-
-  const ts = timestamp();
-  transferAndSignatureView.setBigUint64(TIMESTAMP_OFFSET, ts, true);
-
-  transferAndSignatureView.setBigUint64(ENERGY_OFFSET, BigInt(energy), true);
-
-  const { schnorrq, K12 } = await crypto;
-  const digest = new Uint8Array(HASH_LENGTH);
-  transferAndSignature[0] ^= 1;
-  K12(transferAndSignature.subarray(SOURCE_OFFSET, SIGNATURE_OFFSET), digest, HASH_LENGTH);
-  transferAndSignature[0] ^= 1;
-  const signature = schnorrq.sign(privateKey(seed, index || 0, K12), publicKey, digest);
-  transferAndSignature.set(signature, SIGNATURE_OFFSET);
-
-  const hashBytes = new Uint8Array(HASH_LENGTH);
-  K12(transferAndSignature, hashBytes, HASH_LENGTH);
+  return signTransfer(await buildUnsignedTransfer({ source, destination, energy }), signer);
+};
 
-  const transferObj = {
-    bytes: transferAndSignature,
-    hashBytes,
-    hash: bytesToShiftedHex(hashBytes).toUpperCase(),
-    source,
-    destination,
-    timestamp: ts,
-    energy: BigInt(energy),
-    signature: Buffer.from(signature).toString('base64'),
-  };
+/**
+ * Synchronous `transfer`, usable once `init` has resolved. Signs with a seed, since signers are
+ * asynchronous.
+ *
+ * @function transferSync
+ * @memberof module:qubic
+ * @param {object} params
+ * @param {string} params.seed - Seed in 55 lowercase latin chars.
+ * @param {number} [params.index=0] - Index of private key which derives source identity.
+ * @param {string} [params.source] - Source identity in uppercase hex. Defaults to identity of
+ * seed and index.
+ * @param {string} params.destination - Destination identity in uppercase hex.
+ * @param {bigint} params.energy - Transferred energy to recipient identity.
+ * @returns {object} Signed transfer.
+ */
+export const transferSync = function ({ seed, index = 0, source, destination, energy }) {
+  const seedIdentity = identitySync(seed, index);
+  if (source === undefined) {
+    source = seedIdentity;
+  } else if (verifyChecksumSync(source) === false) {
+    throw new ChecksumError(`Invalid checksum: ${source}`);
+  } else if (source !== seedIdentity) {
+    throw new IllegalArgumentError('Source does not match signer.');
+  }
 
-  Object.freeze(transferObj);
+  const { schnorrq, K12 } = cryptoSync();
+  const bytes = new Uint8Array(TRANSFER_LENGTH);
+  bytes.set(buildUnsignedTransferSync({ source, destination, energy }).bytes);
+  const secretKey = privateKey(seed, index, K12);
+  try {
+    bytes.set(
+      schnorrq.sign(
+        secretKey,
+        bytes.subarray(SOURCE_OFFSET, SOURCE_OFFSET + SOURCE_LENGTH),
+        transferDigest(K12, bytes)
+      ),
+      SIGNATURE_OFFSET
+    );
+  } finally {
+    secretKey.fill(0);
+  }
 
-  return transferObj;
+  return transferObjectSync(bytes);
 };
 
-export const transferObject = async function (transfer, hashBytes) {
+export const transferObjectSync = function (transfer, hashBytes) {
   const transferView = new DataView(transfer.buffer);
 
   if (hashBytes === undefined) {
     hashBytes = new Uint8Array(HASH_LENGTH);
-    (await crypto).K12(transfer.slice(), hashBytes, HASH_LENGTH);
+    cryptoSync().K12(transfer.slice(), hashBytes, HASH_LENGTH);
   }
 
   const transferObj = {
@@ -141,10 +322,10 @@ export const transferObject = async function (transfer, hashBytes) {
     hashBytes,
     hash: bytesToShiftedHex(hashBytes).toUpperCase(),
     source: bytesToShiftedHex(
-      await addChecksum(transfer.subarray(SOURCE_OFFSET, SOURCE_OFFSET + SOURCE_LENGTH))
+      addChecksumSync(transfer.subarray(SOURCE_OFFSET, SOURCE_OFFSET + SOURCE_LENGTH))
     ).toUpperCase(),
     destination: bytesToShiftedHex(
-      await addChecksum(
+      addChecksumSync(
         transfer.subarray(DESTINATION_OFFSET, DESTINATION_OFFSET + DESTINATION_LENGTH)
       )
     ).toUpperCase(),
@@ -159,3 +340,146 @@ export const transferObject = async function (transfer, hashBytes) {
 
   return transferObj;
 };
+
+export const transferObject = async function (transfer, hashBytes) {
+  await crypto;
+  return transferObjectSync(transfer, hashBytes);
+};
+
+/**
+ * @typedef {object} TransferVerification
+ * @property {boolean} valid - True if transfer is well-formed and signed by its source.
+ * @property {string} [reason] - Reason of failure, when transfer is not valid.
+ * @property {object} [transfer] - Decoded transfer, unless bytes could not be decoded.
+ */
+
+/**
+ * Verifies signature of a transfer offline, against the public key of its source.
+ *
+ * @function verifyTransfer
+ * @memberof module:qubic
+ * @param {Uint8Array|string} transfer - Transfer bytes, or transfer bytes in base64.
+ * @returns {Promise<TransferVerification>} Rejects with `IllegalArgumentError` if transfer is
+ * neither bytes nor a string.
+ * @example import qubic from 'qubic-js';
+ *
+ * qubic.verifyTransfer(transferBase64).then(function ({ valid, reason, transfer }) {
+ *   console.log(valid, reason, transfer);
+ * });
+ *
+ */
+export const verifyTransfer = async function (transfer) {
+  if (typeof transfer !== 'string' && !(transfer instanceof Uint8Array)) {
+    throw new IllegalArgumentError('Illegal transfer.');
+  }
+  const bytes =
+    typeof transfer === 'string'
+      ? Uint8Array.from(Buffer.from(transfer, 'base64'))
+      : Uint8Array.from(transfer);
+
+  if (bytes.length !== TRANSFER_LENGTH) {
+    return { valid: false, reason: 'Invalid transfer length.' };
+  }
+
+  const transferObj = await transferObject(bytes);
+
+  if (transferObj.energy < MIN_ENERGY_AMOUNT) {
+    return { valid: false, reason: 'Illegal energy.', transfer: transferObj };
+  }
+
+  const { schnorrq, K12 } = await crypto;
+  if (
+    schnorrq.verify(
+      bytes.subarray(SOURCE_OFFSET, SOURCE_OFFSET + SOURCE_LENGTH),
+      transferDigest(K12, bytes),
+      bytes.subarray(SIGNATURE_OFFSET, SIGNATURE_OFFSET + SIGNATURE_LENGTH)
+    ) !== 1
+  ) {
+    return { valid: false, reason: 'Invalid signature.', transfer: transferObj };
+  }
+
+  return { valid: true, transfer: transferObj };
+};
+
+/**
+ * @typedef {object} SerializedTransfer
+ * @property {string} type - `unsigned` or `signed`.
+ * @property {string} bytes - Transfer bytes in base64. Other properties are informational, and
+ * are checked against bytes on deserialization.
+ * @property {string} digest - Signed digest in uppercase hex.
+ * @property {string} [hash] - Hash of signed transfer in uppercase hex.
+ * @property {string} source - Source identity in uppercase hex.
+ * @property {string} destination - Destination identity in uppercase hex.
+ * @property {string} energy - Transferred energy in decimal.
+ * @property {string} timestamp - Transfer timestamp in decimal.
+ */
+
+/**
+ * Serializes an unsigned or signed transfer to a JSON compatible object, for moving it between
+ * an online and an offline machine.
+ *
+ * @function serializeTransfer
+ * @memberof module:qubic
+ * @param {UnsignedTransfer|object} transfer - Unsigned or signed transfer.
+ * @returns {Promise<SerializedTransfer>}
+ */
+export const serializeTransfer = async function (transfer) {
+  const signed = transfer.bytes.length === TRANSFER_LENGTH;
+  const { digest } = await unsignedTransferObject(transfer.bytes.slice(0, SIGNATURE_OFFSET));
+
+  return {
+    type: signed ? 'signed' : 'unsigned',
+    bytes: Buffer.from(transfer.bytes).toString('base64'),
+    digest,
+    ...(signed ? { hash: transfer.hash } : {}),
+    source: transfer.source,
+    destination: transfer.destination,
+    energy: transfer.energy.toString(),
+    timestamp: transfer.timestamp.toString(),
+  };
+};
+
+/**
+ * Deserializes a transfer which was serialized with `serializeTransfer`. Rejects if the
+ * informational properties do not match the bytes, or if a signed transfer has an invalid
+ * signature.
+ *
+ * @function deserializeTransfer
+ * @memberof module:qubic
+ * @param {SerializedTransfer|string} serializedTransfer - Serialized transfer, or its JSON.
+ * @returns {Promise<UnsignedTransfer|object>} Unsigned or signed transfer.
+ */
+export const deserializeTransfer = async function (serializedTransfer) {
+  const data =
+    typeof serializedTransfer === 'string' ? JSON.parse(serializedTransfer) : serializedTransfer;
+  if (data === null || typeof data !== 'object' || typeof data.bytes !== 'string') {
+    throw new IllegalArgumentError('Illegal serialized transfer.');
+  }
+
+  const bytes = Uint8Array.from(Buffer.from(data.bytes, 'base64'));
+  let transfer;
+  if (data.type === 'unsigned' && bytes.length === SIGNATURE_OFFSET) {
+    transfer = await unsignedTransferObject(bytes);
+  } else if (data.type === 'signed' && bytes.length === TRANSFER_LENGTH) {
+    const { valid, reason } = await verifyTransfer(bytes);
+    if (!valid) {
+      throw reason === 'Invalid signature.'
+        ? new SignatureVerificationError(reason)
+        : new IllegalArgumentError(reason);
+    }
+    transfer = await transferObject(bytes);
+  } else {
+    throw new IllegalArgumentError('Illegal serialized transfer.');
+  }
+
+  const serialized = await serializeTransfer(transfer);
+  if (
+    ['digest', 'hash', 'source', 'destination', 'energy', 'timestamp'].some(function (key) {
+      return data[key] !== serialized[key];
+    })
+  ) {
+    throw new IllegalArgumentError('Serialized transfer does not match its bytes.');
+  }
+
+  return transfer;
+};
@@ -0,0 +1,5 @@
+'use strict';
+
+export { webSocketTransport, DEFAULT_PORT, READY_STATES } from './websocket.js';
+export { tcpTransport } from './tcp.js';
+export { loopbackTransport } from './loopback.js';
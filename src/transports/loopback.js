@@ -0,0 +1,78 @@
+'use strict';
+
+import { READY_STATES } from './websocket.js';
+
+const endpoint = function () {
+  const that = {
+    readyState: READY_STATES.CONNECTING,
+    send(data) {
+      if (that.readyState !== READY_STATES.OPEN) {
+        return;
+      }
+      const bytes = Uint8Array.from(data instanceof ArrayBuffer ? new Uint8Array(data) : data);
+      setTimeout(function () {
+        if (
+          that.peer.readyState === READY_STATES.OPEN &&
+          typeof that.peer.onmessage === 'function'
+        ) {
+          that.peer.onmessage({ type: 'message', target: that.peer, data: bytes.buffer });
+        }
+      });
+    },
+    close() {
+      [that, that.peer].forEach(function (side) {
+        if (side.readyState < READY_STATES.CLOSING) {
+          side.readyState = READY_STATES.CLOSING;
+          setTimeout(function () {
+            side.readyState = READY_STATES.CLOSED;
+            if (typeof side.onclose === 'function') {
+              side.onclose({ type: 'close', target: side });
+            }
+          });
+        }
+      });
+    },
+  };
+  return that;
+};
+
+/**
+ * Creates an in-memory transport, which connects to a listener instead of a socket.
+ * Useful for tests.
+ *
+ * @function loopbackTransport
+ * @memberof module:qubic
+ * @param {Function} listener - Called with server side of each new transport and the
+ * transport params. Server side has the same interface as a transport.
+ * @returns {Function} Transport factory.
+ * @example import qubic from 'qubic-js';
+ *
+ * const transport = qubic.loopbackTransport(function (socket) {
+ *   socket.onmessage = function ({ data }) {
+ *     socket.send(data); // echo
+ *   };
+ * });
+ *
+ */
+export const loopbackTransport = function (listener) {
+  return function (params) {
+    const client = endpoint();
+    const server = endpoint();
+    client.peer = server;
+    server.peer = client;
+
+    setTimeout(function () {
+      listener(server, params);
+      if (server.readyState === READY_STATES.CONNECTING) {
+        server.readyState = client.readyState = READY_STATES.OPEN;
+        [server, client].forEach(function (side) {
+          if (typeof side.onopen === 'function') {
+            side.onopen({ type: 'open', target: side });
+          }
+        });
+      }
+    });
+
+    return client;
+  };
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+import net from 'net';
+import { DEFAULT_PORT, READY_STATES } from './websocket.js';
+import { frameDecoder } from '../protocol.js';
+
+/* globals Transport, TransportParams */
+
+/**
+ * Opens a raw TCP transport, speaking the same size-prefixed frames as WebSocket peers.
+ * Each complete frame is delivered as a separate message. Node.js only.
+ *
+ * @function tcpTransport
+ * @memberof module:qubic
+ * @param {TransportParams} params
+ * @param {number} [params.maxFrameSize] - Frames declaring a larger size close the transport.
+ * @returns {Transport}
+ */
+export const tcpTransport = function ({ host, port = DEFAULT_PORT, maxFrameSize }) {
+  const socket = net.connect({ host, port });
+  const frames = frameDecoder({ maxFrameSize });
+
+  const transport = {
+    readyState: READY_STATES.CONNECTING,
+    send(data) {
+      socket.write(data instanceof ArrayBuffer ? new Uint8Array(data) : data);
+    },
+    close() {
+      if (transport.readyState < READY_STATES.CLOSING) {
+        transport.readyState = READY_STATES.CLOSING;
+        socket.destroy();
+      }
+    },
+  };
+
+  socket.on('connect', function () {
+    transport.readyState = READY_STATES.OPEN;
+    if (typeof transport.onopen === 'function') {
+      transport.onopen({ type: 'open', target: transport });
+    }
+  });
+
+  socket.on('data', function (chunk) {
+    let messages;
+    let protocolError;
+    try {
+      messages = frames.push(chunk);
+    } catch (error) {
+      messages = error.frames || [];
+      protocolError = error;
+    }
+    messages.forEach(function (frame) {
+      if (typeof transport.onmessage === 'function') {
+        transport.onmessage({ type: 'message', target: transport, data: frame.buffer });
+      }
+    });
+    if (protocolError !== undefined) {
+      socket.destroy(protocolError);
+    }
+  });
+
+  socket.on('error', function (error) {
+    if (typeof transport.onerror === 'function') {
+      transport.onerror(error);
+    }
+  });
+
+  socket.on('close', function () {
+    transport.readyState = READY_STATES.CLOSED;
+    if (typeof transport.onclose === 'function') {
+      transport.onclose({ type: 'close', target: transport });
+    }
+  });
+
+  return transport;
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+import WebSocket from 'isomorphic-ws';
+
+export const DEFAULT_PORT = 21841;
+
+export const READY_STATES = {
+  CONNECTING: 0,
+  OPEN: 1,
+  CLOSING: 2,
+  CLOSED: 3,
+};
+
+/**
+ * @typedef {object} Transport
+ * @property {number} readyState - 0 when connecting, 1 when open, 2 when closing, 3 when closed.
+ * @property {Function} send - Sends an `ArrayBuffer` or `Uint8Array`.
+ * @property {Function} close - Closes transport.
+ * @property {Function} [onopen] - Called when transport opens.
+ * @property {Function} [onmessage] - Called with `{ data }` event, where data is an `ArrayBuffer`.
+ * @property {Function} [onclose] - Called when transport closes.
+ * @property {Function} [onerror] - Called when transport errors.
+ */
+
+/**
+ * @typedef {object} TransportParams
+ * @property {string} [host] - Peer host or IP.
+ * @property {number} [port=21841] - Peer port.
+ * @property {string} [scheme='ws'] - URL scheme, `ws` or `wss`. Ignored by raw transports.
+ * @property {string} [url] - Full peer URL, overrides host, port and scheme.
+ */
+
+/**
+ * Opens a WebSocket transport. Works in browsers and Node.js.
+ *
+ * @function webSocketTransport
+ * @memberof module:qubic
+ * @param {TransportParams} params
+ * @returns {Transport}
+ */
+export const webSocketTransport = function ({ host, port = DEFAULT_PORT, scheme = 'ws', url }) {
+  const socket = new WebSocket(url || `${scheme}://${host}:${port}`);
+  socket.binaryType = 'arraybuffer';
+  return socket;
+};
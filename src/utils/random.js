@@ -0,0 +1,25 @@
+'use strict';
+
+import { webcrypto } from 'crypto';
+import { CryptoError } from '../errors.js';
+
+const getRandomValues = function (bytes) {
+  if (typeof globalThis.crypto === 'object' && globalThis.crypto.getRandomValues) {
+    return globalThis.crypto.getRandomValues(bytes);
+  }
+  if (webcrypto !== undefined) {
+    return webcrypto.getRandomValues(bytes);
+  }
+  throw new CryptoError('Secure random number generator is not available.');
+};
+
+// getRandomValues fills at most 65536 bytes per call.
+const MAX_RANDOM_VALUES_LENGTH = 65536;
+
+export const randomBytes = function (length) {
+  const bytes = new Uint8Array(length);
+  for (let offset = 0; offset < length; offset += MAX_RANDOM_VALUES_LENGTH) {
+    getRandomValues(bytes.subarray(offset, offset + MAX_RANDOM_VALUES_LENGTH));
+  }
+  return bytes;
+};
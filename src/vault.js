@@ -0,0 +1,485 @@
+'use strict';
+
+import EventEmitter from 'eventemitter2';
+import aesjs from 'aes-js';
+import { crypto } from './crypto/index.js';
+import { scrypt } from './crypto/scrypt.js';
+import { randomBytes } from './utils/random.js';
+import { SEED_IN_LOWERCASE_LATIN_LENGTH } from './identity.js';
+import {
+  AlreadyExistsError,
+  DatabaseIntegrityError,
+  IllegalArgumentError,
+  InvalidSeedError,
+  NotFoundError,
+  VaultLockedError,
+  WrongPassphraseError,
+} from './errors.js';
+
+const VAULT_VERSION = 1;
+const SALT_LENGTH = 32;
+const IV_LENGTH = 16;
+const ENCRYPTION_KEY_LENGTH = 32;
+const MAC_KEY_LENGTH = 32;
+const MAC_LENGTH = 32;
+const DEFAULT_KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+// scrypt runs on the main thread, so parameters of imported vaults are capped at 4 times the
+// default memory (128 * N * r bytes) and 16 times the default work (N * r * p).
+const MAX_KDF_MEMORY = 2 ** 27;
+const MAX_KDF_COST = 2 ** 22;
+const DEFAULT_AUTO_LOCK_TIMEOUT = 5 * 60 * 1000;
+
+const toBase64 = function (bytes) {
+  return Buffer.from(bytes).toString('base64');
+};
+
+const fromBase64 = function (string) {
+  return Uint8Array.from(Buffer.from(string, 'base64'));
+};
+
+const mac = async function (key, ...messages) {
+  const { K12 } = await crypto;
+  const message = new Uint8Array(
+    messages.reduce(function (length, bytes) {
+      return length + bytes.length;
+    }, key.length)
+  );
+  message.set(key);
+  messages.reduce(function (offset, bytes) {
+    message.set(bytes, offset);
+    return offset + bytes.length;
+  }, key.length);
+  const digest = new Uint8Array(MAC_LENGTH);
+  K12(message, digest, MAC_LENGTH);
+  message.fill(0);
+  return digest;
+};
+
+const validateKdfParams = function ({ N, r, p }) {
+  if (
+    !Number.isInteger(N) ||
+    N < 2 ||
+    (N & (N - 1)) !== 0 ||
+    !Number.isInteger(r) ||
+    r < 1 ||
+    !Number.isInteger(p) ||
+    p < 1 ||
+    128 * N * r > MAX_KDF_MEMORY ||
+    N * r * p > MAX_KDF_COST
+  ) {
+    throw new IllegalArgumentError('Illegal kdf parameters.');
+  }
+};
+
+const equal = function (a, b) {
+  let difference = a.length ^ b.length;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    difference |= a[i] ^ b[i];
+  }
+  return difference === 0;
+};
+
+/**
+ * @typedef {object} VaultData
+ * @property {number} version - Format version.
+ * @property {object} kdf - Parameters of scrypt, with salt in base64.
+ * @property {string} check - MAC of salt in base64, which verifies the passphrase.
+ * @property {object<string, object>} seeds - Encrypted seeds by label. Each has `iv`,
+ * `ciphertext` and `mac` in base64.
+ */
+
+/**
+ * Stores seeds encrypted under a key derived from a passphrase with scrypt. Seeds are encrypted
+ * with AES-256-CTR and authenticated, along with their labels, with a K12 MAC. While unlocked,
+ * the vault holds the derived key, and seeds are decrypted only when `withSeed` is called.
+ *
+ * @function vault
+ * @memberof module:qubic
+ * @param {object} [options]
+ * @param {VaultData} [options.data] - Exported vault. A new vault is created if omitted, and
+ * its passphrase is set by the first `unlock`.
+ * @param {number} [options.autoLockTimeout=300000] - Locks vault after this many milliseconds
+ * without use. Set to `Infinity` to disable.
+ * @param {object} [options.kdfParams] - scrypt parameters `N`, `r` and `p` of a new vault.
+ * Memory `128 * N * r` is limited to 128 MiB, and work `N * r * p` to 2^22. Imported vaults with
+ * greater parameters are rejected.
+ * @fires Vault#lock
+ * @fires Vault#unlock
+ * @fires Vault#change
+ * @returns {Vault}
+ * @example import qubic from 'qubic-js';
+ *
+ * const vault = qubic.vault({ autoLockTimeout: 60 * 1000 });
+ * vault.addListener('change', function (data) {
+ *   localStorage.setItem('vault', JSON.stringify(data));
+ * });
+ *
+ * vault.unlock('correct horse battery staple').then(function () {
+ *   return vault.addSeed('main', 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu');
+ * });
+ *
+ */
+export const vault = function ({
+  data,
+  autoLockTimeout = DEFAULT_AUTO_LOCK_TIMEOUT,
+  kdfParams = DEFAULT_KDF_PARAMS,
+} = {}) {
+  if (data !== undefined && data.version !== VAULT_VERSION) {
+    throw new IllegalArgumentError('Unsupported vault version.');
+  }
+  if (data !== undefined && data.kdf !== undefined) {
+    if (data.kdf === null || typeof data.kdf !== 'object' || typeof data.kdf.salt !== 'string') {
+      throw new IllegalArgumentError('Illegal kdf parameters.');
+    }
+    validateKdfParams(data.kdf);
+  }
+  validateKdfParams(kdfParams);
+
+  const vaultMixin = function () {
+    const that = this;
+
+    const seeds = new Map(Object.entries((data && data.seeds) || {}));
+    let kdf = data && data.kdf;
+    let check = data && data.check;
+    let key;
+    let autoLockTimeoutReference;
+    let unlockWaiters = [];
+
+    const exportData = function () {
+      return {
+        version: VAULT_VERSION,
+        kdf,
+        check,
+        seeds: Object.fromEntries(seeds),
+      };
+    };
+
+    const lock = function () {
+      clearTimeout(autoLockTimeoutReference);
+      if (key !== undefined) {
+        key.fill(0);
+        key = undefined;
+        /**
+         * Lock event. Emitted when vault locks, either explicitly or after auto-lock timeout.
+         *
+         * @event Vault#lock
+         */
+        that.emit('lock');
+      }
+    };
+
+    const touch = function () {
+      clearTimeout(autoLockTimeoutReference);
+      if (Number.isFinite(autoLockTimeout)) {
+        autoLockTimeoutReference = setTimeout(lock, autoLockTimeout);
+      }
+    };
+
+    const unlocked = function () {
+      if (key !== undefined) {
+        return Promise.resolve();
+      }
+      return new Promise(function (resolve) {
+        unlockWaiters.push(resolve);
+      });
+    };
+
+    const change = function () {
+      /**
+       * Change event. Emitted when seeds or passphrase change, with the data to persist.
+       *
+       * @event Vault#change
+       * @type {VaultData}
+       */
+      that.emit('change', exportData());
+    };
+
+    const encryptionKey = function (key) {
+      return key.subarray(0, ENCRYPTION_KEY_LENGTH);
+    };
+
+    const macKey = function (key) {
+      return key.subarray(ENCRYPTION_KEY_LENGTH);
+    };
+
+    const deriveKey = function (passphrase, { N, r, p, salt }) {
+      if (typeof passphrase !== 'string' || passphrase.length === 0) {
+        throw new IllegalArgumentError('Illegal passphrase.');
+      }
+      return scrypt(new TextEncoder().encode(passphrase), fromBase64(salt), {
+        N,
+        r,
+        p,
+        length: ENCRYPTION_KEY_LENGTH + MAC_KEY_LENGTH,
+      });
+    };
+
+    // MAC of an entry covers format version and label, so that entries cannot be swapped
+    // between labels.
+    const entryMac = function (key, label, iv, ciphertext) {
+      const labelBytes = new TextEncoder().encode(label);
+      const header = new Uint8Array(5);
+      header[0] = VAULT_VERSION;
+      new DataView(header.buffer).setUint32(1, labelBytes.length, true);
+      return mac(macKey(key), header, labelBytes, iv, ciphertext);
+    };
+
+    const encrypt = async function (key, label, seed) {
+      const iv = randomBytes(IV_LENGTH);
+      const aes = new aesjs.ModeOfOperation.ctr(encryptionKey(key), new aesjs.Counter(iv));
+      const plaintext = new TextEncoder().encode(seed);
+      const ciphertext = aes.encrypt(plaintext);
+      plaintext.fill(0);
+      return {
+        iv: toBase64(iv),
+        ciphertext: toBase64(ciphertext),
+        mac: toBase64(await entryMac(key, label, iv, ciphertext)),
+      };
+    };
+
+    const decrypt = async function (key, label, entry) {
+      const iv = fromBase64(entry.iv);
+      const ciphertext = fromBase64(entry.ciphertext);
+      if (!equal(await entryMac(key, label, iv, ciphertext), fromBase64(entry.mac))) {
+        throw new DatabaseIntegrityError('Corrupted vault entry.');
+      }
+      const aes = new aesjs.ModeOfOperation.ctr(encryptionKey(key), new aesjs.Counter(iv));
+      return aes.decrypt(ciphertext);
+    };
+
+    const assertUnlocked = function () {
+      if (key === undefined) {
+        throw new VaultLockedError('Vault is locked.');
+      }
+    };
+
+    // Operations run on a copy of the key, so that auto-lock, which wipes the key, does not
+    // interrupt them once they started.
+    const withKey = async function (fn) {
+      assertUnlocked();
+      const keyCopy = key.slice();
+      try {
+        return await fn(keyCopy);
+      } finally {
+        keyCopy.fill(0);
+      }
+    };
+
+    /**
+     * @mixin Vault
+     */
+    return Object.assign(this, {
+      /**
+       * Derives vault key from passphrase. Sets passphrase of a new vault.
+       *
+       * @function unlock
+       * @memberof Vault
+       * @param {string} passphrase
+       * @returns {Promise} Rejects if passphrase is wrong.
+       */
+      async unlock(passphrase) {
+        const isNew = kdf === undefined;
+        const params = isNew
+          ? { name: 'scrypt', ...kdfParams, salt: toBase64(randomBytes(SALT_LENGTH)) }
+          : kdf;
+        const derivedKey = deriveKey(passphrase, params);
+        const derivedCheck = await mac(
+          derivedKey.subarray(ENCRYPTION_KEY_LENGTH),
+          fromBase64(params.salt)
+        );
+
+        if (isNew) {
+          kdf = params;
+          check = toBase64(derivedCheck);
+        } else if (!equal(derivedCheck, fromBase64(check))) {
+          derivedKey.fill(0);
+          throw new WrongPassphraseError('Wrong passphrase.');
+        }
+
+        if (key !== undefined) {
+          key.fill(0);
+        }
+        key = derivedKey;
+        touch();
+        if (isNew) {
+          change();
+        }
+        /**
+         * Unlock event.
+         *
+         * @event Vault#unlock
+         */
+        that.emit('unlock');
+        const waiters = unlockWaiters;
+        unlockWaiters = [];
+        waiters.forEach(function (resolve) {
+          resolve();
+        });
+      },
+
+      /**
+       * Locks vault, wiping the derived key from memory.
+       *
+       * @function lock
+       * @memberof Vault
+       */
+      lock,
+
+      /**
+       * @function isLocked
+       * @memberof Vault
+       * @returns {boolean}
+       */
+      isLocked() {
+        return key === undefined;
+      },
+
+      /**
+       * Encrypts and stores a seed. Vault must be unlocked.
+       *
+       * @function addSeed
+       * @memberof Vault
+       * @param {string} label - Unique label of seed.
+       * @param {string} seed - Seed in 55 lowercase latin chars.
+       * @returns {Promise}
+       */
+      async addSeed(label, seed) {
+        assertUnlocked();
+        if (typeof label !== 'string' || label.length === 0) {
+          throw new IllegalArgumentError('Illegal label.');
+        }
+        if (seeds.has(label)) {
+          throw new AlreadyExistsError(`Seed ${label} already exists.`);
+        }
+        if (!new RegExp(`^[a-z]{${SEED_IN_LOWERCASE_LATIN_LENGTH}}$`).test(seed)) {
+          throw new InvalidSeedError(
+            `Invalid seed. Must be ${SEED_IN_LOWERCASE_LATIN_LENGTH} lowercase latin chars.`
+          );
+        }
+        seeds.set(
+          label,
+          await withKey(function (key) {
+            return encrypt(key, label, seed);
+          })
+        );
+        touch();
+        change();
+      },
+
+      /**
+       * Removes a seed. Vault must be unlocked.
+       *
+       * @function removeSeed
+       * @memberof Vault
+       * @param {string} label - Label of seed.
+       * @returns {boolean} `false` if there was no seed with this label.
+       */
+      removeSeed(label) {
+        assertUnlocked();
+        touch();
+        if (!seeds.delete(label)) {
+          return false;
+        }
+        change();
+        return true;
+      },
+
+      /**
+       * @function labels
+       * @memberof Vault
+       * @returns {string[]} Labels of stored seeds.
+       */
+      labels() {
+        return Array.from(seeds.keys());
+      },
+
+      /**
+       * Decrypts a seed and passes it to a function, once vault is unlocked. Each call
+       * postpones auto-lock. The decrypted buffer is wiped after the function settles, but the
+       * seed is passed as a string, which cannot be wiped and remains in memory until it is
+       * garbage collected. `fn` should not retain it.
+       *
+       * @function withSeed
+       * @memberof Vault
+       * @param {string} label - Label of seed.
+       * @param {Function} fn - Called with seed.
+       * @returns {Promise<*>} Result of `fn`.
+       */
+      async withSeed(label, fn) {
+        if (!seeds.has(label)) {
+          throw new NotFoundError(`Unknown seed ${label}.`);
+        }
+        do {
+          await unlocked();
+        } while (key === undefined);
+        const bytes = await withKey(function (key) {
+          return decrypt(key, label, seeds.get(label));
+        });
+        try {
+          touch();
+          return await fn(new TextDecoder().decode(bytes));
+        } finally {
+          bytes.fill(0);
+        }
+      },
+
+      /**
+       * Re-encrypts all seeds under a new passphrase, with a new salt.
+       *
+       * @function changePassphrase
+       * @memberof Vault
+       * @param {string} passphrase - New passphrase.
+       * @returns {Promise}
+       */
+      async changePassphrase(passphrase) {
+        const plaintexts = new Map();
+        try {
+          await withKey(async function (key) {
+            for (const [label, entry] of seeds) {
+              plaintexts.set(label, await decrypt(key, label, entry));
+            }
+          });
+
+          const params = { name: 'scrypt', ...kdfParams, salt: toBase64(randomBytes(SALT_LENGTH)) };
+          const derivedKey = deriveKey(passphrase, params);
+          const entries = new Map();
+          try {
+            const derivedCheck = await mac(
+              derivedKey.subarray(ENCRYPTION_KEY_LENGTH),
+              fromBase64(params.salt)
+            );
+            for (const [label, bytes] of plaintexts) {
+              entries.set(label, await encrypt(derivedKey, label, new TextDecoder().decode(bytes)));
+            }
+            assertUnlocked();
+            kdf = params;
+            check = toBase64(derivedCheck);
+            entries.forEach(function (entry, label) {
+              seeds.set(label, entry);
+            });
+          } catch (error) {
+            derivedKey.fill(0);
+            throw error;
+          }
+          key.fill(0);
+          key = derivedKey;
+        } finally {
+          plaintexts.forEach(function (bytes) {
+            bytes.fill(0);
+          });
+        }
+        touch();
+        change();
+      },
+
+      /**
+       * @function export
+       * @memberof Vault
+       * @returns {VaultData} Encrypted vault data, which can be serialized as JSON.
+       */
+      export: exportData,
+    });
+  };
+
+  return vaultMixin.call(new EventEmitter());
+};
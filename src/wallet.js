@@ -0,0 +1,327 @@
+'use strict';
+
+import EventEmitter from 'eventemitter2';
+import { client as _client } from './client.js';
+import { connection as _connection } from './connection.js';
+import { identity, addChecksum } from './identity.js';
+import { bytesToShiftedHex } from './utils/hex.js';
+import { NotFoundError } from './errors.js';
+
+/* globals Connection, Client, Vault, Signer */
+
+const CLIENT_EVENTS = ['energy', 'transfer', 'transferStatus', 'receipt', 'error'];
+const CONNECTION_EVENTS = ['info', 'open', 'close', 'error'];
+
+/**
+ * @function wallet
+ * @memberof module:qubic
+ * @param {object} options - Wallet options.
+ * @param {Connection} [options.connection] - Connection shared by all identities of wallet.
+ * @param {string[]} [options.peers] - Peers to connect to. Ignored when connection option is used.
+ * @param {string} options.adminPublicKey - Admin public key, for verification of computer state
+ * and receipts.
+ * @param {string} [options.databasePath] - Directory in which a database is stored per identity.
+ * @fires Connection#info
+ * @fires Connection#open
+ * @fires Connection#close
+ * @fires Connection#error
+ * @fires Wallet#balance
+ * @returns {Wallet}
+ * @example import qubic from 'qubic-js';
+ *
+ * const wallet = qubic.wallet({
+ *   peers: ['?.?.?.?', '?.?.?.?', '?.?.?.?'],
+ *   adminPublicKey: '97CC65D1E59351EEFC776BCFF197533F148A8105DA84129C051F70DD9CA0FF82',
+ *   databasePath: './wallet',
+ * });
+ *
+ * wallet.addListener('*.receipt', function (receipt) {
+ *   console.log(this.event, receipt.hash);
+ * });
+ * wallet.addListener('balance', console.log);
+ *
+ * wallet.addIdentity({ seed: 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu', index: 0 });
+ *
+ */
+export const wallet = function ({ connection, peers, adminPublicKey, databasePath }) {
+  connection = connection || _connection({ peers, adminPublicKey });
+
+  const walletMixin = function () {
+    const that = this;
+
+    const clientsByIdentity = new Map();
+    const energiesByIdentity = new Map();
+    const transfersByIdentity = new Map();
+    const receiptsByIdentity = new Map();
+    // Additions are reserved before identities are derived, so that concurrent additions of the
+    // same identity share one client.
+    const pendingAdditions = new Set();
+
+    const connectionListeners = CONNECTION_EVENTS.map(function (event) {
+      const listener = function (data) {
+        if (event !== 'error' || that.listeners('error').length > 0) {
+          that.emit(event, data);
+        }
+      };
+      connection.addListener(event, listener);
+      return [event, listener];
+    });
+
+    const balance = function () {
+      let sum = 0n;
+      energiesByIdentity.forEach(function (energy) {
+        sum += energy;
+      });
+      return sum;
+    };
+
+    const getClient = function (identity) {
+      const client = clientsByIdentity.get(identity);
+      if (client === undefined) {
+        throw new NotFoundError(`Unknown identity ${identity}.`);
+      }
+      return client;
+    };
+
+    const listen = function (identity, client) {
+      energiesByIdentity.set(identity, 0n);
+      transfersByIdentity.set(identity, new Map());
+      receiptsByIdentity.set(identity, new Map());
+
+      CLIENT_EVENTS.forEach(function (event) {
+        client.addListener(event, function (data) {
+          switch (event) {
+            case 'energy':
+              energiesByIdentity.set(identity, data);
+              break;
+            case 'transfer':
+              transfersByIdentity.get(identity).set(data.hash, data);
+              break;
+            case 'receipt':
+              receiptsByIdentity.get(identity).set(data.hash, data);
+              break;
+          }
+
+          /**
+           * Events of each identity, namespaced as `<identity>.<event>`. Listen to an event of
+           * all identities with `*.<event>`. Errors of each client, such as a
+           * `DatabaseIntegrityError`, are emitted as `<identity>.error`, along with errors of
+           * the shared connection.
+           *
+           * @event Wallet#identity-events
+           * @type {object}
+           */
+          that.emit(`${identity}.${event}`, data);
+
+          if (event === 'energy') {
+            /**
+             * Balance event. Emitted when energy of any identity changes.
+             *
+             * @event Wallet#balance
+             * @type {bigint}
+             */
+            that.emit('balance', balance());
+          }
+        });
+      });
+    };
+
+    const add = async function ({ seed, vault, label, index = 0, signer, databaseKey }) {
+      const id = await (signer !== undefined
+        ? signer.getPublicKey().then(async function (publicKey) {
+            return bytesToShiftedHex(await addChecksum(publicKey)).toUpperCase();
+          })
+        : vault !== undefined
+        ? vault.withSeed(label, function (seed) {
+            return identity(seed, index);
+          })
+        : identity(seed, index));
+      if (!clientsByIdentity.has(id)) {
+        const client = _client({
+          seed,
+          vault,
+          label,
+          index,
+          signer,
+          databaseKey,
+          connection,
+          adminPublicKey,
+          databasePath,
+        });
+        clientsByIdentity.set(id, client);
+        listen(id, client);
+      }
+      return id;
+    };
+
+    /**
+     * @mixin Wallet
+     */
+    return Object.assign(this, {
+      /**
+       * @type {Connection} Connection shared by all identities of wallet.
+       * @memberof Wallet
+       */
+      connection,
+
+      /**
+       * Adds an identity to wallet. Its transfers, receipts and energy are loaded from its own
+       * database, and monitored over the shared connection.
+       *
+       * @function addIdentity
+       * @memberof Wallet
+       * @param {object} params
+       * @param {string} [params.seed] - Seed in 55 lowercase latin chars. Required unless a vault
+       * is used.
+       * @param {Vault} [params.vault] - Vault holding the seed. Waits until vault is unlocked.
+       * @param {string} [params.label] - Label of seed in vault.
+       * @param {number} [params.index=0] - Identity index.
+       * @param {Signer} [params.signer] - External signer of identity. Overrides seed and vault.
+       * @param {Uint8Array} [params.databaseKey] - Database key, required with a signer.
+       * @returns {Promise<string>} Identity with checksum in uppercase hex.
+       */
+      addIdentity(params) {
+        const { seed, vault, label, index = 0, signer } = params;
+        for (const pending of pendingAdditions) {
+          if (
+            pending.seed === seed &&
+            pending.vault === vault &&
+            pending.label === label &&
+            pending.index === index &&
+            pending.signer === signer
+          ) {
+            return pending.promise;
+          }
+        }
+
+        const pending = { seed, vault, label, index, signer, promise: add(params) };
+        const release = function () {
+          pendingAdditions.delete(pending);
+        };
+        pendingAdditions.add(pending);
+        pending.promise.then(release, release);
+        return pending.promise;
+      },
+
+      /**
+       * Removes an identity from wallet, and closes its database.
+       *
+       * @function removeIdentity
+       * @memberof Wallet
+       * @param {string} identity - Identity in uppercase hex.
+       * @returns {Promise<boolean>} `false` if identity was not in wallet.
+       */
+      async removeIdentity(identity) {
+        const client = clientsByIdentity.get(identity);
+        if (client === undefined) {
+          return false;
+        }
+        clientsByIdentity.delete(identity);
+        energiesByIdentity.delete(identity);
+        transfersByIdentity.delete(identity);
+        receiptsByIdentity.delete(identity);
+        client.removeAllListeners();
+        await client.terminate({ closeConnection: false });
+        that.emit('balance', balance());
+        return true;
+      },
+
+      /**
+       * @function identities
+       * @memberof Wallet
+       * @returns {string[]} Identities of wallet in uppercase hex.
+       */
+      identities() {
+        return Array.from(clientsByIdentity.keys());
+      },
+
+      /**
+       * @function client
+       * @memberof Wallet
+       * @param {string} identity - Identity in uppercase hex.
+       * @returns {Client} Client of identity.
+       */
+      client: getClient,
+
+      /**
+       * @function energy
+       * @memberof Wallet
+       * @param {string} identity - Identity in uppercase hex.
+       * @returns {bigint} Energy of identity.
+       */
+      energy(identity) {
+        getClient(identity);
+        return energiesByIdentity.get(identity);
+      },
+
+      /**
+       * @function balance
+       * @memberof Wallet
+       * @returns {bigint} Sum of energies of all identities.
+       */
+      balance,
+
+      /**
+       * @function transfers
+       * @memberof Wallet
+       * @param {string} identity - Identity in uppercase hex.
+       * @returns {object[]} Transfers of identity.
+       */
+      transfers(identity) {
+        getClient(identity);
+        return Array.from(transfersByIdentity.get(identity).values());
+      },
+
+      /**
+       * @function receipts
+       * @memberof Wallet
+       * @param {string} identity - Identity in uppercase hex.
+       * @returns {object[]} Receipts of transfers of identity.
+       */
+      receipts(identity) {
+        getClient(identity);
+        return Array.from(receiptsByIdentity.get(identity).values());
+      },
+
+      /**
+       * Transfers energy from an identity of wallet.
+       *
+       * @function transfer
+       * @memberof Wallet
+       * @param {string} identity - Source identity in uppercase hex.
+       * @param {object} params
+       * @param {string} params.destination - Destination identity in uppercase hex.
+       * @param {bigint} params.energy - Transferred energy.
+       * @returns {Promise}
+       */
+      transfer(identity, params) {
+        return getClient(identity).transfer(params);
+      },
+
+      /**
+       * Closes databases of all identities, and the connection.
+       *
+       * @function terminate
+       * @memberof Wallet
+       * @param {object} [options]
+       * @param {boolean} [options.closeConnection = true] - Set to `false` to keep a shared
+       * connection open.
+       */
+      async terminate({ closeConnection } = { closeConnection: true }) {
+        await Promise.all(
+          Array.from(clientsByIdentity.keys()).map(function (identity) {
+            return that.removeIdentity(identity);
+          })
+        );
+        connectionListeners.forEach(function ([event, listener]) {
+          connection.removeListener(event, listener);
+        });
+        if (closeConnection) {
+          connection.close();
+        }
+      },
+    });
+  };
+
+  return walletMixin.call(new EventEmitter({ wildcard: true }));
+};
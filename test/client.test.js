@@ -878,7 +878,7 @@ describe('client.transaction, client.sendCommand - 3 = send transfer', function
         })
       );
     }),
-    expected: 'Error: Insufficient energy.',
+    expected: 'InsufficientEnergyError: Insufficient energy.',
   });
 
   afterAll(function () {
@@ -0,0 +1,355 @@
+'use strict';
+
+import { mockNetwork } from '../src/testing/index.js';
+import { connection as _connection } from '../src/connection.js';
+import { transfer } from '../src/transfer.js';
+import { identity } from '../src/identity.js';
+import { verifyReceipt } from '../src/receipt.js';
+import { decode } from '../src/protocol.js';
+import { ConnectionError, IllegalArgumentError, TimeoutError } from '../src/errors.js';
+
+jest.setTimeout(20 * 1000);
+
+const seed = 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu';
+const destination = 'DCMJGMELMPBOJCCOFAICMJCBKENNOPEJCLIPBKKKDKLDOMKFBPOFHFLGAHLNAFMKMHHOAE';
+
+const countingTransport = function (transport, counts) {
+  return function (params) {
+    const socket = transport(params);
+    const send = socket.send;
+    socket.send = function (data) {
+      const { type } = decode(data);
+      counts[type] = (counts[type] || 0) + 1;
+      send(data);
+    };
+    return socket;
+  };
+};
+
+const connect = function (network, counts = {}) {
+  return _connection({
+    peers: network.peers,
+    adminPublicKey: network.adminPublicKey,
+    transport: countingTransport(network.transport, counts),
+    computerStateSynchronizationTimeoutDuration: 100,
+    computerStateSynchronizationDelayDuration: 100,
+  });
+};
+
+describe('connection.waitForSync', function () {
+  assert({
+    given: 'healthy peers',
+    should: 'resolve with verified computer state',
+    awaitActual: mockNetwork({ epoch: 3, tick: 9 }).then(async function (network) {
+      const connection = connect(network);
+      const { status, epoch, tick, computorPublicKeys } = await connection.waitForSync({
+        minStatus: 3,
+      });
+      connection.close();
+      return {
+        status,
+        epoch,
+        tick,
+        hasComputorPublicKeys: computorPublicKeys.every(function (publicKey, i) {
+          return publicKey.every(function (byte, j) {
+            return byte === network.computors[i].publicKey[j];
+          });
+        }),
+      };
+    }),
+    expected: { status: 3, epoch: 3, tick: 9, hasComputorPublicKeys: true },
+  });
+
+  assert({
+    given: 'synchronized connection',
+    should: 'resolve ready() immediately with same state',
+    awaitActual: mockNetwork().then(async function (network) {
+      const connection = connect(network);
+      await connection.waitForSync();
+      const { status } = await connection.ready();
+      connection.close();
+      return status >= 2;
+    }),
+    expected: true,
+  });
+
+  assert({
+    given: 'fewer agreeing peers than required',
+    should: 'reject on timeout',
+    awaitActual: mockNetwork({ faults: { '10.0.0.1': { badSignatures: true } } }).then(
+      async function (network) {
+        const connection = connect(network);
+        const error = await Try(connection.waitForSync, { minStatus: 3, timeout: 500 });
+        connection.close();
+        return error;
+      }
+    ),
+    expected: new TimeoutError('Synchronization timed out.'),
+  });
+
+  assert({
+    given: 'connection closed while waiting',
+    should: 'reject',
+    awaitActual: mockNetwork({ faults: { '10.0.0.1': { dropped: true } } }).then(function (
+      network
+    ) {
+      const connection = connect(network);
+      const promise = Try(connection.waitForSync, { minStatus: 3 });
+      connection.close();
+      return promise;
+    }),
+    expected: new ConnectionError('Connection closed.'),
+  });
+
+  assert({
+    given: 'illegal min status',
+    should: 'reject',
+    awaitActual: mockNetwork().then(function (network) {
+      const connection = connect(network);
+      const promise = Try(connection.waitForSync, { minStatus: 4 });
+      connection.close();
+      return promise;
+    }),
+    expected: new IllegalArgumentError('Illegal minStatus.'),
+  });
+});
+
+describe('connection.getTransferStatus', function () {
+  const broadcastedTransfer = async function (network) {
+    const t = await transfer({
+      seed,
+      index: 0,
+      source: await identity(seed, 0),
+      destination,
+      energy: 1000000n,
+    });
+    const connection = connect(network);
+    await connection.waitForSync();
+    connection.broadcastTransfer(t.bytes);
+    await new Promise(function (resolve) {
+      setTimeout(resolve, 50);
+    });
+    connection.close();
+    return t;
+  };
+
+  assert({
+    given: 'transfer processed by all computors',
+    should: 'stop querying once quorum is reached, and resolve with valid receipt',
+    awaitActual: mockNetwork().then(async function (network) {
+      const t = await broadcastedTransfer(network);
+      network.advanceTick();
+
+      const counts = {};
+      const connection = connect(network, counts);
+      const { hash, processed, receipt } = await connection.getTransferStatus(t.hash, {
+        interval: 250,
+        concurrency: 50,
+      });
+      await new Promise(function (resolve) {
+        setTimeout(resolve, 500);
+      });
+      connection.close();
+
+      const receiptWithTransfer = new Uint8Array(t.bytes.length + receipt.length);
+      receiptWithTransfer.set(t.bytes);
+      receiptWithTransfer.set(receipt, t.bytes.length);
+      const { valid } = await verifyReceipt(receiptWithTransfer, {
+        adminPublicKey: network.adminPublicKey,
+      });
+
+      return {
+        hash: hash === t.hash,
+        processed,
+        valid,
+        requests: counts.transferStatusRequest,
+      };
+    }),
+    // The 451st computor is queried in the 10th batch of 50, over each of 3 peers.
+    expected: { hash: true, processed: 451, valid: true, requests: 10 * 50 * 3 },
+    timeout: 60 * 1000,
+  });
+
+  assert({
+    given: 'transfer seen but not yet processed',
+    should: 'keep querying until a quorum has processed it',
+    awaitActual: mockNetwork().then(async function (network) {
+      const t = await broadcastedTransfer(network);
+
+      const connection = connect(network);
+      let seen = 0;
+      connection.addListener('transferStatus', function (report) {
+        if (report.hash === t.hash && report.seen >= 451 && seen === 0) {
+          seen = report.seen;
+          network.advanceTick();
+        }
+      });
+      const { processed, receipt } = await connection.getTransferStatus(t.hash, {
+        interval: 1,
+        concurrency: 676,
+      });
+      connection.close();
+      return { seen: seen >= 451, processed, receipt: receipt !== undefined };
+    }),
+    expected: { seen: true, processed: 451, receipt: true },
+    timeout: 60 * 1000,
+  });
+
+  assert({
+    given: 'aborted signal',
+    should: 'reject with abort error and stop querying',
+    awaitActual: mockNetwork().then(async function (network) {
+      const counts = {};
+      const connection = connect(network, counts);
+      const controller = new AbortController();
+      const promise = Try(connection.getTransferStatus, 'A'.repeat(64), {
+        signal: controller.signal,
+        interval: 10,
+      });
+      await connection.waitForSync();
+      await new Promise(function (resolve) {
+        setTimeout(resolve, 100);
+      });
+      controller.abort();
+      const error = await promise;
+      const requests = counts.transferStatusRequest;
+      await new Promise(function (resolve) {
+        setTimeout(resolve, 100);
+      });
+      connection.close();
+      return {
+        name: error.name,
+        stopped: counts.transferStatusRequest === requests,
+      };
+    }),
+    expected: { name: 'AbortError', stopped: true },
+  });
+
+  assert({
+    given: 'deadline',
+    should: 'reject with partial report',
+    awaitActual: mockNetwork().then(async function (network) {
+      const connection = connect(network);
+      const error = await Try(connection.getTransferStatus, 'A'.repeat(64), {
+        interval: 1000,
+        concurrency: 2,
+        deadline: 1000,
+      });
+      connection.close();
+      return {
+        message: error.message,
+        hash: error.report.hash,
+        unseen: error.report.unseen,
+      };
+    }),
+    expected: {
+      message: 'Transfer status query deadline exceeded.',
+      hash: 'A'.repeat(64),
+      unseen: 676,
+    },
+  });
+});
+
+describe('connection.getTransferStatuses', function () {
+  assert({
+    given: 'connection closed while querying',
+    should: 'reject',
+    awaitActual: mockNetwork().then(async function (network) {
+      const connection = connect(network);
+      const promise = Try(connection.getTransferStatuses, ['A'.repeat(64)], { deadline: 60000 });
+      await connection.waitForSync();
+      connection.close();
+      return promise;
+    }),
+    expected: new ConnectionError('Connection closed.'),
+  });
+
+  assert({
+    given: 'processed and unseen transfers',
+    should: 'query them in one sweep, and resolve with statuses in order of digests',
+    awaitActual: mockNetwork().then(async function (network) {
+      const a = await transfer({
+        seed,
+        index: 0,
+        source: await identity(seed, 0),
+        destination,
+        energy: 1000000n,
+      });
+      const b = await transfer({
+        seed,
+        index: 0,
+        source: await identity(seed, 0),
+        destination,
+        energy: 1000001n,
+      });
+      const broadcaster = connect(network);
+      await broadcaster.waitForSync();
+      broadcaster.broadcastTransfer(a.bytes);
+      broadcaster.broadcastTransfer(b.bytes);
+      await new Promise(function (resolve) {
+        setTimeout(resolve, 50);
+      });
+      broadcaster.close();
+      network.advanceTick();
+
+      const counts = {};
+      const connection = connect(network, counts);
+      const statuses = await connection.getTransferStatuses(
+        [a.hash, 'A'.repeat(64), b.hash, a.hash],
+        { interval: 1, concurrency: 25 }
+      );
+      connection.close();
+
+      return {
+        hashes: statuses.map(function ({ hash }) {
+          return hash === a.hash ? 'a' : hash === b.hash ? 'b' : hash;
+        }),
+        processed: statuses.map(function ({ processed }) {
+          return processed;
+        }),
+        receipts: statuses.map(function ({ receipt }) {
+          return receipt !== undefined;
+        }),
+        requests: counts.transferStatusRequest / 3 < 3 * 676,
+      };
+    }),
+    expected: {
+      hashes: ['a', 'A'.repeat(64), 'b', 'a'],
+      processed: [451, 0, 451, 451],
+      receipts: [true, false, true, true],
+      requests: true,
+    },
+  });
+
+  assert({
+    given: 'no digests',
+    should: 'resolve with empty array',
+    awaitActual: mockNetwork().then(async function (network) {
+      const connection = connect(network);
+      const statuses = await connection.getTransferStatuses([]);
+      connection.close();
+      return statuses;
+    }),
+    expected: [],
+  });
+
+  assert({
+    given: 'deadline',
+    should: 'reject with partial report of each digest',
+    awaitActual: mockNetwork().then(async function (network) {
+      const connection = connect(network);
+      const error = await Try(connection.getTransferStatuses, ['A'.repeat(64), 'B'.repeat(64)], {
+        interval: 1000,
+        deadline: 500,
+      });
+      connection.close();
+      return error.reports.map(function ({ hash, unseen }) {
+        return [hash, unseen];
+      });
+    }),
+    expected: [
+      ['A'.repeat(64), 676],
+      ['B'.repeat(64), 676],
+    ],
+  });
+});
@@ -0,0 +1,293 @@
+'use strict';
+
+import { crypto, heap } from '../src/crypto/index.js';
+import { identity, privateKey, seedChecksum } from '../src/identity.js';
+import {
+  fromHex,
+  K12_VECTORS,
+  K12_LONG_OUTPUT_VECTOR,
+  SCHNORRQ_VECTORS,
+  KEX_VECTOR,
+  IDENTITY_VECTORS,
+  SEED_CHECKSUM_VECTORS,
+} from './vectors.js';
+
+const toHex = function (bytes) {
+  return Buffer.from(bytes).toString('hex');
+};
+
+const includes = function (heap, bytes) {
+  for (let i = heap.indexOf(bytes[0]); i !== -1; i = heap.indexOf(bytes[0], i + 1)) {
+    if (
+      bytes.every(function (byte, j) {
+        return heap[i + j] === byte;
+      })
+    ) {
+      return true;
+    }
+  }
+  return false;
+};
+
+describe('K12', function () {
+  assert({
+    given: 'specification vectors',
+    should: 'compute expected outputs',
+    awaitActual: crypto.then(function ({ K12 }) {
+      return K12_VECTORS.map(function ({ input, outputLength }) {
+        const output = new Uint8Array(outputLength);
+        K12(input, output, outputLength);
+        return toHex(output);
+      });
+    }),
+    expected: K12_VECTORS.map(function ({ output }) {
+      return output;
+    }),
+  });
+
+  assert({
+    given: 'output longer than a block',
+    should: 'compute expected tail',
+    awaitActual: crypto.then(function ({ K12 }) {
+      const output = new Uint8Array(K12_LONG_OUTPUT_VECTOR.outputLength);
+      K12(new Uint8Array(0), output, output.length);
+      return toHex(output.subarray(-32));
+    }),
+    expected: K12_LONG_OUTPUT_VECTOR.tail,
+  });
+
+  assert({
+    given: 'output offset',
+    should: 'write output at offset, leaving other bytes intact',
+    awaitActual: crypto.then(function ({ K12 }) {
+      const output = new Uint8Array(40).fill(0xff);
+      K12(new Uint8Array(0), output, 32, 4);
+      return [
+        toHex(output.subarray(0, 4)),
+        toHex(output.subarray(4, 36)),
+        toHex(output.subarray(36)),
+      ];
+    }),
+    expected: ['ffffffff', K12_VECTORS[0].output, 'ffffffff'],
+  });
+
+  assert({
+    given: 'short output, as used for checksums',
+    should: 'equal prefix of longer output',
+    awaitActual: crypto.then(function ({ K12 }) {
+      const output = new Uint8Array(3);
+      K12(new Uint8Array(0), output, 3);
+      return toHex(output);
+    }),
+    expected: K12_VECTORS[0].output.slice(0, 6),
+  });
+});
+
+describe('schnorrq', function () {
+  assert({
+    given: 'secret keys',
+    should: 'generate expected public keys',
+    awaitActual: crypto.then(function ({ schnorrq }) {
+      return SCHNORRQ_VECTORS.map(function ({ secretKey }) {
+        return toHex(schnorrq.generatePublicKey(fromHex(secretKey)));
+      });
+    }),
+    expected: SCHNORRQ_VECTORS.map(function ({ publicKey }) {
+      return publicKey;
+    }),
+  });
+
+  assert({
+    given: 'messages',
+    should: 'create expected deterministic signatures',
+    awaitActual: crypto.then(function ({ schnorrq }) {
+      return SCHNORRQ_VECTORS.map(function ({ secretKey, publicKey, message }) {
+        return toHex(schnorrq.sign(fromHex(secretKey), fromHex(publicKey), fromHex(message)));
+      });
+    }),
+    expected: SCHNORRQ_VECTORS.map(function ({ signature }) {
+      return signature;
+    }),
+  });
+
+  assert({
+    given: 'valid signatures',
+    should: 'verify them',
+    awaitActual: crypto.then(function ({ schnorrq }) {
+      return SCHNORRQ_VECTORS.map(function ({ publicKey, message, signature }) {
+        return schnorrq.verify(fromHex(publicKey), fromHex(message), fromHex(signature));
+      });
+    }),
+    expected: [1, 1],
+  });
+
+  assert({
+    given: 'tampered message, signature or public key',
+    should: 'reject them',
+    awaitActual: crypto.then(function ({ schnorrq }) {
+      const { publicKey, message, signature } = SCHNORRQ_VECTORS[0];
+      const tamper = function (hex, i) {
+        const bytes = fromHex(hex);
+        bytes[i] ^= 1;
+        return bytes;
+      };
+      return [
+        schnorrq.verify(fromHex(publicKey), tamper(message, 0), fromHex(signature)),
+        schnorrq.verify(fromHex(publicKey), fromHex(message), tamper(signature, 0)),
+        schnorrq.verify(fromHex(publicKey), fromHex(message), tamper(signature, 32)),
+        schnorrq.verify(tamper(publicKey, 0), fromHex(message), fromHex(signature)),
+        schnorrq.verify(
+          fromHex(SCHNORRQ_VECTORS[0].publicKey),
+          fromHex(SCHNORRQ_VECTORS[1].message),
+          fromHex(signature)
+        ),
+      ];
+    }),
+    expected: [0, 0, 0, 0, 0],
+  });
+  assert({
+    given: 'batch of valid and tampered signatures',
+    should: 'return same results as verify',
+    awaitActual: crypto.then(function ({ schnorrq }) {
+      const batch = SCHNORRQ_VECTORS.concat(SCHNORRQ_VECTORS)
+        .map(function ({ publicKey, message, signature }) {
+          return {
+            publicKey: fromHex(publicKey),
+            message: fromHex(message),
+            signature: fromHex(signature),
+          };
+        })
+        .map(function (item, i) {
+          if (i >= SCHNORRQ_VECTORS.length) {
+            item.signature[0] ^= 1;
+          }
+          return item;
+        });
+      return [
+        schnorrq.verifyBatch(batch),
+        batch.map(function ({ publicKey, message, signature }) {
+          return schnorrq.verify(publicKey, message, signature);
+        }),
+      ];
+    }),
+    expected: [
+      [1, 1, 0, 0],
+      [1, 1, 0, 0],
+    ],
+  });
+
+  assert({
+    given: 'empty batch',
+    should: 'return no results',
+    awaitActual: crypto.then(function ({ schnorrq }) {
+      return schnorrq.verifyBatch([]);
+    }),
+    expected: [],
+  });
+});
+
+describe('kex', function () {
+  assert({
+    given: 'secret keys',
+    should: 'generate expected compressed public keys',
+    awaitActual: crypto.then(function ({ kex }) {
+      return [
+        toHex(kex.generateCompressedPublicKey(fromHex(KEX_VECTOR.secretKeyA))),
+        toHex(kex.generateCompressedPublicKey(fromHex(KEX_VECTOR.secretKeyB))),
+      ];
+    }),
+    expected: [KEX_VECTOR.compressedPublicKeyA, KEX_VECTOR.compressedPublicKeyB],
+  });
+
+  assert({
+    given: 'key pairs of both parties',
+    should: 'agree on expected shared key',
+    awaitActual: crypto.then(function ({ kex }) {
+      return [
+        toHex(
+          kex.compressedSecretAgreement(
+            fromHex(KEX_VECTOR.secretKeyA),
+            fromHex(KEX_VECTOR.compressedPublicKeyB)
+          )
+        ),
+        toHex(
+          kex.compressedSecretAgreement(
+            fromHex(KEX_VECTOR.secretKeyB),
+            fromHex(KEX_VECTOR.compressedPublicKeyA)
+          )
+        ),
+      ];
+    }),
+    expected: [KEX_VECTOR.sharedKey, KEX_VECTOR.sharedKey],
+  });
+});
+
+describe('identity derivations', function () {
+  assert({
+    given: 'seeds and indices',
+    should: 'derive expected private keys',
+    awaitActual: crypto.then(function ({ K12 }) {
+      return IDENTITY_VECTORS.map(function ({ seed, index }) {
+        return toHex(privateKey(seed, index, K12));
+      });
+    }),
+    expected: IDENTITY_VECTORS.map(function ({ privateKey }) {
+      return privateKey;
+    }),
+  });
+
+  assert({
+    given: 'seeds and indices',
+    should: 'derive expected identities',
+    awaitActual: Promise.all(
+      IDENTITY_VECTORS.map(function ({ seed, index }) {
+        return identity(seed, index);
+      })
+    ),
+    expected: IDENTITY_VECTORS.map(function ({ identity }) {
+      return identity;
+    }),
+  });
+
+  assert({
+    given: 'seeds',
+    should: 'compute expected checksums',
+    awaitActual: Promise.all(
+      SEED_CHECKSUM_VECTORS.map(function ({ seed }) {
+        return seedChecksum(seed);
+      })
+    ),
+    expected: SEED_CHECKSUM_VECTORS.map(function ({ checksum }) {
+      return checksum;
+    }),
+  });
+});
+
+describe('WASM memory', function () {
+  assert({
+    given: 'derived private key, used to sign',
+    should: 'leave no copy of it in WASM memory',
+    awaitActual: crypto.then(function ({ K12, schnorrq }) {
+      const { seed, index } = IDENTITY_VECTORS[0];
+      const secretKey = privateKey(seed, index, K12);
+      schnorrq.sign(secretKey, schnorrq.generatePublicKey(secretKey), new Uint8Array(32));
+      return includes(heap(), secretKey);
+    }),
+    expected: false,
+  });
+
+  assert({
+    given: 'input larger than scratch memory',
+    should: 'compute same digest as over scratch memory',
+    awaitActual: crypto.then(function ({ K12 }) {
+      const input = new Uint8Array(100 * 1024).fill(7);
+      const a = new Uint8Array(32);
+      const b = new Uint8Array(32);
+      K12(input, a, 32);
+      K12(input.subarray(0, 1024), b, 32);
+      K12(input, b, 32);
+      return toHex(a) === toHex(b);
+    }),
+    expected: true,
+  });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+import qubic, { ERROR_CODES, QubicError, InvalidSeedError, ProtocolError } from '../src/index.js';
+import { ChecksumError, InsufficientEnergyError, TruncatedFrameError } from '../src/errors.js';
+import { identity } from '../src/identity.js';
+import { transfer } from '../src/transfer.js';
+import { decode } from '../src/protocol.js';
+
+describe('errors', function () {
+  assert({
+    given: 'error classes',
+    should: 'have distinct codes',
+    actual: new Set(Object.values(ERROR_CODES)).size,
+    expected: Object.keys(qubic.errors).length,
+  });
+
+  assert({
+    given: 'each error class',
+    should: 'set name and code and extend QubicError',
+    actual: Object.entries(qubic.errors).every(function ([name, ErrorClass]) {
+      const error = new ErrorClass('Message.');
+      return (
+        error instanceof Error &&
+        error instanceof QubicError &&
+        error.name === name &&
+        error.code === ERROR_CODES[name] &&
+        error.message === 'Message.'
+      );
+    }),
+    expected: true,
+  });
+
+  assert({
+    given: 'details',
+    should: 'attach them to the error',
+    actual: (function () {
+      const error = new InsufficientEnergyError('Insufficient energy.', { energy: 1n });
+      return [error.code, error.energy];
+    })(),
+    expected: ['INSUFFICIENT_ENERGY', 1n],
+  });
+
+  assert({
+    given: 'invalid seed',
+    should: 'reject with InvalidSeedError',
+    awaitActual: Try(identity, 'invalid', 0).then(function (error) {
+      return [error instanceof InvalidSeedError, error.code];
+    }),
+    expected: [true, 'INVALID_SEED'],
+  });
+
+  assert({
+    given: 'destination with wrong checksum',
+    should: 'reject with ChecksumError',
+    awaitActual: transfer({
+      seed: 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu',
+      index: 0,
+      destination: 'BPFJANADOGBDLNNONDILEMAICAKMEEGBFPJBKPBCEDFJIALDONODMAIMDBFKCFEEMEOAAA',
+      energy: 1000000n,
+    }).catch(function (error) {
+      return [error instanceof ChecksumError, error.code];
+    }),
+    expected: [true, 'INVALID_CHECKSUM'],
+  });
+
+  assert({
+    given: 'truncated frame',
+    should: 'throw ProtocolError with its own code',
+    actual: (function () {
+      try {
+        decode(new Uint8Array(2));
+      } catch (error) {
+        return [error instanceof ProtocolError, error instanceof TruncatedFrameError, error.code];
+      }
+    })(),
+    expected: [true, true, 'TRUNCATED_FRAME'],
+  });
+});
@@ -2,11 +2,19 @@
 
 import {
   identity,
+  deriveIdentities,
+  scanGap,
+  privateKey,
+  seedToBytes,
   verifyChecksum,
   seedChecksum,
   SEED_IN_LOWERCASE_LATIN_LENGTH,
 } from '../src/identity.js';
 import { toString } from './utils.js';
+import { crypto } from '../src/crypto/index.js';
+import { IllegalArgumentError } from '../src/errors.js';
+
+const seed = 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu';
 
 describe('createIdentity', function () {
   assert({
@@ -22,7 +30,7 @@ describe('createIdentity', function () {
     awaitActual: toString(
       Try(identity, 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevre', 0)
     ),
-    expected: 'Error: Invalid seed. Must be 55 lowercase latin chars.',
+    expected: 'InvalidSeedError: Invalid seed. Must be 55 lowercase latin chars.',
   });
 
   assert({
@@ -31,7 +39,7 @@ describe('createIdentity', function () {
     awaitActual: toString(
       Try(identity, 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu', '1')
     ),
-    expected: 'Error: Illegal index.',
+    expected: 'IllegalArgumentError: Illegal index.',
   });
 
   assert({
@@ -40,7 +48,7 @@ describe('createIdentity', function () {
     awaitActual: toString(
       Try(identity, 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu', -1)
     ),
-    expected: 'Error: Illegal index.',
+    expected: 'IllegalArgumentError: Illegal index.',
   });
 });
 
@@ -71,3 +79,113 @@ describe('seedChecksum', function () {
     expected: 'EEF',
   });
 });
+
+describe('privateKey', function () {
+  const iteratedPrivateKey = function (seed, index, K12) {
+    const preimage = seedToBytes(seed);
+    while (index-- > 0) {
+      for (let i = 0; i < preimage.length; i++) {
+        if (++preimage[i] > 26) {
+          preimage[i] = 1;
+        } else {
+          break;
+        }
+      }
+    }
+    const key = new Uint8Array(32);
+    K12(preimage, key, 32);
+    return key;
+  };
+
+  assert({
+    given: 'indices around carries of first digits',
+    should: 'equal key derived by incrementing preimage index times',
+    awaitActual: crypto.then(function ({ K12 }) {
+      return [
+        [seed, 0],
+        [seed, 1],
+        [seed, 4],
+        [seed, 5],
+        [seed, 30],
+        [seed, 57],
+        [seed, 1337],
+        [seed, 26 * 26 + 4],
+        [seed, 100000],
+        ['z'.repeat(55), 27 * 26],
+      ].map(function ([seed, index]) {
+        const key = iteratedPrivateKey(seed, index, K12);
+        return privateKey(seed, index, K12).every(function (byte, i) {
+          return byte === key[i];
+        });
+      });
+    }),
+    expected: Array(10).fill(true),
+  });
+});
+
+describe('deriveIdentities', function () {
+  assert({
+    given: 'range of indices',
+    should: 'resolve with identities of each index',
+    awaitActual: (async function () {
+      const identities = await deriveIdentities(seed, { from: 1330, count: 30 });
+      return (
+        await Promise.all(
+          identities.map(async function (id, i) {
+            return id === (await identity(seed, 1330 + i));
+          })
+        )
+      ).every(Boolean);
+    })(),
+    expected: true,
+  });
+
+  assert({
+    given: 'default options',
+    should: 'resolve with identity of index 0',
+    awaitActual: (async function () {
+      return (await deriveIdentities(seed))[0] === (await identity(seed, 0));
+    })(),
+    expected: true,
+  });
+
+  assert({
+    given: 'illegal count',
+    should: 'throw',
+    awaitActual: Try(deriveIdentities, seed, { count: -1 }),
+    expected: new IllegalArgumentError('Illegal count.'),
+  });
+});
+
+describe('scanGap', function () {
+  assert({
+    given: 'identities with history separated by gaps',
+    should: 'resolve with identities until gap limit is reached',
+    awaitActual: (async function () {
+      const indicesWithHistory = [0, 2, 6, 9, 15];
+      const identitiesWithHistory = await scanGap(seed, {
+        gapLimit: 4,
+        hasHistory: function (identity, index) {
+          return Promise.resolve(indicesWithHistory.includes(index));
+        },
+      });
+      const expectedIdentities = await deriveIdentities(seed, { count: 10 });
+      return identitiesWithHistory.map(function ({ index, identity }) {
+        return [index, identity === expectedIdentities[index]];
+      });
+    })(),
+    expected: [
+      [0, true],
+      [2, true],
+      [6, true],
+      [9, true],
+    ],
+  });
+
+  assert({
+    given: 'missing hasHistory',
+    should: 'reject',
+    awaitActual: Try(scanGap, seed, {}),
+    expected: new IllegalArgumentError('Illegal hasHistory.'),
+  });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+import { init, K12Sync } from '../src/crypto/index.js';
+import { identitySync, verifyChecksumSync } from '../src/identity.js';
+import { transferSync, verifyTransfer } from '../src/transfer.js';
+import { IDENTITY_VECTORS, K12_VECTORS } from './vectors.js';
+import { IllegalStateError } from '../src/errors.js';
+
+const { seed, index, identity } = IDENTITY_VECTORS[2];
+const destination = IDENTITY_VECTORS[3].identity;
+
+describe('init', function () {
+  assert({
+    given: 'crypto which is not initialized',
+    should: 'throw from synchronous functions',
+    awaitActual: Try(identitySync, seed, index),
+    expected: new IllegalStateError('Crypto is not initialized. Await init() first.'),
+  });
+
+  const invalidInitialization = init({ wasmBinary: new Uint8Array([0, 1, 2, 3]) }).catch(function (
+    error
+  ) {
+    return error.message.startsWith('Failed to initialize crypto:');
+  });
+
+  assert({
+    given: 'invalid WASM binary',
+    should: 'reject',
+    awaitActual: invalidInitialization,
+    expected: true,
+  });
+
+  const initialization = invalidInitialization.then(function () {
+    return init();
+  });
+
+  assert({
+    given: 'initialization after a failed one',
+    should: 'enable synchronous functions',
+    awaitActual: initialization.then(function () {
+      const output = new Uint8Array(32);
+      K12Sync(K12_VECTORS[0].input, output, 32);
+      return {
+        identity: identitySync(seed, index),
+        checksum: [verifyChecksumSync(identity), verifyChecksumSync(identity.slice(0, -1) + 'A')],
+        K12: Buffer.from(output).toString('hex'),
+      };
+    }),
+    expected: {
+      identity,
+      checksum: [true, false],
+      K12: K12_VECTORS[0].output,
+    },
+  });
+
+  assert({
+    given: 'seed',
+    should: 'create a valid transfer synchronously',
+    awaitActual: initialization.then(async function () {
+      const t = transferSync({ seed, index, destination, energy: 1000000n });
+      return { source: t.source, valid: (await verifyTransfer(t.bytes)).valid };
+    }),
+    expected: { source: identity, valid: true },
+  });
+
+  assert({
+    given: 'second call',
+    should: 'resolve with same crypto',
+    awaitActual: initialization.then(async function (crypto) {
+      return (await init({ url: 'https://example.com/ignored.wasm' })) === crypto;
+    }),
+    expected: true,
+  });
+});
@@ -0,0 +1,134 @@
+'use strict';
+
+import { crypto } from '../src/crypto/index.js';
+import { k12 } from '../src/crypto/k12.js';
+import { ptn, K12_VECTORS, K12_LONG_OUTPUT_VECTOR } from './vectors.js';
+import { IllegalArgumentError, IllegalStateError } from '../src/errors.js';
+
+const toHex = function (bytes) {
+  return Buffer.from(bytes).toString('hex');
+};
+
+// Customization vectors of the KangarooTwelve specification.
+const CUSTOMIZATION_VECTORS = [
+  {
+    input: new Uint8Array(0),
+    customization: ptn(1),
+    output: 'fab658db63e94a246188bf7af69a133045f46ee984c56e3c3328caaf1aa1a583',
+  },
+  {
+    input: new Uint8Array(1).fill(0xff),
+    customization: ptn(41),
+    output: 'd848c5068ced736f4462159b9867fd4c20b808acc3d5bc48e0b06ba0a3762ec4',
+  },
+  {
+    input: new Uint8Array(3).fill(0xff),
+    customization: ptn(41 * 41),
+    output: 'c389e5009ae57120854c2e8c64670ac01358cf4c1baf89447a724234dc7ced74',
+  },
+  {
+    input: new Uint8Array(7).fill(0xff),
+    customization: ptn(41 * 41 * 41),
+    output: '75d2f86a2e644566726b4fbcfc5657b9dbcf070c7b0dca06450ab291d7443bcf',
+  },
+];
+
+const updateInChunks = function (input, chunkLength, customization) {
+  const hasher = k12.create(customization);
+  for (let offset = 0; offset < input.length; offset += chunkLength) {
+    hasher.update(input.subarray(offset, offset + chunkLength));
+  }
+  return hasher.digest(32);
+};
+
+describe('k12', function () {
+  assert({
+    given: 'specification vectors',
+    should: 'compute expected outputs',
+    actual: K12_VECTORS.map(function ({ input, outputLength }) {
+      return toHex(k12.create().update(input).digest(outputLength));
+    }),
+    expected: K12_VECTORS.map(function ({ output }) {
+      return output;
+    }),
+  });
+
+  assert({
+    given: 'output longer than a block',
+    should: 'compute expected tail',
+    actual: toHex(k12.create().digest(K12_LONG_OUTPUT_VECTOR.outputLength).subarray(-32)),
+    expected: K12_LONG_OUTPUT_VECTOR.tail,
+  });
+
+  assert({
+    given: 'specification vectors with customization string',
+    should: 'compute expected outputs',
+    actual: CUSTOMIZATION_VECTORS.map(function ({ input, customization }) {
+      return toHex(k12.hash(input, { customization }));
+    }),
+    expected: CUSTOMIZATION_VECTORS.map(function ({ output }) {
+      return output;
+    }),
+  });
+
+  assert({
+    given: 'input in chunks of various lengths',
+    should: 'compute same digest as in one call',
+    actual: [1, 7, 168, 1000, 8191, 8192, 8193].map(function (chunkLength) {
+      return toHex(updateInChunks(ptn(17 * 17 * 17 * 4), chunkLength));
+    }),
+    expected: Array(7).fill(toHex(k12.hash(ptn(17 * 17 * 17 * 4)))),
+  });
+
+  assert({
+    given: 'inputs around chunk boundaries, with and without customization string',
+    should: 'compute same digests as WASM K12',
+    awaitActual: crypto.then(function ({ K12 }) {
+      return [8191, 8192, 8193, 16384, 16385, 3 * 8192 + 5].map(function (length) {
+        const customization = ptn(length % 100);
+        const output = new Uint8Array(32);
+        K12(ptn(length), output, 32, 0, customization);
+        return toHex(updateInChunks(ptn(length), 3000, customization)) === toHex(output);
+      });
+    }),
+    expected: Array(6).fill(true),
+  });
+
+  assert({
+    given: 'string input and customization string',
+    should: 'hash them in UTF-8',
+    actual: toHex(k12.hash('qubic', { customization: 'domain' })),
+    expected: toHex(
+      k12.hash(new TextEncoder().encode('qubic'), {
+        customization: new TextEncoder().encode('domain'),
+      })
+    ),
+  });
+
+  assert({
+    given: 'different customization strings',
+    should: 'compute different digests',
+    actual: toHex(k12.hash('qubic', { customization: 'a' })) === toHex(k12.hash('qubic')),
+    expected: false,
+  });
+
+  assert({
+    given: 'update after digest',
+    should: 'throw error',
+    awaitActual: Try(function () {
+      const hasher = k12.create();
+      hasher.digest();
+      hasher.update(new Uint8Array(1));
+    }),
+    expected: new IllegalStateError('Hasher is finalized.'),
+  });
+
+  assert({
+    given: 'illegal data',
+    should: 'throw error',
+    awaitActual: Try(function () {
+      k12.create().update(1);
+    }),
+    expected: new IllegalArgumentError('Illegal data.'),
+  });
+});
@@ -0,0 +1,251 @@
+'use strict';
+
+import { encryptMessage, decryptMessage, signMessage, verifyMessage } from '../src/message.js';
+import { seedSigner } from '../src/signers/seed.js';
+import { crypto } from '../src/crypto/index.js';
+import { vault as _vault } from '../src/vault.js';
+import { shiftedHexToBytes } from '../src/utils/hex.js';
+import { IDENTITY_VECTORS, SIGNED_MESSAGE_VECTOR } from './vectors.js';
+import { ChecksumError, IllegalArgumentError, SignatureVerificationError } from '../src/errors.js';
+
+const alice = IDENTITY_VECTORS[0];
+const bob = IDENTITY_VECTORS[3];
+const carol = IDENTITY_VECTORS[4];
+
+const fromBase64 = function (string) {
+  return Uint8Array.from(Buffer.from(string, 'base64'));
+};
+
+const decrypt = function (params) {
+  return decryptMessage(params).then(function ({ sender, payload }) {
+    return { sender, payload: new TextDecoder().decode(payload) };
+  });
+};
+
+const envelopeForBob = encryptMessage({
+  seed: alice.seed,
+  index: alice.index,
+  recipient: bob.identity,
+  payload: 'Invoice #42: 1000 energy',
+});
+
+describe('message', function () {
+  assert({
+    given: 'envelope encrypted for recipient identity',
+    should: 'decrypt it with recipient seed, and identify sender',
+    awaitActual: envelopeForBob.then(function (envelope) {
+      return decrypt({ seed: bob.seed, index: bob.index, envelope });
+    }),
+    expected: { sender: alice.identity, payload: 'Invoice #42: 1000 energy' },
+  });
+
+  assert({
+    given: 'payload in bytes and recipient public key',
+    should: 'produce envelope which adds 113 bytes, and decrypt it from bytes',
+    awaitActual: encryptMessage({
+      seed: bob.seed,
+      recipient: shiftedHexToBytes(carol.identity.toLowerCase()).subarray(0, 32),
+      payload: new Uint8Array([1, 2, 3]),
+    }).then(async function (envelope) {
+      const { sender, payload } = await decryptMessage({
+        seed: carol.seed,
+        envelope: fromBase64(envelope),
+      });
+      return [fromBase64(envelope).length, sender, Array.from(payload)];
+    }),
+    expected: [116, bob.identity, [1, 2, 3]],
+  });
+
+  assert({
+    given: 'same payload encrypted twice',
+    should: 'produce different envelopes',
+    awaitActual: Promise.all([
+      envelopeForBob,
+      encryptMessage({
+        seed: alice.seed,
+        recipient: bob.identity,
+        payload: 'Invoice #42: 1000 energy',
+      }),
+    ]).then(function ([a, b]) {
+      return a === b;
+    }),
+    expected: false,
+  });
+
+  assert({
+    given: 'seeds in vault',
+    should: 'encrypt and decrypt once vault is unlocked',
+    awaitActual: (async function () {
+      const vault = _vault({ kdfParams: { N: 16, r: 1, p: 1 }, autoLockTimeout: Infinity });
+      await vault.unlock('passphrase');
+      await vault.addSeed('alice', alice.seed);
+      await vault.addSeed('bob', bob.seed);
+      const envelope = await encryptMessage({
+        vault,
+        label: 'alice',
+        recipient: bob.identity,
+        payload: 'memo',
+      });
+      return decrypt({ vault, label: 'bob', envelope });
+    })(),
+    expected: { sender: alice.identity, payload: 'memo' },
+  });
+
+  assert({
+    given: 'envelope decrypted by other identity',
+    should: 'reject',
+    awaitActual: Try(function () {
+      return envelopeForBob.then(function (envelope) {
+        return decryptMessage({ seed: carol.seed, envelope });
+      });
+    }),
+    expected: new SignatureVerificationError('Invalid message signature.'),
+  });
+
+  assert({
+    given: 'tampered ciphertext',
+    should: 'reject',
+    awaitActual: Try(function () {
+      return envelopeForBob.then(function (envelope) {
+        const bytes = fromBase64(envelope);
+        bytes[49] ^= 1;
+        return decryptMessage({ seed: bob.seed, envelope: bytes });
+      });
+    }),
+    expected: new SignatureVerificationError('Invalid message signature.'),
+  });
+
+  assert({
+    given: 'envelope with sender replaced',
+    should: 'reject',
+    awaitActual: Try(function () {
+      return envelopeForBob.then(function (envelope) {
+        const bytes = fromBase64(envelope);
+        bytes.set(shiftedHexToBytes(carol.identity.toLowerCase()).subarray(0, 32), 1);
+        return decryptMessage({ seed: bob.seed, envelope: bytes });
+      });
+    }),
+    expected: new SignatureVerificationError('Invalid message signature.'),
+  });
+
+  assert({
+    given: 'truncated envelope',
+    should: 'reject',
+    awaitActual: Try(function () {
+      return envelopeForBob.then(function (envelope) {
+        return decryptMessage({ seed: bob.seed, envelope: fromBase64(envelope).subarray(0, 112) });
+      });
+    }),
+    expected: new IllegalArgumentError('Invalid envelope.'),
+  });
+
+  assert({
+    given: 'recipient with wrong checksum',
+    should: 'reject',
+    awaitActual: Try(encryptMessage, {
+      seed: alice.seed,
+      recipient: bob.identity.slice(0, 67) + 'AAA',
+      payload: 'memo',
+    }),
+    expected: new ChecksumError('Invalid recipient.'),
+  });
+
+  assert({
+    given: 'illegal payload',
+    should: 'reject',
+    awaitActual: Try(encryptMessage, { seed: alice.seed, recipient: bob.identity, payload: 1 }),
+    expected: new IllegalArgumentError('Illegal payload.'),
+  });
+});
+
+describe('signMessage and verifyMessage', function () {
+  const challenge = 'Sign in to example.com, nonce 8f3a1c';
+  const signature = signMessage(alice.seed, alice.index, challenge);
+
+  assert({
+    given: 'signed message',
+    should: 'verify signature with identity of signer',
+    awaitActual: signature.then(function (signature) {
+      return verifyMessage(alice.identity, challenge, signature);
+    }),
+    expected: true,
+  });
+
+  assert({
+    given: 'signer instead of seed, and message in bytes',
+    should: 'create same signature',
+    awaitActual: Promise.all([
+      signature,
+      signMessage(undefined, undefined, new TextEncoder().encode(challenge), {
+        signer: seedSigner({ seed: alice.seed, index: alice.index }),
+      }),
+    ]).then(function ([a, b]) {
+      return a === b;
+    }),
+    expected: true,
+  });
+
+  assert({
+    given: 'seed in a vault',
+    should: 'create same signature',
+    awaitActual: (async function () {
+      const vault = _vault({ kdfParams: { N: 16, r: 1, p: 1 }, autoLockTimeout: Infinity });
+      await vault.unlock('passphrase');
+      await vault.addSeed('alice', alice.seed);
+      return (
+        (await signMessage(undefined, alice.index, challenge, { vault, label: 'alice' })) ===
+        (await signature)
+      );
+    })(),
+    expected: true,
+  });
+
+  assert({
+    given: 'other message, other identity or malformed inputs',
+    should: 'not verify',
+    awaitActual: signature.then(function (signature) {
+      return Promise.all([
+        verifyMessage(alice.identity, challenge + ' ', signature),
+        verifyMessage(bob.identity, challenge, signature),
+        verifyMessage(alice.identity.slice(0, 67) + 'AAA', challenge, signature),
+        verifyMessage('alice', challenge, signature),
+        verifyMessage(alice.identity, challenge, signature.slice(0, 20)),
+      ]);
+    }),
+    expected: [false, false, false, false, false],
+  });
+
+  assert({
+    given: 'signature of message',
+    should: 'not be valid for plain K12 digest of message',
+    awaitActual: signature.then(async function (signature) {
+      const { K12, schnorrq } = await crypto;
+      const digest = new Uint8Array(32);
+      K12(new TextEncoder().encode(challenge), digest, 32);
+      return schnorrq.verify(
+        shiftedHexToBytes(alice.identity.toLowerCase()).subarray(0, 32),
+        digest,
+        fromBase64(signature)
+      );
+    }),
+    expected: 0,
+  });
+
+  assert({
+    given: 'known message',
+    should: 'create pinned signature',
+    awaitActual: signMessage(
+      SIGNED_MESSAGE_VECTOR.seed,
+      SIGNED_MESSAGE_VECTOR.index,
+      SIGNED_MESSAGE_VECTOR.message
+    ),
+    expected: SIGNED_MESSAGE_VECTOR.signature,
+  });
+
+  assert({
+    given: 'illegal message',
+    should: 'reject',
+    awaitActual: Try(signMessage, alice.seed, 0, 1),
+    expected: new IllegalArgumentError('Illegal message.'),
+  });
+});
@@ -0,0 +1,189 @@
+'use strict';
+
+import { crypto } from '../src/crypto/index.js';
+import { cryptoPool } from '../src/crypto/pool.js';
+import { fromHex, K12_VECTORS, SCHNORRQ_VECTORS, KEX_VECTOR } from './vectors.js';
+import { CryptoError, IllegalArgumentError, IllegalStateError } from '../src/errors.js';
+
+const toHex = function (bytes) {
+  return Buffer.from(bytes).toString('hex');
+};
+
+// Worker with the interface of Web Workers, which answers on the calling thread.
+const fakeWebWorker = function ({ fail = false } = {}) {
+  const worker = {
+    postMessage({ id, method, args }) {
+      setTimeout(async function () {
+        if (fail) {
+          worker.onerror({ message: 'Boom.' });
+          return;
+        }
+        const { schnorrq } = await crypto;
+        if (method === 'schnorrq.verifyBatch') {
+          worker.onmessage({ data: { id, result: schnorrq.verifyBatch(...args) } });
+        } else {
+          worker.onmessage({ data: { id, error: `Unknown crypto method: ${method}.` } });
+        }
+      });
+    },
+    terminate() {},
+  };
+  return worker;
+};
+
+const pool = cryptoPool({ size: 2 });
+
+afterAll(function () {
+  pool.terminate();
+});
+
+describe('cryptoPool', function () {
+  assert({
+    given: 'K12 calls',
+    should: 'write expected outputs',
+    awaitActual: pool.then(function ({ K12 }) {
+      return Promise.all(
+        K12_VECTORS.map(async function ({ input, outputLength }) {
+          const output = new Uint8Array(outputLength);
+          await K12(input, output, outputLength);
+          return toHex(output);
+        })
+      );
+    }),
+    expected: K12_VECTORS.map(function ({ output }) {
+      return output;
+    }),
+  });
+
+  assert({
+    given: 'schnorrq calls',
+    should: 'resolve with same results as on main thread',
+    awaitActual: pool.then(async function ({ schnorrq }) {
+      const { secretKey, publicKey, message, signature } = SCHNORRQ_VECTORS[0];
+      return [
+        toHex(await schnorrq.generatePublicKey(fromHex(secretKey))),
+        toHex(await schnorrq.sign(fromHex(secretKey), fromHex(publicKey), fromHex(message))),
+        await schnorrq.verify(fromHex(publicKey), fromHex(message), fromHex(signature)),
+        await schnorrq.verify(fromHex(publicKey), new Uint8Array(32), fromHex(signature)),
+      ];
+    }),
+    expected: [SCHNORRQ_VECTORS[0].publicKey, SCHNORRQ_VECTORS[0].signature, 1, 0],
+  });
+
+  assert({
+    given: 'batch split among workers',
+    should: 'resolve with results in order of batch',
+    awaitActual: pool.then(function ({ schnorrq }) {
+      const batch = [];
+      for (let i = 0; i < 5; i++) {
+        const { publicKey, message, signature } = SCHNORRQ_VECTORS[i % 2];
+        batch.push({
+          publicKey: fromHex(publicKey),
+          message: i === 3 ? new Uint8Array(32) : fromHex(message),
+          signature: fromHex(signature),
+        });
+      }
+      return schnorrq.verifyBatch(batch);
+    }),
+    expected: [1, 1, 1, 0, 1],
+  });
+
+  assert({
+    given: 'kex calls',
+    should: 'agree on expected shared key',
+    awaitActual: pool.then(async function ({ kex }) {
+      return [
+        toHex(await kex.generateCompressedPublicKey(fromHex(KEX_VECTOR.secretKeyA))),
+        toHex(
+          await kex.compressedSecretAgreement(
+            fromHex(KEX_VECTOR.secretKeyA),
+            fromHex(KEX_VECTOR.compressedPublicKeyB)
+          )
+        ),
+      ];
+    }),
+    expected: [KEX_VECTOR.compressedPublicKeyA, KEX_VECTOR.sharedKey],
+  });
+
+  assert({
+    given: 'error in worker',
+    should: 'reject with its message',
+    awaitActual: Try(function () {
+      return pool.then(function ({ schnorrq }) {
+        return schnorrq.verifyBatch([{}]);
+      });
+    }),
+    expected: new CryptoError("Cannot read properties of undefined (reading 'length')"),
+  });
+
+  assert({
+    given: 'Web Worker',
+    should: 'verify batch',
+    awaitActual: cryptoPool({ createWorker: fakeWebWorker }).then(function ({ schnorrq }) {
+      const { publicKey, message, signature } = SCHNORRQ_VECTORS[0];
+      return schnorrq.verifyBatch([
+        { publicKey: fromHex(publicKey), message: fromHex(message), signature: fromHex(signature) },
+      ]);
+    }),
+    expected: [1],
+  });
+
+  assert({
+    given: 'failing worker',
+    should: 'reject pending calls',
+    awaitActual: Try(function () {
+      return cryptoPool({
+        size: 1,
+        createWorker() {
+          return fakeWebWorker({ fail: true });
+        },
+      }).then(function ({ schnorrq }) {
+        return schnorrq.verify(new Uint8Array(32), new Uint8Array(32), new Uint8Array(64));
+      });
+    }),
+    expected: new CryptoError('Boom.'),
+  });
+
+  assert({
+    given: 'worker which fails to start',
+    should: 'reject pending calls, and start another worker on next call',
+    awaitActual: (async function () {
+      let attempts = 0;
+      const failingPool = cryptoPool({
+        size: 1,
+        createWorker() {
+          return ++attempts === 1
+            ? Promise.reject(new CryptoError('Failed to start.'))
+            : fakeWebWorker();
+        },
+      });
+      const { schnorrq } = await failingPool;
+      const { publicKey, message, signature } = SCHNORRQ_VECTORS[0];
+      const batch = [
+        { publicKey: fromHex(publicKey), message: fromHex(message), signature: fromHex(signature) },
+      ];
+      return [await Try(schnorrq.verifyBatch, batch), await schnorrq.verifyBatch(batch)];
+    })(),
+    expected: [new CryptoError('Failed to start.'), [1]],
+  });
+
+  assert({
+    given: 'terminated pool',
+    should: 'reject calls',
+    awaitActual: Try(function () {
+      const terminatedPool = cryptoPool();
+      terminatedPool.terminate();
+      return terminatedPool.then(function ({ schnorrq }) {
+        return schnorrq.verify(new Uint8Array(32), new Uint8Array(32), new Uint8Array(64));
+      });
+    }),
+    expected: new IllegalStateError('Crypto pool is terminated.'),
+  });
+
+  assert({
+    given: 'illegal size',
+    should: 'throw error',
+    awaitActual: Try(cryptoPool, { size: 0 }),
+    expected: new IllegalArgumentError('Illegal size.'),
+  });
+});
@@ -0,0 +1,335 @@
+'use strict';
+
+import {
+  decode,
+  encode,
+  frameDecoder,
+  offsetOf,
+  sizeOf,
+  ProtocolError,
+  TruncatedFrameError,
+} from '../src/protocol.js';
+
+const digest = new Uint8Array(32).fill(7);
+
+describe('protocol.encode', function () {
+  assert({
+    given: 'transfer status request',
+    should: 'lay out header and fields',
+    actual: Array.from(
+      encode('transferStatusRequest', { timestamp: 2n, digest, computorIndex: 513 })
+    ),
+    expected: [
+      58,
+      0,
+      0,
+      0,
+      0,
+      1,
+      0,
+      0,
+      3,
+      0,
+      0,
+      0,
+      0,
+      0,
+      0,
+      0,
+      2,
+      0,
+      0,
+      0,
+      0,
+      0,
+      0,
+      0,
+      ...Array(32).fill(7),
+      1,
+      2,
+    ],
+  });
+
+  assert({
+    given: 'missing field',
+    should: 'throw protocol error',
+    awaitActual: Try(encode, 'transferStatusRequest', { timestamp: 2n, digest }),
+    expected: new ProtocolError('Missing computorIndex.'),
+  });
+
+  assert({
+    given: 'computor index out of range',
+    should: 'throw protocol error',
+    awaitActual: Try(encode, 'transferStatusRequest', {
+      timestamp: 2n,
+      digest,
+      computorIndex: 676,
+    }),
+    expected: new ProtocolError('Illegal computorIndex: 676 exceeds 675.'),
+  });
+
+  assert({
+    given: 'digest of wrong length',
+    should: 'throw protocol error',
+    awaitActual: Try(encode, 'transferStatusRequest', {
+      timestamp: 2n,
+      digest: new Uint8Array(31),
+      computorIndex: 0,
+    }),
+    expected: new ProtocolError('Illegal digest: expected 32 bytes.'),
+  });
+
+  assert({
+    given: 'unknown message type',
+    should: 'throw protocol error',
+    awaitActual: Try(encode, 'foo'),
+    expected: new ProtocolError('Unknown message type: foo.'),
+  });
+});
+
+describe('protocol.decode', function () {
+  assert({
+    given: 'encoded transfer status',
+    should: 'decode all fields',
+    actual: (function () {
+      const frame = encode('transferStatus', {
+        timestamp: 3n,
+        digest,
+        status: new Uint8Array(169).fill(0b10101010),
+        computorIndex: 5,
+        epoch: 6,
+        tick: 7,
+        signature: new Uint8Array(64).fill(1),
+      });
+      const { type, size, timestamp, computorIndex, epoch, tick, status, signature } = decode(
+        frame.buffer
+      );
+      return {
+        type,
+        size,
+        timestamp,
+        computorIndex,
+        epoch,
+        tick,
+        status: status[168],
+        signature: signature.length,
+      };
+    })(),
+    expected: {
+      type: 'transferStatus',
+      size: 300,
+      timestamp: 3n,
+      computorIndex: 5,
+      epoch: 6,
+      tick: 7,
+      status: 0b10101010,
+      signature: 64,
+    },
+  });
+
+  assert({
+    given: 'public peers',
+    should: 'decode IPv4 addresses',
+    actual: decode(encode('exchangePublicPeers', { peers: ['1.2.3.4', '255.0.0.1'] })).peers,
+    expected: ['1.2.3.4', '255.0.0.1', '0.0.0.0', '0.0.0.0'],
+  });
+
+  assert({
+    given: 'node info request and response of same websocket request type',
+    should: 'tell them apart by size',
+    actual: [
+      decode(encode('nodeInfoRequest', { timestamp: 1n })).type,
+      decode(
+        encode('nodeInfo', {
+          role: 0,
+          ownPublicKey: new Uint8Array(32),
+          numberOfProcessors: 2,
+          numberOfBusyProcessors: 1,
+          launchTime: 0n,
+          numberOfProcessedRequests: 0n,
+          numberOfReceivedBytes: 0n,
+          numberOfTransmittedBytes: 0n,
+          numberOfPeers: 0,
+        })
+      ).type,
+    ],
+    expected: ['nodeInfoRequest', 'nodeInfo'],
+  });
+
+  assert({
+    given: 'buffer with trailing frames',
+    should: 'decode first frame only',
+    actual: (function () {
+      const a = encode('computerStateRequest', { timestamp: 1n });
+      const b = encode('exchangePublicPeers');
+      const buffer = new Uint8Array(a.length + b.length);
+      buffer.set(a);
+      buffer.set(b, a.length);
+      const { type, size } = decode(buffer);
+      return { type, size };
+    })(),
+    expected: { type: 'computerStateRequest', size: 24 },
+  });
+
+  assert({
+    given: 'buffer shorter than header',
+    should: 'throw truncated frame error',
+    awaitActual: Try(decode, new Uint8Array(5)),
+    expected: new TruncatedFrameError('Truncated header.'),
+  });
+
+  assert({
+    given: 'buffer shorter than size in header',
+    should: 'throw truncated frame error',
+    awaitActual: (async function () {
+      const error = await Try(
+        decode,
+        encode('computerStateRequest', { timestamp: 1n }).subarray(0, 20)
+      );
+      return [error instanceof TruncatedFrameError, error.expectedLength, error.actualLength];
+    })(),
+    expected: [true, 24, 20],
+  });
+
+  assert({
+    given: 'size in header shorter than message schema',
+    should: 'throw truncated frame error',
+    awaitActual: (async function () {
+      const frame = encode('transferStatusRequest', { timestamp: 1n, digest, computorIndex: 0 });
+      new DataView(frame.buffer).setUint32(0, 40, true);
+      const error = await Try(decode, frame);
+      return [error instanceof TruncatedFrameError, error.messageType];
+    })(),
+    expected: [true, 'transferStatusRequest'],
+  });
+
+  assert({
+    given: 'unknown request type',
+    should: 'throw protocol error with frame size',
+    awaitActual: (async function () {
+      const frame = new Uint8Array(12);
+      const frameView = new DataView(frame.buffer);
+      frameView.setUint32(0, 12, true);
+      frameView.setUint16(6, 42, true);
+      const error = await Try(decode, frame);
+      return [error.message, error.size];
+    })(),
+    expected: ['Unknown message with request type 42.', 12],
+  });
+
+  assert({
+    given: 'illegal protocol version',
+    should: 'throw protocol error',
+    awaitActual: (async function () {
+      const frame = encode('exchangePublicPeers');
+      frame[5] = 2;
+      return Try(decode, frame);
+    })(),
+    expected: new ProtocolError('Illegal protocolVersion: expected 256, got 512.'),
+  });
+});
+
+describe('protocol.offsetOf', function () {
+  assert({
+    given: 'computer state fields',
+    should: 'return offsets in frame',
+    actual: [
+      offsetOf('computerState', 'computorIndex'),
+      offsetOf('computerState', 'computorPublicKeys'),
+      offsetOf('computerState', 'signature'),
+      sizeOf('computerState'),
+      offsetOf('transferStatus', 'computorIndex'),
+      sizeOf('transferStatus', 'status'),
+    ],
+    expected: [24, 40, 21672, 21736, 228, 169],
+  });
+});
+
+describe('protocol.frameDecoder', function () {
+  const a = encode('computerStateRequest', { timestamp: 1n });
+  const b = encode('transferStatusRequest', { timestamp: 2n, digest, computorIndex: 3 });
+  const c = encode('exchangePublicPeers', { peers: ['1.2.3.4'] });
+  const concat = function (...chunks) {
+    const bytes = new Uint8Array(
+      chunks.reduce(function (length, chunk) {
+        return length + chunk.length;
+      }, 0)
+    );
+    chunks.reduce(function (offset, chunk) {
+      bytes.set(chunk, offset);
+      return offset + chunk.length;
+    }, 0);
+    return bytes;
+  };
+  const types = function (frames) {
+    return frames.map(function (frame) {
+      return decode(frame).type;
+    });
+  };
+
+  assert({
+    given: 'frame split across chunks, including its size',
+    should: 'buffer it until complete',
+    actual: (function () {
+      const frames = frameDecoder();
+      return [
+        types(frames.push(b.subarray(0, 2))),
+        types(frames.push(b.subarray(2, 30).slice().buffer)),
+        frames.bufferedLength,
+        types(frames.push(b.subarray(30))),
+        frames.bufferedLength,
+      ];
+    })(),
+    expected: [[], [], 30, ['transferStatusRequest'], 0],
+  });
+
+  assert({
+    given: 'several frames coalesced in chunks',
+    should: 'split them',
+    actual: (function () {
+      const frames = frameDecoder();
+      const bytes = concat(a, b, c);
+      return [types(frames.push(bytes.subarray(0, 30))), types(frames.push(bytes.subarray(30)))];
+    })(),
+    expected: [['computerStateRequest'], ['transferStatusRequest', 'exchangePublicPeers']],
+  });
+
+  assert({
+    given: 'frames',
+    should: 'return copies with own buffers',
+    actual: (function () {
+      const [frame] = frameDecoder().push(concat(a, b));
+      return [frame.byteOffset, frame.buffer.byteLength];
+    })(),
+    expected: [0, a.length],
+  });
+
+  assert({
+    given: 'frame of zero size',
+    should: 'throw protocol error and discard buffered bytes',
+    awaitActual: (async function () {
+      const frames = frameDecoder();
+      frames.push(a.subarray(0, 10));
+      const error = await Try(frames.push, new Uint8Array(20));
+      return [error.message, frames.bufferedLength];
+    })(),
+    expected: ['Illegal frame size: 0.', 0],
+  });
+
+  assert({
+    given: 'valid frame followed by frame of illegal size in the same chunk',
+    should: 'pass decoded frame along with protocol error',
+    awaitActual: (async function () {
+      const error = await Try(frameDecoder({ maxFrameSize: 40 }).push, concat(a, b));
+      return [error.message, types(error.frames)];
+    })(),
+    expected: ['Illegal frame size: 58.', ['computerStateRequest']],
+  });
+
+  assert({
+    given: 'frame larger than max frame size',
+    should: 'throw protocol error',
+    awaitActual: Try(frameDecoder({ maxFrameSize: 40 }).push, b),
+    expected: new ProtocolError('Illegal frame size: 58.'),
+  });
+});
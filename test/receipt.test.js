@@ -0,0 +1,197 @@
+'use strict';
+
+import { verifyReceipt, QUORUM } from '../src/receipt.js';
+import { transfer } from '../src/transfer.js';
+import { identity } from '../src/identity.js';
+import { crypto } from '../src/crypto/index.js';
+import { cryptoPool } from '../src/crypto/pool.js';
+import { bytesToShiftedHex } from '../src/utils/hex.js';
+
+const seed = 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu';
+const destination = 'DCMJGMELMPBOJCCOFAICMJCBKENNOPEJCLIPBKKKDKLDOMKFBPOFHFLGAHLNAFMKMHHOAE';
+const NUMBER_OF_COMPUTORS = 676;
+const COMPUTER_STATE_LENGTH = 2 + 2 + 4 + 8 + NUMBER_OF_COMPUTORS * 32 + 64;
+const REPORT_LENGTH = 32 + 169 + 3 + 2 + 2 + 4 + 64;
+const EPOCH = 7;
+const TICK = 1234;
+
+const keys = crypto.then(function ({ schnorrq }) {
+  const secretKey = function (i) {
+    return new Uint8Array(32).fill(i % 256).map(function (x, j) {
+      return j === 0 ? i >> 8 : x;
+    });
+  };
+  const adminSecretKey = new Uint8Array(32).fill(255);
+  const computors = [];
+  for (let i = 0; i < QUORUM; i++) {
+    const sk = secretKey(i);
+    computors.push({ secretKey: sk, publicKey: schnorrq.generatePublicKey(sk) });
+  }
+  return {
+    admin: { secretKey: adminSecretKey, publicKey: schnorrq.generatePublicKey(adminSecretKey) },
+    computors,
+  };
+});
+
+const createReceipt = async function ({ numberOfReporters, adminSecretKey }) {
+  const { K12, schnorrq } = await crypto;
+  const { admin, computors } = await keys;
+  const t = await transfer({
+    seed,
+    index: 0,
+    source: await identity(seed, 0),
+    destination,
+    energy: 1000000n,
+  });
+
+  const computerState = new Uint8Array(COMPUTER_STATE_LENGTH);
+  const computerStateView = new DataView(computerState.buffer);
+  computerStateView.setUint16(0, NUMBER_OF_COMPUTORS, true);
+  computerStateView.setUint16(2, EPOCH, true);
+  computerStateView.setUint32(4, TICK, true);
+  computors.forEach(function ({ publicKey }, i) {
+    computerState.set(publicKey, 16 + i * 32);
+  });
+  const computerStateDigest = new Uint8Array(32);
+  K12(computerState.subarray(0, COMPUTER_STATE_LENGTH - 64), computerStateDigest, 32);
+  const sk = adminSecretKey || admin.secretKey;
+  computerState.set(
+    schnorrq.sign(sk, schnorrq.generatePublicKey(sk), computerStateDigest),
+    COMPUTER_STATE_LENGTH - 64
+  );
+
+  const receipt = new Uint8Array(
+    t.bytes.length + COMPUTER_STATE_LENGTH + numberOfReporters * REPORT_LENGTH
+  );
+  const receiptView = new DataView(receipt.buffer);
+  receipt.set(t.bytes, 0);
+  receipt.set(computerState, t.bytes.length);
+
+  for (let i = 0; i < numberOfReporters; i++) {
+    const offset = t.bytes.length + COMPUTER_STATE_LENGTH + i * REPORT_LENGTH;
+    receipt.set(t.hashBytes, offset);
+    receipt.fill(0b10101010, offset + 32, offset + 32 + 169);
+    receiptView.setUint16(offset + 204, i, true);
+    receiptView.setUint16(offset + 206, EPOCH, true);
+    receiptView.setUint32(offset + 208, TICK, true);
+    const message = receipt.slice(offset, offset + REPORT_LENGTH - 64);
+    message[0] ^= 3;
+    const digest = new Uint8Array(32);
+    K12(message, digest, 32);
+    receipt.set(
+      schnorrq.sign(computors[i].secretKey, computors[i].publicKey, digest),
+      offset + REPORT_LENGTH - 64
+    );
+  }
+
+  return { receipt, adminPublicKey: bytesToShiftedHex(admin.publicKey).toUpperCase() };
+};
+
+describe('receipt.verify', function () {
+  assert({
+    given: 'receipt with quorum of processed reports',
+    should: 'resolve with valid result',
+    awaitActual: createReceipt({ numberOfReporters: QUORUM }).then(async function ({
+      receipt,
+      adminPublicKey,
+    }) {
+      const result = await verifyReceipt(Buffer.from(receipt).toString('base64'), {
+        adminPublicKey,
+      });
+      return {
+        valid: result.valid,
+        epoch: result.epoch,
+        tick: result.tick,
+        signers: result.signers.length,
+        statuses: result.statuses.filter(Boolean).length,
+        processed: result.processed,
+        seen: result.seen,
+        unseen: result.unseen,
+        isQuorumReached: result.isQuorumReached,
+      };
+    }),
+    expected: {
+      valid: true,
+      epoch: EPOCH,
+      tick: TICK,
+      signers: QUORUM,
+      statuses: QUORUM,
+      processed: QUORUM,
+      seen: 0,
+      unseen: NUMBER_OF_COMPUTORS - QUORUM,
+      isQuorumReached: true,
+    },
+  });
+
+  assert({
+    given: 'receipt without quorum',
+    should: 'resolve with invalid result',
+    awaitActual: createReceipt({ numberOfReporters: 3 }).then(async function ({
+      receipt,
+      adminPublicKey,
+    }) {
+      const { valid, reason, signers, processed } = await verifyReceipt(receipt, {
+        adminPublicKey,
+      });
+      return { valid, reason, signers, processed };
+    }),
+    expected: { valid: false, reason: 'Quorum not reached.', signers: [0, 1, 2], processed: 3 },
+  });
+
+  assert({
+    given: 'receipt with tampered computor report',
+    should: 'exclude computor from signers',
+    awaitActual: createReceipt({ numberOfReporters: 3 }).then(async function ({
+      receipt,
+      adminPublicKey,
+    }) {
+      receipt[receipt.length - REPORT_LENGTH + 32] ^= 1;
+      return (await verifyReceipt(receipt, { adminPublicKey })).signers;
+    }),
+    expected: [0, 1],
+  });
+
+  assert({
+    given: 'receipt signed by wrong admin',
+    should: 'resolve with invalid computer state signature',
+    awaitActual: createReceipt({
+      numberOfReporters: 1,
+      adminSecretKey: new Uint8Array(32).fill(1),
+    }).then(async function ({ receipt, adminPublicKey }) {
+      return (await verifyReceipt(receipt, { adminPublicKey })).reason;
+    }),
+    expected: 'Invalid computer state signature.',
+  });
+
+  assert({
+    given: 'truncated receipt',
+    should: 'resolve with invalid length',
+    awaitActual: createReceipt({ numberOfReporters: 1 }).then(function ({
+      receipt,
+      adminPublicKey,
+    }) {
+      return verifyReceipt(receipt.subarray(1), { adminPublicKey });
+    }),
+    expected: { valid: false, reason: 'Invalid receipt length.' },
+  });
+
+  const pool = cryptoPool({ size: 2 });
+  afterAll(function () {
+    pool.terminate();
+  });
+
+  assert({
+    given: 'crypto pool',
+    should: 'resolve with same result as on main thread',
+    awaitActual: createReceipt({ numberOfReporters: QUORUM }).then(async function ({
+      receipt,
+      adminPublicKey,
+    }) {
+      receipt[receipt.length - REPORT_LENGTH + 32] ^= 1;
+      return (await verifyReceipt(receipt, { adminPublicKey, crypto: pool })).signers;
+    }),
+    expected: Array.from({ length: QUORUM - 1 }, function (_, i) {
+      return i;
+    }),
+  });
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+import { generateSeed, formatSeed, parseSeed, validateSeed } from '../src/seed.js';
+import { InvalidSeedError } from '../src/errors.js';
+
+const seed = 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu';
+
+describe('generateSeed', function () {
+  assert({
+    given: 'no arguments',
+    should: 'generate distinct seeds of 55 lowercase latin chars',
+    actual: (function () {
+      const seeds = Array.from({ length: 100 }, generateSeed);
+      return {
+        wellFormed: seeds.every(function (seed) {
+          return /^[a-z]{55}$/.test(seed);
+        }),
+        distinct: new Set(seeds).size,
+      };
+    })(),
+    expected: { wellFormed: true, distinct: 100 },
+  });
+
+  assert({
+    given: 'many seeds',
+    should: 'use every letter of the alphabet',
+    actual: new Set(Array.from({ length: 20 }, generateSeed).join('')).size,
+    expected: 26,
+  });
+});
+
+describe('formatSeed', function () {
+  assert({
+    given: 'seed',
+    should: 'split it in groups of 5',
+    actual: formatSeed(seed),
+    expected: 'vmscm tbcqj bqyqc ckegs fdsrc gjpee jobol mimgo rsqwg upzhk evreu',
+  });
+
+  assert({
+    given: 'group length and separator',
+    should: 'use them',
+    actual: formatSeed(seed, { groupLength: 11, separator: '-' }),
+    expected: 'vmscmtbcqjb-qyqcckegsfd-srcgjpeejob-olmimgorsqw-gupzhkevreu',
+  });
+});
+
+describe('parseSeed', function () {
+  assert({
+    given: 'formatted seed in uppercase',
+    should: 'return seed',
+    actual: parseSeed(formatSeed(seed, { separator: ' - ' }).toUpperCase()),
+    expected: seed,
+  });
+
+  assert({
+    given: 'seed with a missing char',
+    should: 'throw',
+    awaitActual: Try(parseSeed, formatSeed(seed).slice(1)),
+    expected: new InvalidSeedError('Invalid seed. Must be 55 lowercase latin chars.'),
+  });
+});
+
+describe('validateSeed', function () {
+  assert({
+    given: 'formatted seed and its checksum',
+    should: 'resolve with true',
+    awaitActual: validateSeed(formatSeed(seed), 'plh'),
+    expected: true,
+  });
+
+  assert({
+    given: 'seed with a typo',
+    should: 'resolve with false',
+    awaitActual: validateSeed(seed.replace('vm', 'vn'), 'PLH'),
+    expected: false,
+  });
+
+  assert({
+    given: 'malformed seed',
+    should: 'resolve with false',
+    awaitActual: validateSeed('abc', 'PLH'),
+    expected: false,
+  });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+import { splitSeed, combineShares } from '../src/shamir.js';
+import { ChecksumError, IllegalArgumentError, InvalidShareError } from '../src/errors.js';
+
+const seed = 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu';
+
+const combinations = function (array, k) {
+  if (k === 0) {
+    return [[]];
+  }
+  return array.flatMap(function (item, i) {
+    return combinations(array.slice(i + 1), k - 1).map(function (rest) {
+      return [item, ...rest];
+    });
+  });
+};
+
+describe('splitSeed', function () {
+  assert({
+    given: '3-of-5 split',
+    should: 'create 5 shares of 62 lowercase latin chars',
+    awaitActual: splitSeed(seed, { threshold: 3, shares: 5 }).then(function (shares) {
+      return shares.map(function (share) {
+        return /^[a-z]{62}$/.test(share);
+      });
+    }),
+    expected: [true, true, true, true, true],
+  });
+
+  assert({
+    given: 'threshold greater than shares',
+    should: 'reject',
+    awaitActual: Try(splitSeed, seed, { threshold: 4, shares: 3 }),
+    expected: new IllegalArgumentError('Illegal threshold.'),
+  });
+
+  assert({
+    given: 'more than 25 shares',
+    should: 'reject',
+    awaitActual: Try(splitSeed, seed, { threshold: 2, shares: 26 }),
+    expected: new IllegalArgumentError('Illegal shares.'),
+  });
+});
+
+describe('combineShares', function () {
+  const shares = splitSeed(seed, { threshold: 3, shares: 5 });
+
+  assert({
+    given: 'any 3 of 5 shares',
+    should: 'recover seed',
+    awaitActual: shares.then(async function (shares) {
+      const seeds = await Promise.all(combinations(shares, 3).map(combineShares));
+      return seeds.every(function (s) {
+        return s === seed;
+      });
+    }),
+    expected: true,
+  });
+
+  assert({
+    given: 'all shares, written in groups and uppercase',
+    should: 'recover seed',
+    awaitActual: shares.then(function (shares) {
+      return combineShares(
+        shares.map(function (share) {
+          return share
+            .match(/.{1,5}/g)
+            .join(' ')
+            .toUpperCase();
+        })
+      );
+    }),
+    expected: seed,
+  });
+
+  assert({
+    given: '2 of 3 required shares',
+    should: 'reject',
+    awaitActual: shares.then(function (shares) {
+      return Try(combineShares, shares.slice(0, 2));
+    }),
+    expected: new InvalidShareError('Not enough shares. 3 are required.'),
+  });
+
+  assert({
+    given: 'share with a typo',
+    should: 'reject',
+    awaitActual: shares.then(function (shares) {
+      const share = shares[0];
+      const typo = share.slice(0, 10) + (share[10] === 'a' ? 'b' : 'a') + share.slice(11);
+      return Try(combineShares, [typo, shares[1], shares[2]]);
+    }),
+    expected: new ChecksumError('Invalid share checksum.'),
+  });
+
+  assert({
+    given: 'shares of different splits',
+    should: 'reject',
+    awaitActual: Promise.all([shares, splitSeed(seed, { threshold: 2, shares: 2 })]).then(
+      function ([a, b]) {
+        return Try(combineShares, [a[0], a[1], b[0]]);
+      }
+    ),
+    expected: new InvalidShareError('Inconsistent shares.'),
+  });
+});
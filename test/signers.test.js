@@ -0,0 +1,205 @@
+'use strict';
+
+import { seedSigner, remoteSigner } from '../src/signers/index.js';
+import { loopbackTransport } from '../src/transports/index.js';
+import { transfer, verifyTransfer } from '../src/transfer.js';
+import { identity } from '../src/identity.js';
+import { vault } from '../src/vault.js';
+import { bytesToShiftedHex } from '../src/utils/hex.js';
+import {
+  ConnectionError,
+  IllegalArgumentError,
+  InvalidSeedError,
+  SignatureVerificationError,
+  TimeoutError,
+} from '../src/errors.js';
+
+const seed = 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu';
+const destination = 'DCMJGMELMPBOJCCOFAICMJCBKENNOPEJCLIPBKKKDKLDOMKFBPOFHFLGAHLNAFMKMHHOAE';
+
+const toBase64 = function (bytes) {
+  return Buffer.from(bytes).toString('base64');
+};
+
+const signerProcess = function (signer, { tamper = false, silent = false } = {}) {
+  return loopbackTransport(function (socket) {
+    socket.onmessage = async function ({ data }) {
+      const { id, method, params } = JSON.parse(new TextDecoder().decode(data));
+      if (silent) {
+        return;
+      }
+      let response;
+      switch (method) {
+        case 'getPublicKey':
+          response = { result: { publicKey: toBase64(await signer.getPublicKey()) } };
+          break;
+        case 'signDigest': {
+          const signature = await signer.signDigest(
+            Uint8Array.from(Buffer.from(params.digest, 'base64'))
+          );
+          if (tamper) {
+            signature[0] ^= 1;
+          }
+          response = { result: { signature: toBase64(signature) } };
+          break;
+        }
+        default:
+          response = { error: { code: -32601, message: 'Method not found' } };
+      }
+      socket.send(new TextEncoder().encode(JSON.stringify({ jsonrpc: '2.0', id, ...response })));
+    };
+  });
+};
+
+describe('seedSigner', function () {
+  assert({
+    given: 'seed and index',
+    should: 'expose public key of identity',
+    awaitActual: (async function () {
+      const publicKey = await seedSigner({ seed, index: 1 }).getPublicKey();
+      return (await identity(seed, 1)).startsWith(bytesToShiftedHex(publicKey).toUpperCase());
+    })(),
+    expected: true,
+  });
+
+  assert({
+    given: 'failure to derive public key',
+    should: 'retry on next call',
+    awaitActual: (async function () {
+      const v = vault({ kdfParams: { N: 16, r: 1, p: 1 }, autoLockTimeout: Infinity });
+      await v.unlock('passphrase');
+      const signer = seedSigner({ vault: v, label: 'main' });
+      const error = await Try(signer.getPublicKey);
+      await v.addSeed('main', seed);
+      const publicKey = await signer.getPublicKey();
+      return [
+        error.message,
+        (await identity(seed, 0)).startsWith(bytesToShiftedHex(publicKey).toUpperCase()),
+      ];
+    })(),
+    expected: ['Unknown seed main.', true],
+  });
+
+  assert({
+    given: 'invalid seed',
+    should: 'throw',
+    awaitActual: Try(seedSigner, { seed: 'abc' }),
+    expected: new InvalidSeedError('Invalid seed. Must be 55 lowercase latin chars.'),
+  });
+});
+
+describe('transfer with signer', function () {
+  assert({
+    given: 'seed signer and no source',
+    should: 'create a valid transfer from identity of signer',
+    awaitActual: (async function () {
+      const t = await transfer({
+        signer: seedSigner({ seed, index: 2 }),
+        destination,
+        energy: 1000000n,
+      });
+      const { valid } = await verifyTransfer(t.bytes);
+      return { valid, source: t.source === (await identity(seed, 2)) };
+    })(),
+    expected: { valid: true, source: true },
+  });
+
+  assert({
+    given: 'source of other identity',
+    should: 'reject',
+    awaitActual: (async function () {
+      return Try(transfer, {
+        signer: seedSigner({ seed, index: 2 }),
+        source: await identity(seed, 0),
+        destination,
+        energy: 1000000n,
+      });
+    })(),
+    expected: new IllegalArgumentError('Source does not match signer.'),
+  });
+});
+
+describe('remoteSigner', function () {
+  assert({
+    given: 'remote process holding the seed',
+    should: 'sign valid transfers without the seed',
+    awaitActual: (async function () {
+      const signer = remoteSigner({
+        url: 'ws://127.0.0.1:8787',
+        transport: signerProcess(seedSigner({ seed, index: 3 })),
+      });
+      const t = await transfer({ signer, destination, energy: 1000000n });
+      signer.close();
+      const { valid } = await verifyTransfer(t.bytes);
+      return { valid, source: t.source === (await identity(seed, 3)) };
+    })(),
+    expected: { valid: true, source: true },
+  });
+
+  assert({
+    given: 'signature which does not verify',
+    should: 'reject',
+    awaitActual: (async function () {
+      const signer = remoteSigner({
+        url: 'ws://127.0.0.1:8787',
+        transport: signerProcess(seedSigner({ seed }), { tamper: true }),
+      });
+      const error = await Try(signer.signDigest, new Uint8Array(32).fill(7));
+      signer.close();
+      return error;
+    })(),
+    expected: new SignatureVerificationError('Invalid signature from remote signer.'),
+  });
+
+  assert({
+    given: 'unresponsive remote process',
+    should: 'reject on timeout',
+    awaitActual: (async function () {
+      const signer = remoteSigner({
+        url: 'ws://127.0.0.1:8787',
+        transport: signerProcess(seedSigner({ seed }), { silent: true }),
+        timeout: 1000,
+      });
+      const error = await Try(signer.getPublicKey);
+      signer.close();
+      return error;
+    })(),
+    expected: new TimeoutError('Remote signer timed out.'),
+  });
+
+  assert({
+    given: 'remote process which never accepts the connection',
+    should: 'reject on timeout',
+    awaitActual: (async function () {
+      const signer = remoteSigner({
+        url: 'ws://127.0.0.1:8787',
+        transport: function () {
+          return { readyState: 0, send() {}, close() {} };
+        },
+        timeout: 100,
+      });
+      return Promise.all([Try(signer.getPublicKey), Try(signer.signDigest, new Uint8Array(32))]);
+    })(),
+    expected: [
+      new ConnectionError('Remote signer connection timed out.'),
+      new ConnectionError('Remote signer connection timed out.'),
+    ],
+  });
+
+  assert({
+    given: 'remote process which disconnects',
+    should: 'reject pending requests',
+    awaitActual: (async function () {
+      const signer = remoteSigner({
+        url: 'ws://127.0.0.1:8787',
+        transport: loopbackTransport(function (socket) {
+          socket.onmessage = function () {
+            socket.close();
+          };
+        }),
+      });
+      return Try(signer.getPublicKey);
+    })(),
+    expected: new ConnectionError('Remote signer disconnected.'),
+  });
+});
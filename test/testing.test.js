@@ -0,0 +1,167 @@
+'use strict';
+
+import { mockNetwork } from '../src/testing/index.js';
+import { connection as _connection } from '../src/connection.js';
+import { transfer } from '../src/transfer.js';
+import { identity } from '../src/identity.js';
+import { encode } from '../src/protocol.js';
+
+jest.setTimeout(10 * 1000);
+
+const seed = 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu';
+const destination = 'DCMJGMELMPBOJCCOFAICMJCBKENNOPEJCLIPBKKKDKLDOMKFBPOFHFLGAHLNAFMKMHHOAE';
+
+const network = mockNetwork();
+
+const connect = function (network) {
+  return _connection({
+    peers: network.peers,
+    adminPublicKey: network.adminPublicKey,
+    transport: network.transport,
+    computerStateSynchronizationTimeoutDuration: 100,
+    computerStateSynchronizationDelayDuration: 100,
+  });
+};
+
+const maxStatusWithin = function (network, duration) {
+  const connection = connect(network);
+  let maxStatus = 0;
+  connection.addListener('info', function ({ computerState }) {
+    maxStatus = Math.max(maxStatus, computerState.status);
+  });
+  return new Promise(function (resolve) {
+    setTimeout(function () {
+      connection.removeAllListeners('info');
+      connection.close();
+      resolve(maxStatus);
+    }, duration);
+  });
+};
+
+describe('mockNetwork', function () {
+  assert({
+    given: 'healthy peers',
+    should: 'synchronize connection with all 3 peers',
+    awaitActual: network.then(function (network) {
+      return maxStatusWithin(network, 800);
+    }),
+    expected: 3,
+  });
+
+  assert({
+    given: 'peer with lagging tick',
+    should: 'synchronize connection with 2 peers',
+    awaitActual: mockNetwork({ faults: { '10.0.0.3': { tickLag: 1 } } }).then(function (network) {
+      return maxStatusWithin(network, 800);
+    }),
+    expected: 2,
+  });
+
+  assert({
+    given: 'peer with bad signatures',
+    should: 'synchronize connection with 2 peers',
+    awaitActual: mockNetwork({ faults: { '10.0.0.1': { badSignatures: true } } }).then(function (
+      network
+    ) {
+      return maxStatusWithin(network, 800);
+    }),
+    expected: 2,
+  });
+
+  assert({
+    given: 'peers which fragment and coalesce frames',
+    should: 'synchronize connection with all 3 peers',
+    awaitActual: mockNetwork({
+      faults: {
+        '10.0.0.1': { fragmented: true },
+        '10.0.0.2': { fragmented: true },
+        '10.0.0.3': { fragmented: true },
+      },
+    }).then(function (network) {
+      return maxStatusWithin(network, 800);
+    }),
+    expected: 3,
+  });
+
+  assert({
+    given: 'dropped peer',
+    should: 'replace it with a public peer',
+    awaitActual: mockNetwork({ faults: { '10.0.0.2': { dropped: true } } }).then(function (
+      network
+    ) {
+      const connection = connect(network);
+      return new Promise(function (resolve) {
+        setTimeout(function () {
+          const peers = connection.peers();
+          connection.close();
+          resolve(
+            peers
+              .filter(function ({ readyState }) {
+                return readyState === 1;
+              })
+              .map(function ({ ip }) {
+                return ip;
+              })
+              .sort()
+          );
+        }, 500);
+      });
+    }),
+    expected: ['10.0.0.1', '10.0.0.3', '10.0.0.4'],
+  });
+
+  assert({
+    given: 'broadcasted transfer',
+    should: 'report it as seen, then as processed after next tick',
+    awaitActual: network.then(async function (network) {
+      const t = await transfer({
+        seed,
+        index: 0,
+        source: await identity(seed, 0),
+        destination,
+        energy: 1000000n,
+      });
+
+      const request = function (computorIndex) {
+        return encode('transferStatusRequest', {
+          timestamp: 1n,
+          digest: t.hashBytes,
+          computorIndex,
+        });
+      };
+
+      const socket = network.transport({ host: network.peers[0] });
+      const responses = [];
+      await new Promise(function (resolve) {
+        socket.onopen = resolve;
+      });
+      socket.onmessage = function ({ data }) {
+        responses.push(new Uint8Array(data));
+      };
+
+      socket.send(encode('broadcastTransfer', { transfer: t.bytes }));
+      await new Promise(function (resolve) {
+        setTimeout(resolve, 50);
+      });
+      socket.send(request(0));
+      await new Promise(function (resolve) {
+        setTimeout(resolve, 50);
+      });
+      network.advanceTick();
+      socket.send(request(1));
+      await new Promise(function (resolve) {
+        setTimeout(resolve, 50);
+      });
+      socket.close();
+
+      return {
+        hasTransfer: network.transfers.has(t.hash),
+        statuses: responses.map(function (response) {
+          return response[56];
+        }),
+        length: responses[1].length,
+      };
+    }),
+    expected: { hasTransfer: true, statuses: [0b01010101, 0b10101010], length: 300 },
+  });
+});
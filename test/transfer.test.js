@@ -0,0 +1,139 @@
+'use strict';
+
+import {
+  transfer,
+  buildUnsignedTransfer,
+  signTransfer,
+  serializeTransfer,
+  deserializeTransfer,
+  verifyTransfer,
+  SIGNATURE_OFFSET,
+  ENERGY_OFFSET,
+} from '../src/transfer.js';
+import { identity } from '../src/identity.js';
+import { IllegalArgumentError, SignatureVerificationError } from '../src/errors.js';
+
+const seed = 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu';
+const destination = 'DCMJGMELMPBOJCCOFAICMJCBKENNOPEJCLIPBKKKDKLDOMKFBPOFHFLGAHLNAFMKMHHOAE';
+
+const signedTransfer = identity(seed, 0).then(function (source) {
+  return transfer({ seed, index: 0, source, destination, energy: 1000000n });
+});
+
+describe('verifyTransfer', function () {
+  assert({
+    given: 'signed transfer bytes',
+    should: 'resolve with valid result and decoded transfer',
+    awaitActual: signedTransfer.then(async function (t) {
+      const { valid, reason, transfer } = await verifyTransfer(t.bytes);
+      return { valid, reason, sameHash: transfer.hash === t.hash, energy: transfer.energy };
+    }),
+    expected: { valid: true, reason: undefined, sameHash: true, energy: 1000000n },
+  });
+
+  assert({
+    given: 'signed transfer in base64',
+    should: 'resolve with valid result',
+    awaitActual: signedTransfer.then(async function (t) {
+      return (await verifyTransfer(Buffer.from(t.bytes).toString('base64'))).valid;
+    }),
+    expected: true,
+  });
+
+  assert({
+    given: 'transfer with tampered energy',
+    should: 'resolve with invalid signature',
+    awaitActual: signedTransfer.then(async function (t) {
+      const bytes = t.bytes.slice();
+      bytes[ENERGY_OFFSET] += 1;
+      const { valid, reason } = await verifyTransfer(bytes);
+      return { valid, reason };
+    }),
+    expected: { valid: false, reason: 'Invalid signature.' },
+  });
+
+  assert({
+    given: 'transfer with tampered signature',
+    should: 'resolve with invalid signature',
+    awaitActual: signedTransfer.then(async function (t) {
+      const bytes = t.bytes.slice();
+      bytes[SIGNATURE_OFFSET] ^= 1;
+      return (await verifyTransfer(bytes)).reason;
+    }),
+    expected: 'Invalid signature.',
+  });
+
+  assert({
+    given: 'truncated transfer',
+    should: 'resolve with invalid length',
+    awaitActual: signedTransfer.then(function (t) {
+      return verifyTransfer(t.bytes.subarray(1));
+    }),
+    expected: { valid: false, reason: 'Invalid transfer length.' },
+  });
+
+  assert({
+    given: 'missing transfer',
+    should: 'reject',
+    awaitActual: Promise.all([Try(verifyTransfer), Try(verifyTransfer, null)]),
+    expected: [
+      new IllegalArgumentError('Illegal transfer.'),
+      new IllegalArgumentError('Illegal transfer.'),
+    ],
+  });
+});
+
+describe('offline signing', function () {
+  const unsignedTransfer = identity(seed, 1).then(function (source) {
+    return buildUnsignedTransfer({ source, destination, energy: 1000000n, timestamp: 42n });
+  });
+
+  assert({
+    given: 'transfer built online, serialized, signed offline and serialized back',
+    should: 'resolve with valid signed transfer',
+    awaitActual: unsignedTransfer.then(async function (u) {
+      const offline = await deserializeTransfer(JSON.stringify(await serializeTransfer(u)));
+      const signed = await signTransfer(offline, seed, 1);
+      const online = await deserializeTransfer(JSON.stringify(await serializeTransfer(signed)));
+      const { valid } = await verifyTransfer(online.bytes);
+      return {
+        valid,
+        digest: offline.digest === u.digest,
+        hash: online.hash === signed.hash,
+        timestamp: online.timestamp,
+        energy: online.energy,
+      };
+    }),
+    expected: { valid: true, digest: true, hash: true, timestamp: 42n, energy: 1000000n },
+  });
+
+  assert({
+    given: 'seed of other identity',
+    should: 'reject',
+    awaitActual: unsignedTransfer.then(function (u) {
+      return Try(signTransfer, u, seed, 0);
+    }),
+    expected: new IllegalArgumentError('Source does not match signer.'),
+  });
+
+  assert({
+    given: 'serialized transfer with altered energy field',
+    should: 'reject',
+    awaitActual: unsignedTransfer.then(async function (u) {
+      return Try(deserializeTransfer, { ...(await serializeTransfer(u)), energy: '2000000' });
+    }),
+    expected: new IllegalArgumentError('Serialized transfer does not match its bytes.'),
+  });
+
+  assert({
+    given: 'serialized signed transfer with tampered bytes',
+    should: 'reject',
+    awaitActual: unsignedTransfer.then(async function (u) {
+      const serialized = await serializeTransfer(await signTransfer(u, seed, 1));
+      const bytes = Buffer.from(serialized.bytes, 'base64');
+      bytes[SIGNATURE_OFFSET] ^= 1;
+      return Try(deserializeTransfer, { ...serialized, bytes: bytes.toString('base64') });
+    }),
+    expected: new SignatureVerificationError('Invalid signature.'),
+  });
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+import net from 'net';
+import { WebSocketServer } from 'isomorphic-ws';
+import getPort from 'get-port';
+import { loopbackTransport, tcpTransport, webSocketTransport } from '../src/transports/index.js';
+
+const frame = function (size, fill) {
+  const bytes = new Uint8Array(size).fill(fill);
+  new DataView(bytes.buffer).setUint32(0, size, true);
+  return bytes;
+};
+
+const receive = function (transport, count) {
+  const messages = [];
+  return new Promise(function (resolve) {
+    transport.onmessage = function ({ data }) {
+      messages.push(Array.from(new Uint8Array(data)));
+      if (messages.length === count) {
+        transport.close();
+        resolve(messages);
+      }
+    };
+  });
+};
+
+describe('loopbackTransport', function () {
+  assert({
+    given: 'echo listener',
+    should: 'open and echo messages',
+    awaitActual: (function () {
+      const transport = loopbackTransport(function (socket) {
+        socket.onmessage = function ({ data }) {
+          socket.send(data);
+        };
+      })({ host: 'localhost' });
+      const messages = receive(transport, 2);
+      transport.onopen = function () {
+        transport.send(new Uint8Array([1, 2]));
+        transport.send(new Uint8Array([3]).buffer);
+      };
+      return messages;
+    })(),
+    expected: [[1, 2], [3]],
+  });
+
+  assert({
+    given: 'listener which refuses connection',
+    should: 'close without opening',
+    awaitActual: new Promise(function (resolve) {
+      const transport = loopbackTransport(function (socket) {
+        socket.close();
+      })({ host: 'localhost' });
+      transport.onopen = function () {
+        resolve('open');
+      };
+      transport.onclose = function () {
+        resolve(transport.readyState);
+      };
+    }),
+    expected: 3,
+  });
+});
+
+describe('tcpTransport', function () {
+  assert({
+    given: 'frames split and coalesced across TCP chunks',
+    should: 'deliver each frame as one message',
+    awaitActual: getPort().then(function (port) {
+      const server = net.createServer(function (socket) {
+        const a = frame(14, 1);
+        const b = frame(9, 2);
+        const c = frame(8, 3);
+        socket.write(a.subarray(0, 3));
+        setTimeout(function () {
+          socket.write(Buffer.concat([a.subarray(3), b, c.subarray(0, 1)]));
+          setTimeout(function () {
+            socket.write(c.subarray(1));
+          }, 10);
+        }, 10);
+      });
+      return new Promise(function (resolve) {
+        server.listen(port, function () {
+          const transport = tcpTransport({ host: 'localhost', port });
+          receive(transport, 3).then(function (messages) {
+            server.close();
+            resolve(messages);
+          });
+        });
+      });
+    }),
+    expected: [Array.from(frame(14, 1)), Array.from(frame(9, 2)), Array.from(frame(8, 3))],
+  });
+
+  assert({
+    given: 'frame of illegal size',
+    should: 'close transport',
+    awaitActual: getPort().then(function (port) {
+      const server = net.createServer(function (socket) {
+        socket.write(new Uint8Array(8));
+      });
+      return new Promise(function (resolve) {
+        server.listen(port, function () {
+          const transport = tcpTransport({ host: 'localhost', port });
+          const events = [];
+          transport.onerror = function (error) {
+            events.push(error.message);
+          };
+          transport.onclose = function () {
+            events.push(transport.readyState);
+            server.close();
+            resolve(events);
+          };
+        });
+      });
+    }),
+    expected: ['Illegal frame size: 0.', 3],
+  });
+});
+
+describe('webSocketTransport', function () {
+  assert({
+    given: 'host and port',
+    should: 'connect and receive binary messages',
+    awaitActual: getPort().then(function (port) {
+      const server = new WebSocketServer({ port });
+      server.on('connection', function (socket) {
+        socket.send(frame(4, 9));
+      });
+      const transport = webSocketTransport({ host: 'localhost', port });
+      return receive(transport, 1).then(function (messages) {
+        server.close();
+        return messages;
+      });
+    }),
+    expected: [Array.from(frame(4, 9))],
+  });
+});
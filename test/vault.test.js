@@ -0,0 +1,266 @@
+'use strict';
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import rimraf from 'rimraf';
+import { scrypt } from '../src/crypto/scrypt.js';
+import { vault as _vault } from '../src/vault.js';
+import { client as _client } from '../src/client.js';
+import { connection as _connection } from '../src/connection.js';
+import { identity } from '../src/identity.js';
+import { mockNetwork } from '../src/testing/index.js';
+import { DatabaseIntegrityError, IllegalArgumentError, VaultLockedError } from '../src/errors.js';
+
+const seed = 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu';
+const kdfParams = { N: 16, r: 1, p: 1 };
+
+const hex = function (bytes) {
+  return Buffer.from(bytes).toString('hex');
+};
+
+const delay = function (duration) {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, duration);
+  });
+};
+
+const vault = function (options) {
+  return _vault({ kdfParams, autoLockTimeout: Infinity, ...options });
+};
+
+const vaultWithSeed = async function (options) {
+  const v = vault(options);
+  await v.unlock('passphrase');
+  await v.addSeed('main', seed);
+  return v;
+};
+
+describe('scrypt', function () {
+  assert({
+    given: 'RFC 7914 test vectors',
+    should: 'derive expected keys',
+    actual: [
+      hex(scrypt(new Uint8Array(0), new Uint8Array(0), { N: 16, r: 1, p: 1, length: 64 })),
+      hex(
+        scrypt(Buffer.from('password'), Buffer.from('NaCl'), { N: 1024, r: 8, p: 16, length: 64 })
+      ),
+    ],
+    expected: [
+      '77d6576238657b203b19ca42c18a0497f16b4844e3074ae8dfdffa3fede21442fcd0069ded0948f8326a753a0fc81f17e8d3e0fb2e0d3628cf35e20c38d18906',
+      'fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b3731622eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640',
+    ],
+  });
+
+  assert({
+    given: 'N which is not a power of 2',
+    should: 'throw',
+    awaitActual: Try(scrypt, new Uint8Array(0), new Uint8Array(0), {
+      N: 15,
+      r: 1,
+      p: 1,
+      length: 32,
+    }),
+    expected: new IllegalArgumentError('Illegal N.'),
+  });
+});
+
+describe('vault', function () {
+  assert({
+    given: 'exported vault reopened with correct passphrase',
+    should: 'decrypt seed',
+    awaitActual: (async function () {
+      const data = JSON.parse(JSON.stringify((await vaultWithSeed()).export()));
+      const v = vault({ data });
+      await v.unlock('passphrase');
+      return {
+        labels: v.labels(),
+        seed: await v.withSeed('main', function (seed) {
+          return seed;
+        }),
+        plaintext: JSON.stringify(data).includes(seed),
+      };
+    })(),
+    expected: { labels: ['main'], seed, plaintext: false },
+  });
+
+  assert({
+    given: 'wrong passphrase',
+    should: 'reject and stay locked',
+    awaitActual: (async function () {
+      const v = vault({ data: (await vaultWithSeed()).export() });
+      const error = await Try(v.unlock, 'wrong');
+      return [error.message, v.isLocked()];
+    })(),
+    expected: ['Wrong passphrase.', true],
+  });
+
+  assert({
+    given: 'locked vault',
+    should: 'defer withSeed until unlocked',
+    awaitActual: (async function () {
+      const v = vault({ data: (await vaultWithSeed()).export() });
+      const events = [];
+      const promise = v.withSeed('main', function (seed) {
+        events.push('seed');
+        return seed.length;
+      });
+      await delay(10);
+      events.push('unlock');
+      await v.unlock('passphrase');
+      return [await promise, events];
+    })(),
+    expected: [55, ['unlock', 'seed']],
+  });
+
+  assert({
+    given: 'locked vault',
+    should: 'refuse to add seeds',
+    awaitActual: Try(vault().addSeed, 'main', seed),
+    expected: new VaultLockedError('Vault is locked.'),
+  });
+
+  assert({
+    given: 'no use for longer than auto-lock timeout',
+    should: 'lock',
+    awaitActual: (async function () {
+      const v = await vaultWithSeed({ autoLockTimeout: 20 });
+      let locked = false;
+      v.addListener('lock', function () {
+        locked = true;
+      });
+      await delay(60);
+      return [locked, v.isLocked()];
+    })(),
+    expected: [true, true],
+  });
+
+  assert({
+    given: 'tampered ciphertext',
+    should: 'reject',
+    awaitActual: (async function () {
+      const data = (await vaultWithSeed()).export();
+      const ciphertext = Buffer.from(data.seeds.main.ciphertext, 'base64');
+      ciphertext[0] ^= 1;
+      data.seeds.main.ciphertext = ciphertext.toString('base64');
+      const v = vault({ data });
+      await v.unlock('passphrase');
+      return Try(v.withSeed, 'main', function () {});
+    })(),
+    expected: new DatabaseIntegrityError('Corrupted vault entry.'),
+  });
+
+  assert({
+    given: 'imported vault with excessive scrypt parameters',
+    should: 'throw before deriving',
+    awaitActual: (async function () {
+      const data = (await vaultWithSeed()).export();
+      data.kdf.N = 2 ** 30;
+      return Try(vault, { data });
+    })(),
+    expected: new IllegalArgumentError('Illegal kdf parameters.'),
+  });
+
+  assert({
+    given: 'entries swapped between labels',
+    should: 'reject',
+    awaitActual: (async function () {
+      const v = await vaultWithSeed();
+      await v.addSeed('other', 'a'.repeat(55));
+      const data = v.export();
+      [data.seeds.main, data.seeds.other] = [data.seeds.other, data.seeds.main];
+      const reopened = vault({ data });
+      await reopened.unlock('passphrase');
+      return Try(reopened.withSeed, 'main', function () {});
+    })(),
+    expected: new DatabaseIntegrityError('Corrupted vault entry.'),
+  });
+
+  assert({
+    given: 'vault locked while withSeed waits',
+    should: 'wait until unlocked again',
+    awaitActual: (async function () {
+      const v = await vaultWithSeed();
+      const promise = v.withSeed('main', function (s) {
+        return s === seed;
+      });
+      v.lock();
+      await delay(10);
+      await v.unlock('passphrase');
+      return promise;
+    })(),
+    expected: true,
+  });
+
+  assert({
+    given: 'vault locked while changing passphrase',
+    should: 'reject, and keep old passphrase',
+    awaitActual: (async function () {
+      const v = await vaultWithSeed();
+      const promise = Try(v.changePassphrase, 'new passphrase');
+      v.lock();
+      const error = await promise;
+      await v.unlock('passphrase');
+      return [
+        error,
+        await v.withSeed('main', function (s) {
+          return s === seed;
+        }),
+      ];
+    })(),
+    expected: [new VaultLockedError('Vault is locked.'), true],
+  });
+
+  assert({
+    given: 'changed passphrase',
+    should: 'unlock with new passphrase only',
+    awaitActual: (async function () {
+      const v = await vaultWithSeed();
+      await v.changePassphrase('new passphrase');
+      const reopened = vault({ data: v.export() });
+      const error = await Try(reopened.unlock, 'passphrase');
+      await reopened.unlock('new passphrase');
+      return [
+        error.message,
+        await reopened.withSeed('main', function (s) {
+          return s === seed;
+        }),
+      ];
+    })(),
+    expected: ['Wrong passphrase.', true],
+  });
+
+  assert({
+    given: 'client with locked vault',
+    should: 'derive identity once vault is unlocked',
+    awaitActual: (async function () {
+      const network = await mockNetwork();
+      const databasePath = fs.mkdtempSync(path.join(os.tmpdir(), 'qubic-vault-'));
+      const v = vault({ data: (await vaultWithSeed()).export() });
+      const connection = _connection({
+        peers: network.peers,
+        adminPublicKey: network.adminPublicKey,
+        transport: network.transport,
+      });
+      const client = _client({
+        vault: v,
+        label: 'main',
+        connection,
+        adminPublicKey: network.adminPublicKey,
+        databasePath,
+      });
+      let id;
+      client.identity.then(function (value) {
+        id = value;
+      });
+      await delay(10);
+      const before = id;
+      await v.unlock('passphrase');
+      const after = await client.identity;
+      await client.terminate();
+      rimraf.sync(databasePath);
+      return [before, after === (await identity(seed, 0))];
+    })(),
+    expected: [undefined, true],
+  });
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+// Known answers of the crypto wrapper and of identity derivations, in lowercase hex unless noted.
+// K12 vectors are from the KangarooTwelve specification, where `ptn(n)` is the pattern
+// 00 01 .. FA repeated and truncated to n bytes. SchnorrQ, kex and identity vectors are pinned
+// to the output of the current WASM build, so that an upgraded build can be checked against it.
+
+export const ptn = function (length) {
+  return Uint8Array.from({ length }, function (_, i) {
+    return i % 251;
+  });
+};
+
+export const fromHex = function (hex) {
+  return Uint8Array.from(Buffer.from(hex, 'hex'));
+};
+
+export const K12_VECTORS = [
+  {
+    input: new Uint8Array(0),
+    outputLength: 32,
+    output: '1ac2d450fc3b4205d19da7bfca1b37513c0803577ac7167f06fe2ce1f0ef39e5',
+  },
+  {
+    input: new Uint8Array(0),
+    outputLength: 64,
+    output:
+      '1ac2d450fc3b4205d19da7bfca1b37513c0803577ac7167f06fe2ce1f0ef39e5' +
+      '4269c056b8c82e48276038b6d292966cc07a3d4645272e31ff38508139eb0a71',
+  },
+  {
+    input: ptn(17),
+    outputLength: 32,
+    output: '6bf75fa2239198db4772e36478f8e19b0f371205f6a9a93a273f51df37122888',
+  },
+  {
+    input: ptn(17 ** 2),
+    outputLength: 32,
+    output: '0c315ebcdedbf61426de7dcf8fb725d1e74675d7f5327a5067f367b108ecb67c',
+  },
+  {
+    input: ptn(17 ** 3),
+    outputLength: 32,
+    output: 'cb552e2ec77d9910701d578b457ddf772c12e322e4ee7fe417f92c758f0d59d0',
+  },
+];
+
+// Last 32 bytes of K12 of empty input, with 10032 bytes of output.
+export const K12_LONG_OUTPUT_VECTOR = {
+  outputLength: 10032,
+  tail: 'e8dc563642f7228c84684c898405d3a834799158c079b12880277a1d28e2ff6d',
+};
+
+export const SCHNORRQ_VECTORS = [
+  {
+    secretKey: '7d3e10856b21ffbad7979c09e176d5af298a5a80c639b036a1d43285ece6bafe',
+    publicKey: '97cc65d1e59351eefc776bcff197533f148a8105da84129c051f70dd9ca0ff82',
+    message: '0101010101010101010101010101010101010101010101010101010101010101',
+    signature:
+      '5d8ca94fa992baea69e143481f242d594f7cccae0b3a4068bf630a2acc683d5f' +
+      'fbfa2626aa4033b2c87655e850af82d4d740b295f74fe6f60eef90c0359c1b00',
+  },
+  {
+    secretKey: '7d3e10856b21ffbad7979c09e176d5af298a5a80c639b036a1d43285ece6bafe',
+    publicKey: '97cc65d1e59351eefc776bcff197533f148a8105da84129c051f70dd9ca0ff82',
+    message: '',
+    signature:
+      '1c16b831720088fed79241a78559b632c9113346efc4c4caf830ae195daebec0' +
+      '2e382cee16b37b1b7308a0e0c0dd97d907c38778802780140aa206f0fb7a2000',
+  },
+];
+
+export const KEX_VECTOR = {
+  secretKeyA: '7d3e10856b21ffbad7979c09e176d5af298a5a80c639b036a1d43285ece6bafe',
+  compressedPublicKeyA: '1ebe1a4fea9621a8da5ecda2d6547947ba3855bedc5db089896bcd827ddc88f0',
+  secretKeyB: '7d3e108f6b21ffbad7979c09e176d5af298a5a80c639b036a1d43285ece6ba00',
+  compressedPublicKeyB: '127e31adfe0d602f7cf67d5c33f6196e59dfd833869105bd7e75ad9988b94b70',
+  sharedKey: 'dc2835e028dc915807c30f183fe5de7b9c319f3e8ae7d4084997d02dc87f5a4f',
+};
+
+// Identities are in uppercase shifted hex, as returned by `identity`.
+export const IDENTITY_VECTORS = [
+  {
+    seed: 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu',
+    index: 0,
+    privateKey: 'fb793875e894c848a6f3f96d34a25457f37a93af84f4ff834994ed61cc8855a6',
+    identity: 'ACEIGCDHBEHMCOMAKJBIHHLFCKDJFBHEADHDNCIMFFJFGLHOKJLGKIKOJBKIFCCONIOMGF',
+  },
+  {
+    seed: 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu',
+    index: 1,
+    privateKey: 'bae4e2c4d3d254b68606f27c4e95cd02fad428e5920b15f44b5508eef6663a0f',
+    identity: 'OFKAEGCCKHCNFNPNMAHKPMALGHNJGPEACGMABCJOKDPCIIAKKMDCOEGLDANLIGONJJLMFL',
+  },
+  {
+    seed: 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu',
+    index: 1337,
+    privateKey: '4aadc5fd9574a8b28ec2adc176cda509b9384763d47305594fba651c83303bd1',
+    identity: 'DCMJGMELMPBOJCCOFAICMJCBKENNOPEJCLIPBKKKDKLDOMKFBPOFHFLGAHLNAFMKMHHOAE',
+  },
+  {
+    seed: 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa',
+    index: 0,
+    privateKey: '4453512f1ef597b365cc384f0a2b10ceb5c94f516b911acc8e8bc1b55e646c74',
+    identity: 'BPFJANADOGBDLNNONDILEMAICAKMEEGBFPJBKPBCEDFJIALDONODMAIMDBFKCFEEMEOLFK',
+  },
+  {
+    seed: 'zzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzz',
+    index: 0,
+    privateKey: '7746c6b3d57f02d4fb562d2ae62ce275a87918fbe31d302af76cfbcd45734f07',
+    identity: 'GJOGINMBHAMNJLGNNKDCLGJEJAPFPHBEAFMFMINGHABCOJGKIGNDPPJIOPJBFOMFFJMEDN',
+  },
+];
+
+export const SEED_CHECKSUM_VECTORS = [
+  { seed: 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa', checksum: 'EEF' },
+  { seed: 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu', checksum: 'PLH' },
+  { seed: 'zzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzzz', checksum: 'HHE' },
+];
+
+// Signature of `signMessage`, in base64, pinned so that the format of signed messages is stable.
+export const SIGNED_MESSAGE_VECTOR = {
+  seed: 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu',
+  index: 0,
+  message: 'qubic',
+  signature:
+    'npULcchK5tnM8HB3C3XEP/B7sKtzlpo6+FzSxXzvSCg8zmFoGbp2iFVplOQ/TVqQ2Yy0NdZQguANTTNnBvQNAA==',
+};
@@ -0,0 +1,221 @@
+'use strict';
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import rimraf from 'rimraf';
+import level from 'level';
+import { mockNetwork } from '../src/testing/index.js';
+import { connection as _connection } from '../src/connection.js';
+import { client as _client } from '../src/client.js';
+import { identity } from '../src/identity.js';
+import { wallet as _wallet } from '../src/wallet.js';
+import { DatabaseIntegrityError, IllegalArgumentError, NotFoundError } from '../src/errors.js';
+
+jest.setTimeout(10 * 1000);
+
+const seed = 'vmscmtbcqjbqyqcckegsfdsrcgjpeejobolmimgorsqwgupzhkevreu';
+const destination = 'DCMJGMELMPBOJCCOFAICMJCBKENNOPEJCLIPBKKKDKLDOMKFBPOFHFLGAHLNAFMKMHHOAE';
+
+const open = async function () {
+  const network = await mockNetwork();
+  const databasePath = fs.mkdtempSync(path.join(os.tmpdir(), 'qubic-wallet-'));
+  const connection = _connection({
+    peers: network.peers,
+    adminPublicKey: network.adminPublicKey,
+    transport: network.transport,
+    computerStateSynchronizationTimeoutDuration: 100,
+    computerStateSynchronizationDelayDuration: 100,
+  });
+  const wallet = _wallet({ connection, adminPublicKey: network.adminPublicKey, databasePath });
+  return {
+    network,
+    connection,
+    wallet,
+    databasePath,
+    close: async function () {
+      await wallet.terminate();
+      rimraf.sync(databasePath);
+    },
+  };
+};
+
+const delay = function (duration) {
+  return new Promise(function (resolve) {
+    setTimeout(resolve, duration);
+  });
+};
+
+describe('wallet', function () {
+  assert({
+    given: 'identities of one seed added more than once',
+    should: 'list each once, and keep shared connection intact',
+    awaitActual: open().then(async function ({ connection, wallet, close }) {
+      const identities = [
+        await wallet.addIdentity({ seed, index: 0 }),
+        await wallet.addIdentity({ seed, index: 1 }),
+        await wallet.addIdentity({ seed, index: 1 }),
+      ];
+      const result = {
+        identities: identities[0] === (await identity(seed, 0)) && identities[1] === identities[2],
+        listed: wallet.identities().length,
+        shared: wallet.client(identities[0]).connection === wallet.client(identities[1]).connection,
+        intact: typeof connection.getTransferStatus === 'function' && !('transfer' in connection),
+      };
+      await close();
+      return result;
+    }),
+    expected: { identities: true, listed: 2, shared: true, intact: true },
+  });
+
+  assert({
+    given: 'same identity added concurrently',
+    should: 'create one client',
+    awaitActual: open().then(async function ({ wallet, close }) {
+      const identities = await Promise.all([
+        wallet.addIdentity({ seed, index: 0 }),
+        wallet.addIdentity({ seed, index: 0 }),
+      ]);
+      const result = {
+        same: identities[0] === identities[1],
+        listed: wallet.identities().length,
+      };
+      await close();
+      return result;
+    }),
+    expected: { same: true, listed: 1 },
+  });
+
+  assert({
+    given: 'energy of identities',
+    should: 'emit namespaced energy events, and aggregate balance',
+    awaitActual: open().then(async function ({ wallet, close }) {
+      const a = await wallet.addIdentity({ seed, index: 0 });
+      const b = await wallet.addIdentity({ seed, index: 1 });
+      const events = [];
+      wallet.addListener('*.energy', function (energy) {
+        events.push([this.event === `${a}.energy` ? 'a' : 'b', energy]);
+      });
+      await wallet.client(a).setEnergy(3n);
+      await wallet.client(b).setEnergy(4n);
+      await delay(50);
+      const result = {
+        events,
+        a: wallet.energy(a),
+        b: wallet.energy(b),
+        balance: wallet.balance(),
+      };
+      await close();
+      return result;
+    }),
+    expected: {
+      events: [
+        ['a', 3n],
+        ['b', 4n],
+      ],
+      a: 3n,
+      b: 4n,
+      balance: 7n,
+    },
+  });
+
+  assert({
+    given: 'transfer from an identity',
+    should: 'emit transfer only under namespace of that identity',
+    awaitActual: open().then(async function ({ connection, wallet, close }) {
+      const a = await wallet.addIdentity({ seed, index: 0 });
+      const b = await wallet.addIdentity({ seed, index: 1 });
+      await connection.waitForSync();
+      await wallet.client(a).setEnergy(2000000n);
+      const events = [];
+      wallet.addListener('*.transfer', function () {
+        events.push(this.event === `${a}.transfer` ? 'a' : 'b');
+      });
+      await wallet.transfer(a, { destination, energy: 1000000n });
+      await delay(50);
+      const result = {
+        events,
+        a: wallet.transfers(a).length,
+        b: wallet.transfers(b).length,
+      };
+      await close();
+      return result;
+    }),
+    expected: { events: ['a'], a: 1, b: 0 },
+  });
+
+  assert({
+    given: 'error of a client',
+    should: 'emit it under namespace of that identity',
+    awaitActual: open().then(async function ({ wallet, close }) {
+      const a = await wallet.addIdentity({ seed, index: 0 });
+      const events = [];
+      wallet.addListener('*.error', function (error) {
+        events.push([this.event === `${a}.error`, error.code]);
+      });
+      wallet.client(a).emit('error', new DatabaseIntegrityError('Invalid database signature.'));
+      await close();
+      return events;
+    }),
+    expected: [[true, 'DATABASE_INTEGRITY']],
+  });
+
+  assert({
+    given: 'tampered accounts of an identity',
+    should: 'emit invalid database signature error',
+    awaitActual: open().then(async function ({ wallet, databasePath, close }) {
+      const a = await wallet.addIdentity({ seed, index: 0 });
+      await wallet.client(a).addAccount('deposits', 3);
+      await wallet.removeIdentity(a);
+
+      const database = level(path.join(databasePath, a));
+      await database.put('accounts', JSON.stringify([{ label: 'deposits', index: 4 }]));
+      await database.close();
+
+      const error = new Promise(function (resolve) {
+        wallet.addListener('*.error', resolve);
+      });
+      await wallet.addIdentity({ seed, index: 0 });
+      const result = await error;
+      await close();
+      return result;
+    }),
+    expected: new DatabaseIntegrityError('Invalid database signature.'),
+  });
+
+  assert({
+    given: 'unknown identity',
+    should: 'throw',
+    awaitActual: open().then(async function ({ wallet, close }) {
+      const error = await Try(wallet.energy, destination);
+      await close();
+      return error;
+    }),
+    expected: new NotFoundError(`Unknown identity ${destination}.`),
+  });
+});
+
+describe('client on shared connection', function () {
+  assert({
+    given: 'no admin public key',
+    should: 'use admin public key of connection',
+    awaitActual: open().then(async function ({ connection, databasePath, close }) {
+      const client = _client({ seed, connection, databasePath });
+      const result = {
+        identity: (await client.identity) === (await identity(seed, 0)),
+        shared: client.connection === connection,
+      };
+      await client.terminate({ closeConnection: false });
+      await close();
+      return result;
+    }),
+    expected: { identity: true, shared: true },
+  });
+
+  assert({
+    given: 'no connection and no admin public key',
+    should: 'throw',
+    awaitActual: Try(_client, { seed }),
+    expected: new IllegalArgumentError('Illegal admin public key.'),
+  });
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+import fs from 'fs';
+import { createModule } from '../src/crypto/wasm.js';
+import { K12_VECTORS } from './vectors.js';
+
+// Embedded binary of the generated module, passed as a custom one.
+const wasmBinary = Buffer.from(
+  /var encodedWasmFile = '([^']+)'/.exec(
+    fs.readFileSync(new URL('../src/crypto/libFourQ_K12.js', import.meta.url), 'utf8')
+  )[1],
+  'base64'
+);
+
+const K12 = function (module, { input, outputLength }) {
+  const i = module._malloc(Math.max(input.length, 1));
+  const o = module._malloc(outputLength);
+  module.HEAPU8.set(input, i);
+  module._KangarooTwelve(i, input.length, o, outputLength, 0, 0);
+  const output = Buffer.from(module.HEAPU8.slice(o, o + outputLength)).toString('hex');
+  module._free(i);
+  module._free(o);
+  return output;
+};
+
+describe('createModule', function () {
+  assert({
+    given: 'no binary',
+    should: 'resolve with module of embedded binary',
+    awaitActual: createModule().then(function (module) {
+      return K12(module, K12_VECTORS[0]);
+    }),
+    expected: K12_VECTORS[0].output,
+  });
+
+  assert({
+    given: 'custom binary',
+    should: 'resolve with a separate module of that binary',
+    awaitActual: Promise.all([createModule(), createModule(wasmBinary)]).then(function ([
+      embedded,
+      custom,
+    ]) {
+      return {
+        separate: embedded !== custom && embedded.HEAPU8.buffer !== custom.HEAPU8.buffer,
+        K12: K12(custom, K12_VECTORS[0]),
+      };
+    }),
+    expected: { separate: true, K12: K12_VECTORS[0].output },
+  });
+
+  assert({
+    given: 'invalid binary',
+    should: 'reject',
+    awaitActual: createModule(new Uint8Array([0, 1, 2, 3])).catch(function (error) {
+      return error instanceof WebAssembly.CompileError;
+    }),
+    expected: true,
+  });
+});